@@ -0,0 +1,221 @@
+// data-cli.js
+// Import and export table rows between JSON, JSONL or CSV files and storage
+// (Supabase by default, or the lowdb file). Replaces migrate-to-supabase.js.
+//
+//   node data-cli.js import <file> [--table appointments] [--format json|jsonl|csv]
+//                                  [--batch 100] [--dry-run] [--report report.json]
+//   node data-cli.js export <file|-> [--table appointments] [--format json|jsonl|csv]
+//
+// Import checks every row first (lib/records.js), skips bad ones and upserts
+// the rest in batches. --dry-run prints a field-level diff against the stored
+// rows and writes nothing. Exits 1 if any row was invalid or failed to save.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createStorage } from "./lib/storage/index.js";
+import { FORMATS, formatOf, parseRecords, serializeRecords } from "./lib/data-files.js";
+import { checkRecord, diffRecord } from "./lib/records.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, ".env") });
+
+const USAGE = `Usage:
+  node data-cli.js import <file> [options]
+  node data-cli.js export <file|-> [options]
+
+Options:
+  --table <name>     table to read or write (default: appointments)
+  --format <format>  ${FORMATS.join(", ")} (default: from the file extension)
+  --storage <driver> supabase or lowdb (default: STORAGE_DRIVER, then supabase)
+  --batch <n>        rows per upsert, 1-1000 (default: 100)
+  --dry-run          show what import would change without writing
+  --report <file>    write the import report as JSON`;
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        table: { type: "string", default: "appointments" },
+        format: { type: "string" },
+        storage: { type: "string" },
+        batch: { type: "string", default: "100" },
+        "dry-run": { type: "boolean", default: false },
+        report: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+function short(value) {
+  const s = JSON.stringify(value ?? null);
+  return s.length > 60 ? `${s.slice(0, 57)}...` : s;
+}
+
+function printDiff(id, diff) {
+  if (!diff) return console.log(`+ ${id}`);
+  console.log(`~ ${id}`);
+  for (const d of diff) console.log(`    ${d.field}: ${short(d.from)} → ${short(d.to)}`);
+}
+
+// Upserts the batch; if that fails, row by row so one bad row doesn't sink
+// the others. Returns the ids that were saved.
+async function saveBatch(storage, table, rows, report) {
+  try {
+    await storage.upsert(table, rows);
+    return new Set(rows.map((r) => r.id));
+  } catch (err) {
+    if (rows.length === 1) {
+      report.failed.push({ id: rows[0].id, error: err.message });
+      return new Set();
+    }
+  }
+  const saved = new Set();
+  for (const row of rows) {
+    for (const id of await saveBatch(storage, table, [row], report)) saved.add(id);
+  }
+  return saved;
+}
+
+async function importRows(storage, file, opts) {
+  const { table } = opts;
+  const dryRun = opts["dry-run"];
+  const batchSize = Number(opts.batch);
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > PAGE_SIZE)
+    throw new UsageError(`--batch must be a whole number from 1 to ${PAGE_SIZE}`);
+  const format = formatOf(file, opts.format);
+  if (!FORMATS.includes(format)) throw new UsageError(`Unknown format "${format}" (expected ${FORMATS.join(", ")})`);
+
+  const rows = parseRecords(fs.readFileSync(file, "utf8"), format, { table });
+  const report = {
+    file, table, dry_run: dryRun, read: rows.length,
+    created: 0, updated: 0, unchanged: 0, invalid: [], failed: [],
+  };
+
+  // Later rows with the same id win; the earlier ones are reported
+  const byId = new Map();
+  rows.forEach((row, i) => {
+    const { value, errors } = checkRecord(table, row);
+    if (errors) return report.invalid.push({ row: i + 1, id: row?.id ?? null, errors });
+    const earlier = byId.get(value.id);
+    if (earlier) {
+      report.invalid.push({
+        row: earlier.row,
+        id: value.id,
+        errors: [{ field: "id", message: `is repeated in row ${i + 1}, which replaces this one` }],
+      });
+    }
+    byId.set(value.id, { row: i + 1, value });
+  });
+  const valid = [...byId.values()].map((r) => r.value);
+
+  for (let i = 0; i < valid.length; i += batchSize) {
+    const batch = valid.slice(i, i + batchSize);
+    const stored = await storage.list(table, { in: { id: batch.map((r) => r.id) } });
+    const existing = new Map(stored.map((r) => [r.id, r]));
+
+    const changes = [];
+    for (const row of batch) {
+      const old = existing.get(row.id);
+      const diff = old ? diffRecord(old, row) : null;
+      if (diff && !diff.length) report.unchanged++;
+      else changes.push({ row, created: !old, diff });
+    }
+
+    let done = changes;
+    if (dryRun) {
+      for (const c of changes) printDiff(c.row.id, c.diff);
+    } else if (changes.length) {
+      const saved = await saveBatch(storage, table, changes.map((c) => c.row), report);
+      done = changes.filter((c) => saved.has(c.row.id));
+    }
+    for (const c of done) report[c.created ? "created" : "updated"]++;
+  }
+
+  for (const bad of report.invalid) {
+    const errors = bad.errors.map((e) => `${e.field} ${e.message}`).join("; ");
+    console.error(`❌ Row ${bad.row}${bad.id != null ? ` (${bad.id})` : ""}: ${errors}`);
+  }
+  for (const f of report.failed) console.error(`❌ ${f.id}: ${f.error}`);
+
+  const verb = dryRun ? "Would import" : "Imported";
+  console.log(
+    `${report.invalid.length || report.failed.length ? "⚠️" : "✅"} ${verb} ${table} from ${file}: ` +
+    `${report.read} read, ${report.created} new, ${report.updated} changed, ${report.unchanged} unchanged, ` +
+    `${report.invalid.length} invalid, ${report.failed.length} failed`
+  );
+  if (opts.report) fs.writeFileSync(opts.report, JSON.stringify(report, null, 2) + "\n");
+
+  return report.invalid.length || report.failed.length ? 1 : 0;
+}
+
+async function exportRows(storage, file, opts) {
+  const { table } = opts;
+  const format = formatOf(file === "-" ? "" : file, opts.format);
+  if (!FORMATS.includes(format)) throw new UsageError(`Unknown format "${format}" (expected ${FORMATS.join(", ")})`);
+
+  // Keyset pages by id, so big tables aren't cut off at the page size
+  const rows = [];
+  for (let last = null; ;) {
+    const page = await storage.list(table, {
+      ...(last === null ? {} : { gt: { id: last } }),
+      orderBy: "id",
+      limit: PAGE_SIZE,
+    });
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) break;
+    last = page[page.length - 1].id;
+  }
+
+  const text = serializeRecords(rows, format);
+  if (file === "-") process.stdout.write(text);
+  else fs.writeFileSync(file, text);
+  // stderr, so `export -` output stays clean
+  console.error(`✅ Exported ${rows.length} ${table} rows to ${file === "-" ? "stdout" : file}`);
+  return 0;
+}
+
+async function main(argv) {
+  const { values: opts, positionals } = parseOptions(argv);
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const [command, file] = positionals;
+  if (!["import", "export"].includes(command)) throw new UsageError("Expected a command: import or export");
+  if (!file) throw new UsageError(`${command} needs a file`);
+
+  const driver = opts.storage || process.env.STORAGE_DRIVER || "supabase";
+  if (driver === "supabase" && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY))
+    throw new UsageError("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY in .env (or use --storage lowdb)");
+  const storage = createStorage({ driver, rootDir: __dirname });
+
+  return command === "import" ? importRows(storage, file, opts) : exportRows(storage, file, opts);
+}
+
+// exitCode rather than exit(), which can cut off output still going to a pipe
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    if (err instanceof UsageError) {
+      console.error(`❌ ${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 1;
+    }
+  });
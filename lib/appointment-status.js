@@ -0,0 +1,43 @@
+// lib/appointment-status.js
+// Appointment lifecycle. `status` is the single source of truth; the old
+// confirmed/declined/payment_done booleans are only read for legacy rows.
+
+export const STATUSES = [
+  "requested",
+  "confirmed",
+  "awaiting_payment",
+  "paid",
+  "completed",
+  "declined",
+  "cancelled",
+  "no_show",
+];
+
+// from → allowed next states
+export const TRANSITIONS = {
+  requested: ["confirmed", "declined", "cancelled"],
+  confirmed: ["awaiting_payment", "paid", "completed", "cancelled", "no_show"],
+  awaiting_payment: ["paid", "cancelled", "no_show"],
+  paid: ["completed", "cancelled", "no_show"],
+  completed: [],
+  declined: [],
+  cancelled: [],
+  no_show: [],
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function isFinal(status) {
+  return TRANSITIONS[status]?.length === 0;
+}
+
+// Status of a row, deriving it from the legacy booleans when it has none.
+export function statusOf(appointment) {
+  if (appointment.status) return appointment.status;
+  if (appointment.declined) return "declined";
+  if (!appointment.confirmed) return "requested";
+  if (String(appointment.consult_type).toLowerCase() !== "online") return "confirmed";
+  return appointment.payment_done ? "paid" : "awaiting_payment";
+}
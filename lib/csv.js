@@ -0,0 +1,60 @@
+// lib/csv.js
+// RFC 4180 CSV: quoted cells, doubled quotes, CRLF line ends.
+
+// guardFormulas: prefix cells that spreadsheets would run as formulas.
+// Off for data meant to be read back, where the prefix would change values.
+export function csvCell(value, { guardFormulas = false } = {}) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (guardFormulas && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: objects; columns: the keys to write, in order
+export function formatCsv(rows, columns, options = {}) {
+  const lines = [columns.map((c) => csvCell(c)).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => csvCell(r[c], options)).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Text → array of records (arrays of cell strings). Throws on an unclosed quote.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') {
+        cell += ch;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("Unclosed quote at end of CSV");
+  if (cell !== "" || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter((r) => r.length > 1 || r[0] !== "");
+}
@@ -0,0 +1,222 @@
+// lib/dashboard.js
+// Filters, cursor pagination, summaries and CSV export for the appointments
+// dashboard API. Every filter, the order and the cursor go into the storage
+// query, so a page never loads more than its own rows. This relies on every
+// row having a status (migrations/012_dashboard.sql backfills legacy rows).
+import { STATUSES, statusOf } from "./appointment-status.js";
+import { CONSULT_TYPES, DEFAULT_DOCTOR_ID, doctorIdOf } from "./doctors.js";
+import { isValidDate } from "./slots.js";
+import { csvCell } from "./csv.js";
+
+export const PAYMENT_STATES = ["paid", "pending", "unpaid"];
+export const SEARCH_COLUMNS = ["name", "email", "phone"];
+export const MAX_PAGE_SIZE = 200;
+// Page size for the summary and export, which read every matching row
+const SCAN_PAGE_SIZE = 1000;
+
+// Stable order: date, then slot start (rows with none last), then id
+export const DASHBOARD_ORDER = ["date", "slot_start", "id"];
+
+export function paymentStateOf(appointment) {
+  const status = statusOf(appointment);
+  if (appointment.paid_at || appointment.payment_done || status === "paid") return "paid";
+  if (status === "awaiting_payment") return "pending";
+  return "unpaid";
+}
+
+const list = (value) =>
+  value === undefined ? [] : String(value).split(",").map((s) => s.trim()).filter(Boolean);
+
+// Query string → { value } or { errors }
+export function parseFilters(query = {}) {
+  const errors = [];
+  const value = {
+    from: query.from || null,
+    to: query.to || null,
+    statuses: list(query.status),
+    consultType: query.consultType || null,
+    payment: list(query.payment),
+    q: query.q ? String(query.q).trim() : null,
+    doctorId: query.doctorId || null,
+  };
+
+  for (const field of ["from", "to"]) {
+    if (value[field] && !isValidDate(value[field])) errors.push({ field, message: "must be a YYYY-MM-DD date" });
+  }
+  if (value.from && value.to && value.from > value.to) errors.push({ field: "to", message: "must not be before from" });
+  const badStatus = value.statuses.find((s) => !STATUSES.includes(s));
+  if (badStatus) errors.push({ field: "status", message: `must be one of ${STATUSES.join(", ")}` });
+  if (value.consultType && !CONSULT_TYPES.some((t) => t.toLowerCase() === value.consultType.toLowerCase()))
+    errors.push({ field: "consultType", message: `must be one of ${CONSULT_TYPES.join(", ")}` });
+  const badPayment = value.payment.find((p) => !PAYMENT_STATES.includes(p));
+  if (badPayment) errors.push({ field: "payment", message: `must be one of ${PAYMENT_STATES.join(", ")}` });
+
+  return errors.length ? { errors } : { value };
+}
+
+const PAID = [{ eq: { status: "paid" } }, { neq: { paid_at: null } }, { eq: { payment_done: true } }];
+const NOT_PAID = { eq: { paid_at: null }, neq: { payment_done: true } };
+
+// paymentStateOf as storage conditions, one per state
+const PAYMENT_CONDITIONS = {
+  paid: PAID,
+  pending: [{ ...NOT_PAID, eq: { ...NOT_PAID.eq, status: "awaiting_payment" } }],
+  unpaid: [{ ...NOT_PAID, in: { status: STATUSES.filter((s) => s !== "paid" && s !== "awaiting_payment") } }],
+};
+
+// Filters → storage query (without order, cursor or limit)
+export function storageQuery(filters) {
+  const q = { any: [] };
+  if (filters.from) q.gte = { date: filters.from };
+  if (filters.to) q.lte = { date: filters.to };
+  if (filters.statuses.length) q.in = { status: filters.statuses };
+  if (filters.consultType) {
+    // Stored as the canonical name; legacy rows may be lower case
+    const type = CONSULT_TYPES.find((t) => t.toLowerCase() === filters.consultType.toLowerCase());
+    q.in = { ...q.in, consult_type: [type, type.toLowerCase()] };
+  }
+  if (filters.doctorId === DEFAULT_DOCTOR_ID) {
+    // Older rows with no doctor_id belong to the default doctor
+    q.any.push([{ eq: { doctor_id: DEFAULT_DOCTOR_ID } }, { eq: { doctor_id: null } }]);
+  } else if (filters.doctorId) {
+    q.eq = { doctor_id: filters.doctorId };
+  }
+  if (filters.payment.length) q.any.push(filters.payment.flatMap((p) => PAYMENT_CONDITIONS[p]));
+  if (filters.q) q.search = { columns: SEARCH_COLUMNS, term: filters.q };
+  return q;
+}
+
+function sortKey(a) {
+  return [a.date, a.slot_start || null, a.id];
+}
+
+// Storage conditions for "after this key" in DASHBOARD_ORDER, where a NULL
+// slot_start sorts after every slot of its day
+export function afterKey([date, slotStart, id]) {
+  if (slotStart === null) {
+    return [{ gt: { date } }, { eq: { date, slot_start: null }, gt: { id } }];
+  }
+  return [
+    { gt: { date } },
+    { eq: { date }, gt: { slot_start: slotStart } },
+    { eq: { date, slot_start: slotStart }, gt: { id } },
+    { eq: { date, slot_start: null } },
+  ];
+}
+
+// The cursor is the sort key of the last row on the previous page, so rows
+// added or removed elsewhere don't shift the pages the way offsets would.
+export function encodeCursor(appointment) {
+  return Buffer.from(JSON.stringify(sortKey(appointment))).toString("base64url");
+}
+
+// Returns the key, or null if the cursor is malformed
+export function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Array.isArray(key) || key.length !== 3) return null;
+    const [date, slotStart, id] = key;
+    const valid =
+      typeof date === "string" &&
+      (slotStart === null || typeof slotStart === "string") &&
+      typeof id === "string";
+    return valid ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// One page of matching rows after the cursor key. Returns { items, next_cursor }.
+export async function listPage(storage, filters, { after = null, limit }) {
+  const q = storageQuery(filters);
+  if (after) q.any.push(afterKey(after));
+  // One extra row tells whether there is a next page
+  const rows = await storage.list("appointments", { ...q, orderBy: DASHBOARD_ORDER, limit: limit + 1 });
+  const items = rows.slice(0, limit);
+  return { items, next_cursor: rows.length > limit ? encodeCursor(items[items.length - 1]) : null };
+}
+
+// Every matching row, a page at a time, in DASHBOARD_ORDER
+export async function* scanPages(storage, filters) {
+  for (let after = null; ;) {
+    const q = storageQuery(filters);
+    if (after) q.any.push(afterKey(after));
+    const page = await storage.list("appointments", { ...q, orderBy: DASHBOARD_ORDER, limit: SCAN_PAGE_SIZE });
+    if (page.length) yield page;
+    if (page.length < SCAN_PAGE_SIZE) return;
+    after = sortKey(page[page.length - 1]);
+  }
+}
+
+// Monday of the ISO week `date` falls in
+function weekStart(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// Counts per day or per week (keyed by the Monday), oldest first. Takes pages
+// of rows (as from scanPages) and returns { total, buckets }.
+export async function summarize(pages, { period = "day" } = {}) {
+  const buckets = new Map();
+  let total = 0;
+  for await (const page of pages) {
+    total += page.length;
+    for (const a of page) addToBucket(buckets, a, period);
+  }
+  return { total, buckets: [...buckets.values()].sort((x, y) => x.start.localeCompare(y.start)) };
+}
+
+function addToBucket(buckets, a, period) {
+  if (!isValidDate(a.date)) return;
+  const key = period === "week" ? weekStart(a.date) : a.date;
+  if (!buckets.has(key)) {
+    buckets.set(key, { start: key, total: 0, by_status: {}, by_consult_type: {}, by_payment: {}, revenue: 0 });
+  }
+  const b = buckets.get(key);
+  const status = statusOf(a);
+  const payment = paymentStateOf(a);
+  const type = a.consult_type || "unknown";
+  b.total++;
+  b.by_status[status] = (b.by_status[status] || 0) + 1;
+  b.by_consult_type[type] = (b.by_consult_type[type] || 0) + 1;
+  b.by_payment[payment] = (b.by_payment[payment] || 0) + 1;
+  if (payment === "paid") b.revenue += Number(a.amount) || 0;
+}
+
+// Columns of the CSV export and the dashboard list
+export function dashboardRow(a) {
+  return {
+    id: a.id,
+    date: a.date,
+    time: a.final_time || a.time || null,
+    slot_start: a.slot_start || null,
+    doctor_id: doctorIdOf(a),
+    name: a.name,
+    email: a.email,
+    phone: a.phone || null,
+    consult_type: a.consult_type,
+    status: statusOf(a),
+    payment: paymentStateOf(a),
+    amount: a.amount ?? null,
+    discount_code: a.discount_code || null,
+    payment_id: a.payment_id || null,
+    paid_at: a.paid_at || null,
+    receipt_no: a.receipt_no || null,
+  };
+}
+
+// CSV text in chunks, the header and then one chunk per page, so an export
+// can be streamed without holding every row
+export async function* csvChunks(pages) {
+  const columns = Object.keys(dashboardRow({}));
+  yield columns.map((c) => csvCell(c)).join(",") + "\r\n";
+  for await (const page of pages) {
+    yield page
+      .map((a) => {
+        const row = dashboardRow(a);
+        return columns.map((c) => csvCell(row[c], { guardFormulas: true })).join(",") + "\r\n";
+      })
+      .join("");
+  }
+}
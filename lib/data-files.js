@@ -0,0 +1,79 @@
+// lib/data-files.js
+// Reading and writing table rows as JSON, JSONL or CSV for the data CLI.
+import path from "path";
+import { formatCsv, parseCsv } from "./csv.js";
+
+export const FORMATS = ["json", "jsonl", "csv"];
+
+// The explicit format, else the file extension (.ndjson counts as jsonl)
+export function formatOf(file, format) {
+  const f = (format || path.extname(file || "").slice(1) || "").toLowerCase();
+  return f === "ndjson" ? "jsonl" : f;
+}
+
+// CSV cells are text: empty means "not given", and JSON objects/arrays
+// (how nested columns are exported) are parsed back.
+function csvValue(cell) {
+  if (/^[[{]/.test(cell)) {
+    try {
+      return JSON.parse(cell);
+    } catch {
+      return cell;
+    }
+  }
+  return cell;
+}
+
+// Text → array of rows. Throws with the line or row number on bad input.
+// A JSON file may be an array, or an object of tables (the lowdb file) from
+// which `table` is taken.
+export function parseRecords(text, format, { table } = {}) {
+  switch (format) {
+    case "json": {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+      const rows = parsed?.[table];
+      if (rows === undefined) throw new Error(`No "${table}" in the JSON file`);
+      return Array.isArray(rows) ? rows : Object.values(rows || {});
+    }
+    case "jsonl":
+      return text.split(/\r?\n/).flatMap((line, i) => {
+        if (!line.trim()) return [];
+        try {
+          return [JSON.parse(line)];
+        } catch (err) {
+          throw new Error(`Line ${i + 1}: ${err.message}`);
+        }
+      });
+    case "csv": {
+      const [header, ...records] = parseCsv(text);
+      if (!header) return [];
+      return records.map((cells, i) => {
+        if (cells.length !== header.length)
+          throw new Error(`Row ${i + 1}: expected ${header.length} cells, got ${cells.length}`);
+        const row = {};
+        header.forEach((col, j) => {
+          if (cells[j] !== "") row[col] = csvValue(cells[j]);
+        });
+        return row;
+      });
+    }
+    default:
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(", ")})`);
+  }
+}
+
+export function serializeRecords(rows, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(rows, null, 2) + "\n";
+    case "jsonl":
+      return rows.map((r) => JSON.stringify(r) + "\n").join("");
+    case "csv": {
+      const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+      return formatCsv(rows, columns);
+    }
+    default:
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(", ")})`);
+  }
+}
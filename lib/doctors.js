@@ -0,0 +1,63 @@
+// lib/doctors.js
+// Doctors registry helpers. Until a doctor is added through the admin API the
+// clinic runs with a single built-in doctor, id "default", which is also the
+// doctor every older appointment (no doctor_id) belongs to.
+import { validate } from "./validation.js";
+
+export const DEFAULT_DOCTOR_ID = "default";
+export const CONSULT_TYPES = ["Online", "Offline"];
+
+export function defaultDoctor() {
+  return {
+    id: DEFAULT_DOCTOR_ID,
+    name: process.env.DEFAULT_DOCTOR_NAME || "SidhaHealth Doctor",
+    email: process.env.DEFAULT_DOCTOR_EMAIL || "tch231017@gmail.com",
+    specialties: [],
+    consult_types: CONSULT_TYPES,
+    fee: 500,
+    active: true,
+  };
+}
+
+export function doctorIdOf(appointment) {
+  return appointment.doctor_id || DEFAULT_DOCTOR_ID;
+}
+
+const DOCTOR_SCHEMA = {
+  id: { type: "id" },
+  name: { type: "string", required: true, max: 100 },
+  email: { type: "email", required: true },
+  specialties: { type: "list", default: [] },
+  consult_types: { type: "list", values: CONSULT_TYPES, required: true, default: CONSULT_TYPES },
+  fee: { type: "number", min: 0, required: true },
+  active: { type: "boolean" },
+};
+
+// Returns { value } or { errors }. With `partial`, only the fields given are
+// checked, so the result can be used as an update.
+export function validateDoctor(input = {}, { partial = false } = {}) {
+  if (!partial) return validate(DOCTOR_SCHEMA, input);
+  // The id can only be picked on create
+  const { id, ...editable } = DOCTOR_SCHEMA;
+  const given = Object.entries(editable).filter(([field]) => input?.[field] !== undefined);
+  return validate(Object.fromEntries(given), input);
+}
+
+export function offers(doctor, { specialty, consultType } = {}) {
+  if (consultType && !doctor.consult_types?.some((t) => t.toLowerCase() === String(consultType).toLowerCase()))
+    return false;
+  if (specialty && !doctor.specialties?.some((s) => s.toLowerCase() === String(specialty).toLowerCase()))
+    return false;
+  return true;
+}
+
+// Least recently assigned first; never-assigned doctors go to the front.
+export function roundRobinOrder(doctors) {
+  return [...doctors].sort((a, b) => (a.last_assigned_at || "").localeCompare(b.last_assigned_at || ""));
+}
+
+// What the booking frontend may see
+export function publicDoctor(doctor) {
+  const { id, name, specialties, consult_types, fee } = doctor;
+  return { id, name, specialties, consult_types, fee };
+}
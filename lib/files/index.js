@@ -0,0 +1,22 @@
+// lib/files/index.js
+// Storage for uploaded files (medical reports). Rows in the database point
+// at a key; the bytes live in a file store with a small async interface:
+//
+//   put(key, buffer, { contentType })
+//   get(key)     → Buffer, or null if missing
+//   remove(key)  → true if a file was removed
+//
+// Keys are relative paths of letters, digits, "-", "_", "." and "/".
+import path from "path";
+import { createLocalFileStore } from "./local.js";
+
+export function createFileStore({ driver = "local", rootDir = process.cwd() } = {}) {
+  switch (driver) {
+    case "local":
+      return createLocalFileStore({
+        dir: path.resolve(rootDir, process.env.FILE_STORE_DIR || "uploads"),
+      });
+    default:
+      throw new Error(`Unknown FILE_STORE "${driver}" (expected "local")`);
+  }
+}
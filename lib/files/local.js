@@ -0,0 +1,42 @@
+// lib/files/local.js
+// Local-disk file store: each key is a file under `dir`.
+import fs from "fs/promises";
+import path from "path";
+
+const KEY_RE = /^[A-Za-z0-9_-][A-Za-z0-9._/-]{0,255}$/;
+
+export function createLocalFileStore({ dir }) {
+  // Refuses keys that could point outside `dir`
+  function fileFor(key) {
+    if (!KEY_RE.test(key) || key.split("/").some((part) => !part || part === "." || part === ".."))
+      throw new Error(`Invalid file key "${key}"`);
+    return path.join(dir, key);
+  }
+
+  async function put(key, buffer) {
+    const file = fileFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer, { flag: "wx" });
+  }
+
+  async function get(key) {
+    try {
+      return await fs.readFile(fileFor(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fs.unlink(fileFor(key));
+      return true;
+    } catch (err) {
+      if (err.code === "ENOENT") return false;
+      throw err;
+    }
+  }
+
+  return { name: "local", put, get, remove };
+}
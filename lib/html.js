@@ -0,0 +1,16 @@
+// lib/html.js
+// Escaping for values interpolated into HTML pages and emails.
+
+const ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ENTITIES[ch]);
+}
+
+// Plain-text part for emails: tags dropped, entities turned back into text
+export function htmlToText(html) {
+  return html
+    .replace(/<[^>]+>/g, "")
+    .replace(/&middot;/g, "·")
+    .replace(/&(amp|lt|gt|quot|#39);/g, (m) => ({ "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" })[m]);
+}
@@ -0,0 +1,286 @@
+// lib/i18n/en.js
+// English strings, the fallback for every other language. {name} marks a
+// value filled in at render time. Strings used in HTML may carry markup.
+export default {
+  common: {
+    date: "Date",
+    time: "Time",
+    type: "Type",
+    doctor: "Doctor",
+    patient: "Patient",
+    name: "Name",
+    email: "Email",
+    specialty: "Specialty",
+    reason: "Reason",
+    requested_time: "Requested Time",
+    consult_type: "Consult Type",
+    final_time: "Final Time",
+    new_date: "New Date",
+    new_time: "New Time",
+    fee: "Fee",
+    video_link: "Video Link",
+    pay_now: "Pay Now",
+    join_video: "Join Video",
+  },
+  consult: {
+    online: "Online",
+    offline: "Offline",
+  },
+  layout: {
+    manage: "Need to change plans?",
+    reschedule: "Reschedule",
+    cancel: "Cancel",
+    notifications: "Notifications",
+    help: "For help, contact",
+  },
+  price: {
+    discount: "Discount",
+    taxable: "Taxable value",
+    cgst: "CGST @ {rate}",
+    sgst: "SGST @ {rate}",
+    total: "Total",
+  },
+
+  // Patient emails and texts
+  booking_received: {
+    subject: "Appointment Request Received",
+    intro: "Thanks, {name}. We've sent your request to {doctor}.",
+    outro: "You'll hear from us as soon as the doctor confirms.",
+    text: "SidhaHealth: we got your {type} appointment request for {date} at {time}. You'll hear from us once the doctor confirms.",
+  },
+  confirmed: {
+    subject: "Your Appointment is Confirmed",
+    title: "Appointment Confirmed",
+    follow_up: "(follow-up)",
+    after_discount: "after {discount} discount",
+    pay_online: "Online video consultation—please pay by clicking the button below.",
+    pay_clinic: "Please pay at the clinic.",
+    text: "SidhaHealth: your appointment with {doctor} is confirmed for {date} at {time}.",
+    text_pay: "Fee {fee}, pay here: {link}",
+    text_clinic: "Please pay at the clinic.",
+  },
+  declined: {
+    subject: "Appointment Declined",
+    body: "Your appointment on <strong>{date}</strong> has been declined by the doctor.",
+    text: "SidhaHealth: sorry, the doctor could not take your appointment on {date}. Reason: {reason}",
+    alternatives: "The doctor can see you at one of these times instead. Choose one to book it; it is confirmed straight away:",
+  },
+  reschedule_declined: {
+    subject: "Reschedule Request Declined",
+    body: "The doctor could not move your appointment. It stays on <strong>{date}</strong> at <strong>{time}</strong>.",
+    text: "SidhaHealth: the doctor could not move your appointment; it stays on {date} at {time}. Reason: {reason}",
+  },
+  rescheduled: {
+    subject: "Your Appointment was Rescheduled",
+    title: "Appointment Rescheduled",
+    previously: "Previously: {date} at {time}",
+  },
+  cancelled: {
+    subject: "Your Appointment was Cancelled",
+    title: "Appointment Cancelled",
+    body: "Your appointment with {doctor} has been cancelled.",
+    body_by_patient: "Your appointment with {doctor} has been cancelled as you requested.",
+  },
+  reminder: {
+    subject_day: "Reminder: your appointment tomorrow",
+    subject_hour: "Reminder: your appointment in about an hour",
+    title: "⏰ Appointment Reminder",
+    body_day: "Your appointment is tomorrow.",
+    body_hour: "Your appointment is in about an hour.",
+    unpaid: "Your payment is still pending. Please pay before joining the call.",
+  },
+  prescription: {
+    subject: "Your prescription from {doctor}",
+    subject_updated: "Updated prescription from {doctor}",
+    title: "💊 Your Prescription",
+    body: "{doctor} has shared the notes and prescription from your consultation. The PDF is attached.",
+    body_updated: "{doctor} has updated the notes and prescription from your consultation. The attached PDF replaces the earlier one.",
+    download: "Download Prescription",
+    text: "SidhaHealth: your prescription from {doctor} is ready: {link}",
+  },
+  receipt: {
+    subject: "Your SidhaHealth receipt {receipt}",
+    title: "🧾 Payment Receipt",
+    receipt_no: "Receipt No",
+    appointment: "Appointment",
+    download: "Download PDF",
+    text: "SidhaHealth: payment of {amount} received for {date} at {time}. Receipt {receipt}.",
+  },
+  waitlist_joined: {
+    subject: "You're on the Waitlist",
+    body: "You're on the waitlist for <strong>{date}</strong>. If a time opens up that day, we'll email you a link to claim it.",
+  },
+  waitlist_offer: {
+    subject: "A Time Opened Up for You",
+    title: "⏰ A Time Opened Up",
+    body: "We're holding this time for you until <strong>{expires}</strong>. After that it goes to the next person on the waitlist.",
+    button: "Claim This Time",
+  },
+
+  // Doctor emails (always English)
+  doctor: {
+    new_request: {
+      subject: "New Appointment Request",
+      title: "🩺 New Appointment Request",
+      decline_title: "Decline Appointment",
+      confirm: "Confirm Appointment",
+      decline: "Decline Appointment",
+    },
+    intake: {
+      title: "Before the consultation",
+      complaint: "Chief complaint",
+      duration: "For how long",
+      medications: "Current medications",
+      allergies: "Allergies",
+      reports: "Medical reports",
+    },
+    confirmed: {
+      subject: "Appointment Confirmed - Final Details",
+      feed: "All your appointments: <a href=\"{link}\">subscribe to your calendar feed</a>",
+    },
+    rescheduled: {
+      subject: "Appointment Rescheduled - Final Details",
+    },
+    cancelled: {
+      subject: "Appointment Cancelled",
+      subject_by_patient: "Appointment Cancelled by Patient",
+    },
+    reminder: {
+      subject_day: "Reminder: {name} tomorrow",
+      subject_hour: "Reminder: {name} in about an hour",
+      title: "⏰ Upcoming Appointment",
+    },
+    notes: "After the consultation, <a href=\"{link}\">record your notes and the prescription</a>. The patient gets the prescription by email.",
+    reschedule_request: {
+      subject: "Reschedule Request",
+      title: "🔁 Reschedule Request",
+      keep_title: "Keep Original Time",
+      current: "Current",
+      requested: "Requested",
+      confirm: "Confirm New Time",
+      decline: "Decline Reschedule",
+    },
+  },
+
+  // Patient portal
+  portal: {
+    title: "My Appointments – SidhaHealth",
+    sign_in: {
+      intro: "Enter the email you booked with and we'll send you a sign-in link.",
+      submit: "Send Sign-in Link",
+      sent_heading: "Check Your Email",
+      sent: "If we have appointments for {email}, a sign-in link is on its way. It works once and expires in {minutes} minutes.",
+      confirm: "Sign in to see your SidhaHealth appointments.",
+      button: "Sign In",
+    },
+    email: {
+      subject: "Your SidhaHealth sign-in link",
+      title: "Sign in to SidhaHealth",
+      body: "Use the button below to see your appointments. The link works once and expires in {minutes} minutes.",
+      ignore: "If you didn't ask to sign in, you can ignore this email.",
+      button: "See My Appointments",
+    },
+    home: {
+      heading: "My Appointments",
+      signed_in: "Signed in as {email}",
+      sign_out: "Sign out",
+      upcoming: "Upcoming",
+      past: "Past",
+      none_upcoming: "No upcoming appointments.",
+      none_past: "No past appointments.",
+      paid: "Paid",
+      due: "Payment due",
+      not_due: "Not yet due",
+      receipt: "Receipt",
+      prescription: "Prescription",
+      book_again: "Book Again",
+    },
+    status: {
+      requested: "Waiting for doctor",
+      confirmed: "Confirmed",
+      awaiting_payment: "Awaiting payment",
+      paid: "Paid",
+      completed: "Completed",
+      declined: "Declined",
+      cancelled: "Cancelled",
+      no_show: "Missed",
+    },
+    rebook: {
+      heading: "Book Again with {doctor}",
+      show_times: "Show Times",
+      submit: "Request Appointment",
+      no_times: "No open times on {date}. Please try another date.",
+      sent_heading: "Request Sent ✅",
+      sent: "We sent your request to {doctor}. You'll get an email once they confirm.",
+      duplicate_heading: "Request Already Pending",
+      duplicate: "You already have a pending request for this date. The doctor will reply to it soon.",
+      failed_heading: "Couldn't Book",
+      back: "Back to My Appointments",
+    },
+    expired_heading: "Signed Out",
+    expired: "Your session has ended. Please sign in again.",
+  },
+
+  // Taking an offered time (decline alternatives, waitlist)
+  offer: {
+    alternative: {
+      heading: "Book This Time?",
+      intro: "Your doctor offered this time instead. Confirm to book it.",
+      button: "Book This Time",
+      used_heading: "Already Booked",
+      used: "You've already booked one of the times offered for this appointment.",
+      done_heading: "Appointment Confirmed ✅",
+      done: "Your appointment is confirmed. We've emailed you the details.",
+    },
+    waitlist: {
+      heading: "Claim This Time?",
+      intro: "We're holding this time for you until {expires}.",
+      button: "Claim This Time",
+      claimed_heading: "Already Claimed",
+      claimed: "You've already claimed this time.",
+      expired_heading: "Offer Ended",
+      expired: "This offer has ended and the time went to the next person on the waitlist.",
+      done_heading: "Request Sent ✅",
+      done: "We sent your request to {doctor}. You'll get an email once they confirm.",
+    },
+    taken_heading: "Time No Longer Available",
+    taken: "Someone else has booked this time. Please choose another.",
+  },
+
+  // Patient pages
+  pages: {
+    help: "Need help?",
+    help_email: "Email",
+    payment: {
+      title: "Pay to Confirm Appointment – SidhaHealth",
+      warn_strong: "Do NOT pay before your appointment time.",
+      warn: "Please pay only <u>when you join your video call</u> and a doctor is present.",
+      heading: "Pay & Confirm Your Appointment",
+      paid: "✅ Payment received.",
+      pending: "Your appointment is confirmed as soon as the payment goes through.",
+      continue: "Continue",
+      check: "Check Payment Status",
+      simulate: "Simulate Payment (test mode)",
+      never_share: "Never share your PIN/OTP with anyone.",
+    },
+    not_paid: {
+      title: "Payment Not Received Yet",
+      body: "We haven't received your payment. If you just paid, wait a minute and check again.",
+      back: "Back to payment",
+    },
+    paid: {
+      title: "Payment Confirmed – SidhaHealth",
+      video_title: "Video Consultation Ready – SidhaHealth",
+      success: "✅ Payment Confirmed!",
+      video_ready: "Your video consultation is ready.",
+      pay_at_start: "Please <b>pay at the start of your call</b> if not already done.",
+      join: "Join Now",
+      clinic: "Your appointment at SidhaHealth is confirmed.",
+    },
+    room: {
+      opens_in: "Your consultation room opens in",
+      opens_at: "It opens at {time}. Keep this page open and the Join button will turn on.",
+      ended: "This consultation has ended and its video room is closed.",
+    },
+  },
+};
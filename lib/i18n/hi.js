@@ -0,0 +1,233 @@
+// lib/i18n/hi.js
+// Hindi strings. Doctor emails are English only, so they have no entries here.
+export default {
+  common: {
+    date: "तारीख",
+    time: "समय",
+    type: "प्रकार",
+    doctor: "डॉक्टर",
+    patient: "मरीज़",
+    name: "नाम",
+    email: "ईमेल",
+    reason: "कारण",
+    requested_time: "अनुरोधित समय",
+    consult_type: "परामर्श का प्रकार",
+    final_time: "तय समय",
+    new_date: "नई तारीख",
+    new_time: "नया समय",
+    fee: "फ़ीस",
+    video_link: "वीडियो लिंक",
+    pay_now: "अभी भुगतान करें",
+    join_video: "वीडियो से जुड़ें",
+  },
+  consult: {
+    online: "ऑनलाइन",
+    offline: "क्लिनिक में",
+  },
+  layout: {
+    manage: "योजना बदल गई?",
+    reschedule: "समय बदलें",
+    cancel: "रद्द करें",
+    notifications: "सूचनाएँ",
+    help: "मदद के लिए संपर्क करें:",
+  },
+  price: {
+    discount: "छूट",
+    taxable: "कर योग्य मूल्य",
+    total: "कुल",
+  },
+
+  booking_received: {
+    subject: "अपॉइंटमेंट अनुरोध मिला",
+    intro: "धन्यवाद, {name}। हमने आपका अनुरोध {doctor} को भेज दिया है।",
+    outro: "डॉक्टर के पुष्टि करते ही हम आपको बताएँगे।",
+    text: "SidhaHealth: {date} को {time} बजे के लिए आपका {type} अपॉइंटमेंट अनुरोध मिल गया है। डॉक्टर की पुष्टि होते ही हम बताएँगे।",
+  },
+  confirmed: {
+    subject: "आपका अपॉइंटमेंट पक्का हो गया है",
+    title: "अपॉइंटमेंट पक्का",
+    follow_up: "(फ़ॉलो-अप)",
+    after_discount: "{discount} की छूट के बाद",
+    pay_online: "ऑनलाइन वीडियो परामर्श—कृपया नीचे दिए बटन से भुगतान करें।",
+    pay_clinic: "कृपया क्लिनिक पर भुगतान करें।",
+    text: "SidhaHealth: {doctor} के साथ आपका अपॉइंटमेंट {date}, {time} बजे के लिए पक्का हो गया है।",
+    text_pay: "फ़ीस {fee}, यहाँ भुगतान करें: {link}",
+    text_clinic: "कृपया क्लिनिक पर भुगतान करें।",
+  },
+  declined: {
+    subject: "अपॉइंटमेंट अस्वीकार",
+    body: "<strong>{date}</strong> का आपका अपॉइंटमेंट डॉक्टर ने अस्वीकार कर दिया है।",
+    text: "SidhaHealth: क्षमा करें, डॉक्टर {date} को आपका अपॉइंटमेंट नहीं ले सके। कारण: {reason}",
+    alternatives: "डॉक्टर इनमें से किसी समय पर आपसे मिल सकते हैं। कोई एक चुनें; वह तुरंत कन्फ़र्म हो जाएगा:",
+  },
+  reschedule_declined: {
+    subject: "समय बदलने का अनुरोध अस्वीकार",
+    body: "डॉक्टर आपका अपॉइंटमेंट नहीं बदल सके। यह <strong>{date}</strong> को <strong>{time}</strong> बजे ही रहेगा।",
+    text: "SidhaHealth: डॉक्टर आपका अपॉइंटमेंट नहीं बदल सके; यह {date}, {time} बजे ही रहेगा। कारण: {reason}",
+  },
+  rescheduled: {
+    subject: "आपके अपॉइंटमेंट का समय बदला गया",
+    title: "अपॉइंटमेंट का समय बदला",
+    previously: "पहले: {date}, {time} बजे",
+  },
+  cancelled: {
+    subject: "आपका अपॉइंटमेंट रद्द हो गया",
+    title: "अपॉइंटमेंट रद्द",
+    body: "{doctor} के साथ आपका अपॉइंटमेंट रद्द कर दिया गया है।",
+    body_by_patient: "आपके अनुरोध पर {doctor} के साथ आपका अपॉइंटमेंट रद्द कर दिया गया है।",
+  },
+  reminder: {
+    subject_day: "याद दिलाना: आपका अपॉइंटमेंट कल है",
+    subject_hour: "याद दिलाना: आपका अपॉइंटमेंट लगभग एक घंटे में है",
+    title: "⏰ अपॉइंटमेंट रिमाइंडर",
+    body_day: "आपका अपॉइंटमेंट कल है।",
+    body_hour: "आपका अपॉइंटमेंट लगभग एक घंटे में है।",
+    unpaid: "आपका भुगतान अभी बाकी है। कृपया कॉल से जुड़ने से पहले भुगतान करें।",
+  },
+  prescription: {
+    subject: "{doctor} का पर्चा",
+    subject_updated: "{doctor} का अपडेट किया गया पर्चा",
+    title: "💊 आपका पर्चा",
+    body: "{doctor} ने आपके परामर्श के नोट्स और पर्चा साझा किया है। PDF संलग्न है।",
+    body_updated: "{doctor} ने आपके परामर्श के नोट्स और पर्चा अपडेट किया है। संलग्न PDF पिछले वाले की जगह लेता है।",
+    download: "पर्चा डाउनलोड करें",
+    text: "SidhaHealth: {doctor} का आपका पर्चा तैयार है: {link}",
+  },
+  receipt: {
+    subject: "आपकी SidhaHealth रसीद {receipt}",
+    title: "🧾 भुगतान रसीद",
+    receipt_no: "रसीद संख्या",
+    appointment: "अपॉइंटमेंट",
+    download: "PDF डाउनलोड करें",
+    text: "SidhaHealth: {date}, {time} बजे के अपॉइंटमेंट के लिए {amount} का भुगतान मिला। रसीद {receipt}।",
+  },
+  waitlist_joined: {
+    subject: "आप वेटलिस्ट में हैं",
+    body: "आप <strong>{date}</strong> की वेटलिस्ट में हैं। उस दिन कोई समय खाली होने पर हम आपको उसे लेने का लिंक ईमेल करेंगे।",
+  },
+  waitlist_offer: {
+    subject: "आपके लिए एक समय खाली हुआ है",
+    title: "⏰ एक समय खाली हुआ है",
+    body: "हम यह समय <strong>{expires}</strong> तक आपके लिए रोक रहे हैं। उसके बाद यह वेटलिस्ट में अगले व्यक्ति को चला जाएगा।",
+    button: "यह समय लें",
+  },
+
+  portal: {
+    title: "मेरे अपॉइंटमेंट – SidhaHealth",
+    sign_in: {
+      intro: "जिस ईमेल से बुकिंग की थी वह डालें, हम आपको साइन-इन लिंक भेजेंगे।",
+      submit: "साइन-इन लिंक भेजें",
+      sent_heading: "अपना ईमेल देखें",
+      sent: "अगर {email} के अपॉइंटमेंट हमारे पास हैं, तो साइन-इन लिंक भेजा जा रहा है। यह एक बार चलेगा और {minutes} मिनट में समाप्त हो जाएगा।",
+      confirm: "अपने SidhaHealth अपॉइंटमेंट देखने के लिए साइन इन करें।",
+      button: "साइन इन करें",
+    },
+    email: {
+      subject: "आपका SidhaHealth साइन-इन लिंक",
+      title: "SidhaHealth में साइन इन करें",
+      body: "अपने अपॉइंटमेंट देखने के लिए नीचे दिया बटन दबाएँ। लिंक एक बार चलेगा और {minutes} मिनट में समाप्त हो जाएगा।",
+      ignore: "अगर आपने साइन इन नहीं माँगा था, तो इस ईमेल को अनदेखा करें।",
+      button: "मेरे अपॉइंटमेंट देखें",
+    },
+    home: {
+      heading: "मेरे अपॉइंटमेंट",
+      signed_in: "{email} के रूप में साइन इन",
+      sign_out: "साइन आउट",
+      upcoming: "आने वाले",
+      past: "पिछले",
+      none_upcoming: "कोई आने वाला अपॉइंटमेंट नहीं।",
+      none_past: "कोई पिछला अपॉइंटमेंट नहीं।",
+      paid: "भुगतान हो गया",
+      due: "भुगतान बाकी",
+      not_due: "अभी देय नहीं",
+      receipt: "रसीद",
+      prescription: "पर्चा",
+      book_again: "फिर से बुक करें",
+    },
+    status: {
+      requested: "डॉक्टर की प्रतीक्षा",
+      confirmed: "पक्का",
+      awaiting_payment: "भुगतान की प्रतीक्षा",
+      paid: "भुगतान हो गया",
+      completed: "पूरा हुआ",
+      declined: "अस्वीकार",
+      cancelled: "रद्द",
+      no_show: "छूट गया",
+    },
+    rebook: {
+      heading: "{doctor} के साथ फिर से बुक करें",
+      show_times: "समय दिखाएँ",
+      submit: "अपॉइंटमेंट का अनुरोध करें",
+      no_times: "{date} को कोई समय खाली नहीं है। कृपया दूसरी तारीख़ चुनें।",
+      sent_heading: "अनुरोध भेजा गया ✅",
+      sent: "हमने आपका अनुरोध {doctor} को भेज दिया है। पुष्टि होते ही आपको ईमेल मिलेगा।",
+      duplicate_heading: "अनुरोध पहले से लंबित है",
+      duplicate: "इस तारीख़ के लिए आपका अनुरोध पहले से लंबित है। डॉक्टर जल्द जवाब देंगे।",
+      failed_heading: "बुक नहीं हो सका",
+      back: "मेरे अपॉइंटमेंट पर वापस जाएँ",
+    },
+    expired_heading: "साइन आउट हो गया",
+    expired: "आपका सेशन समाप्त हो गया है। कृपया फिर से साइन इन करें।",
+  },
+
+  offer: {
+    alternative: {
+      heading: "यह समय बुक करें?",
+      intro: "आपके डॉक्टर ने इसके बजाय यह समय दिया है। बुक करने के लिए कन्फ़र्म करें।",
+      button: "यह समय बुक करें",
+      used_heading: "पहले ही बुक हो चुका है",
+      used: "आप इस अपॉइंटमेंट के लिए दिए गए समयों में से एक पहले ही बुक कर चुके हैं।",
+      done_heading: "अपॉइंटमेंट कन्फ़र्म ✅",
+      done: "आपका अपॉइंटमेंट कन्फ़र्म हो गया है। हमने विवरण ईमेल कर दिया है।",
+    },
+    waitlist: {
+      heading: "यह समय लें?",
+      intro: "हम यह समय {expires} तक आपके लिए रोक रहे हैं।",
+      button: "यह समय लें",
+      claimed_heading: "पहले ही लिया जा चुका है",
+      claimed: "आप यह समय पहले ही ले चुके हैं।",
+      expired_heading: "ऑफ़र समाप्त",
+      expired: "यह ऑफ़र समाप्त हो गया है और समय वेटलिस्ट में अगले व्यक्ति को चला गया है।",
+      done_heading: "अनुरोध भेजा गया ✅",
+      done: "हमने आपका अनुरोध {doctor} को भेज दिया है। उनके कन्फ़र्म करते ही आपको ईमेल मिलेगा।",
+    },
+    taken_heading: "समय अब उपलब्ध नहीं",
+    taken: "यह समय किसी और ने बुक कर लिया है। कृपया कोई दूसरा समय चुनें।",
+  },
+
+  pages: {
+    help: "मदद चाहिए?",
+    help_email: "ईमेल करें:",
+    payment: {
+      title: "अपॉइंटमेंट पक्का करने के लिए भुगतान – SidhaHealth",
+      warn_strong: "अपॉइंटमेंट के समय से पहले भुगतान न करें।",
+      warn: "कृपया <u>वीडियो कॉल से जुड़ने पर</u> और डॉक्टर के मौजूद होने पर ही भुगतान करें।",
+      heading: "भुगतान करें और अपॉइंटमेंट पक्का करें",
+      paid: "✅ भुगतान मिल गया।",
+      pending: "भुगतान होते ही आपका अपॉइंटमेंट पक्का हो जाएगा।",
+      continue: "आगे बढ़ें",
+      check: "भुगतान की स्थिति देखें",
+      simulate: "भुगतान का अनुकरण (टेस्ट मोड)",
+      never_share: "अपना PIN/OTP कभी किसी को न बताएँ।",
+    },
+    not_paid: {
+      title: "भुगतान अभी नहीं मिला",
+      body: "हमें अभी तक आपका भुगतान नहीं मिला है। अगर आपने अभी भुगतान किया है, तो एक मिनट रुककर फिर देखें।",
+      back: "भुगतान पर वापस जाएँ",
+    },
+    paid: {
+      title: "भुगतान की पुष्टि – SidhaHealth",
+      video_title: "वीडियो परामर्श तैयार – SidhaHealth",
+      success: "✅ भुगतान की पुष्टि हो गई!",
+      video_ready: "आपका वीडियो परामर्श तैयार है।",
+      pay_at_start: "अगर भुगतान नहीं किया है तो <b>कॉल की शुरुआत में भुगतान करें</b>।",
+      join: "अभी जुड़ें",
+      clinic: "SidhaHealth पर आपका अपॉइंटमेंट पक्का हो गया है।",
+    },
+    room: {
+      opens_in: "आपका परामर्श कक्ष खुलने में बाकी समय",
+      opens_at: "कक्ष {time} बजे खुलेगा। यह पेज खुला रखें, जुड़ने का बटन अपने आप चालू हो जाएगा।",
+      ended: "यह परामर्श समाप्त हो गया है और वीडियो कक्ष बंद है।",
+    },
+  },
+};
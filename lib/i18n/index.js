@@ -0,0 +1,70 @@
+// lib/i18n/index.js
+// Patient languages, string catalogs and locale-aware formatting of dates,
+// times and ₹ amounts. A key missing from a catalog falls back to English.
+import en from "./en.js";
+import ta from "./ta.js";
+import hi from "./hi.js";
+import { escapeHtml } from "../html.js";
+
+export const LANGUAGES = ["en", "ta", "hi"];
+export const DEFAULT_LANGUAGE = "en";
+
+const CATALOGS = { en, ta, hi };
+const LOCALES = { en: "en-IN", ta: "ta-IN", hi: "hi-IN" };
+
+// The language stored on an appointment, English for older rows
+export function languageOf(appointment) {
+  return LANGUAGES.includes(appointment?.language) ? appointment.language : DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+  const value = key.split(".").reduce((node, part) => (node == null ? node : node[part]), catalog);
+  return typeof value === "string" ? value : null;
+}
+
+function interpolate(str, vars, encode) {
+  return str.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? encode(vars[name] ?? "") : match));
+}
+
+// t() gives plain text (subjects, SMS); h() gives HTML, escaping the values
+// but not the catalog string, which may carry <strong> and the like.
+export function createI18n(lang, { timeZone = "Asia/Kolkata" } = {}) {
+  const language = LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+  const locale = LOCALES[language];
+  const string = (key) => lookup(CATALOGS[language], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+
+  const dateFormat = new Intl.DateTimeFormat(locale, {
+    weekday: "short", day: "numeric", month: "long", year: "numeric", timeZone: "UTC",
+  });
+  const timeFormat = new Intl.DateTimeFormat(locale, { hour: "numeric", minute: "2-digit", hour12: true, timeZone });
+
+  return {
+    lang: language,
+    locale,
+    t: (key, vars = {}) => interpolate(string(key), vars, String),
+    h: (key, vars = {}) => interpolate(string(key), vars, escapeHtml),
+
+    // YYYY-MM-DD calendar date → "Thu, 22 October 2026" in the locale
+    date(ymd) {
+      const d = new Date(`${ymd}T00:00:00Z`);
+      return isNaN(d) ? String(ymd ?? "") : dateFormat.format(d);
+    },
+
+    // Slot start instant in the clinic zone; `fallback` for rows without one
+    time(iso, fallback = "") {
+      const d = new Date(iso);
+      if (!iso || isNaN(d)) return fallback || "";
+      const s = timeFormat.format(d);
+      return language === "en" ? s.toUpperCase() : s;
+    },
+
+    // ₹1,500 for whole rupees, ₹1,234.50 otherwise
+    money(amount) {
+      const n = Number(amount) || 0;
+      const digits = Number.isInteger(n) ? 0 : 2;
+      return new Intl.NumberFormat(locale, {
+        style: "currency", currency: "INR", minimumFractionDigits: digits, maximumFractionDigits: digits,
+      }).format(n);
+    },
+  };
+}
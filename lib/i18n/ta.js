@@ -0,0 +1,233 @@
+// lib/i18n/ta.js
+// Tamil strings. Doctor emails are English only, so they have no entries here.
+export default {
+  common: {
+    date: "தேதி",
+    time: "நேரம்",
+    type: "வகை",
+    doctor: "மருத்துவர்",
+    patient: "நோயாளி",
+    name: "பெயர்",
+    email: "மின்னஞ்சல்",
+    reason: "காரணம்",
+    requested_time: "கோரிய நேரம்",
+    consult_type: "ஆலோசனை வகை",
+    final_time: "உறுதியான நேரம்",
+    new_date: "புதிய தேதி",
+    new_time: "புதிய நேரம்",
+    fee: "கட்டணம்",
+    video_link: "வீடியோ இணைப்பு",
+    pay_now: "இப்போது செலுத்துங்கள்",
+    join_video: "வீடியோவில் இணையுங்கள்",
+  },
+  consult: {
+    online: "ஆன்லைன்",
+    offline: "நேரடி",
+  },
+  layout: {
+    manage: "திட்டம் மாறியதா?",
+    reschedule: "நேரத்தை மாற்று",
+    cancel: "ரத்து செய்",
+    notifications: "அறிவிப்புகள்",
+    help: "உதவிக்கு தொடர்பு கொள்ளவும்:",
+  },
+  price: {
+    discount: "தள்ளுபடி",
+    taxable: "வரிக்குட்பட்ட மதிப்பு",
+    total: "மொத்தம்",
+  },
+
+  booking_received: {
+    subject: "சந்திப்பு கோரிக்கை பெறப்பட்டது",
+    intro: "நன்றி, {name}. உங்கள் கோரிக்கையை {doctor} அவர்களுக்கு அனுப்பியுள்ளோம்.",
+    outro: "மருத்துவர் உறுதி செய்தவுடன் உங்களுக்குத் தெரிவிப்போம்.",
+    text: "SidhaHealth: {date} அன்று {time} மணிக்கான உங்கள் {type} சந்திப்பு கோரிக்கை கிடைத்தது. மருத்துவர் உறுதி செய்தவுடன் தெரிவிப்போம்.",
+  },
+  confirmed: {
+    subject: "உங்கள் சந்திப்பு உறுதி செய்யப்பட்டது",
+    title: "சந்திப்பு உறுதி",
+    follow_up: "(தொடர் ஆலோசனை)",
+    after_discount: "{discount} தள்ளுபடிக்குப் பின்",
+    pay_online: "ஆன்லைன் வீடியோ ஆலோசனை—கீழே உள்ள பொத்தானை அழுத்திக் கட்டணம் செலுத்துங்கள்.",
+    pay_clinic: "கட்டணத்தை மருத்துவமனையில் செலுத்துங்கள்.",
+    text: "SidhaHealth: {doctor} உடனான உங்கள் சந்திப்பு {date}, {time} க்கு உறுதி செய்யப்பட்டது.",
+    text_pay: "கட்டணம் {fee}, இங்கே செலுத்துங்கள்: {link}",
+    text_clinic: "கட்டணத்தை மருத்துவமனையில் செலுத்துங்கள்.",
+  },
+  declined: {
+    subject: "சந்திப்பு நிராகரிக்கப்பட்டது",
+    body: "<strong>{date}</strong> அன்றைய உங்கள் சந்திப்பை மருத்துவர் நிராகரித்துள்ளார்.",
+    text: "SidhaHealth: மன்னிக்கவும், {date} அன்று மருத்துவரால் உங்களைச் சந்திக்க இயலவில்லை. காரணம்: {reason}",
+    alternatives: "மருத்துவர் இவற்றில் ஒரு நேரத்தில் உங்களைச் சந்திக்க முடியும். ஒன்றைத் தேர்ந்தெடுத்தால் உடனே உறுதி செய்யப்படும்:",
+  },
+  reschedule_declined: {
+    subject: "நேர மாற்றக் கோரிக்கை நிராகரிக்கப்பட்டது",
+    body: "மருத்துவரால் உங்கள் சந்திப்பை மாற்ற இயலவில்லை. அது <strong>{date}</strong>, <strong>{time}</strong> அன்றே தொடரும்.",
+    text: "SidhaHealth: மருத்துவரால் உங்கள் சந்திப்பை மாற்ற இயலவில்லை; அது {date}, {time} அன்றே தொடரும். காரணம்: {reason}",
+  },
+  rescheduled: {
+    subject: "உங்கள் சந்திப்பு நேரம் மாற்றப்பட்டது",
+    title: "சந்திப்பு நேரம் மாற்றப்பட்டது",
+    previously: "முன்பு: {date}, {time}",
+  },
+  cancelled: {
+    subject: "உங்கள் சந்திப்பு ரத்து செய்யப்பட்டது",
+    title: "சந்திப்பு ரத்து",
+    body: "{doctor} உடனான உங்கள் சந்திப்பு ரத்து செய்யப்பட்டது.",
+    body_by_patient: "உங்கள் கோரிக்கையின்படி {doctor} உடனான சந்திப்பு ரத்து செய்யப்பட்டது.",
+  },
+  reminder: {
+    subject_day: "நினைவூட்டல்: உங்கள் சந்திப்பு நாளை",
+    subject_hour: "நினைவூட்டல்: உங்கள் சந்திப்பு சுமார் ஒரு மணி நேரத்தில்",
+    title: "⏰ சந்திப்பு நினைவூட்டல்",
+    body_day: "உங்கள் சந்திப்பு நாளை.",
+    body_hour: "உங்கள் சந்திப்பு சுமார் ஒரு மணி நேரத்தில்.",
+    unpaid: "உங்கள் கட்டணம் இன்னும் நிலுவையில் உள்ளது. அழைப்பில் இணைவதற்கு முன் செலுத்துங்கள்.",
+  },
+  prescription: {
+    subject: "{doctor} அவர்களின் மருந்துச் சீட்டு",
+    subject_updated: "{doctor} அவர்களின் புதுப்பிக்கப்பட்ட மருந்துச் சீட்டு",
+    title: "💊 உங்கள் மருந்துச் சீட்டு",
+    body: "உங்கள் ஆலோசனைக் குறிப்புகளையும் மருந்துச் சீட்டையும் {doctor} பகிர்ந்துள்ளார். PDF இணைக்கப்பட்டுள்ளது.",
+    body_updated: "உங்கள் ஆலோசனைக் குறிப்புகளையும் மருந்துச் சீட்டையும் {doctor} புதுப்பித்துள்ளார். இணைக்கப்பட்ட PDF முந்தையதற்குப் பதிலானது.",
+    download: "மருந்துச் சீட்டைப் பதிவிறக்கு",
+    text: "SidhaHealth: {doctor} அவர்களின் மருந்துச் சீட்டு தயார்: {link}",
+  },
+  receipt: {
+    subject: "உங்கள் SidhaHealth ரசீது {receipt}",
+    title: "🧾 கட்டண ரசீது",
+    receipt_no: "ரசீது எண்",
+    appointment: "சந்திப்பு",
+    download: "PDF பதிவிறக்கம்",
+    text: "SidhaHealth: {date}, {time} சந்திப்புக்கான {amount} கட்டணம் பெறப்பட்டது. ரசீது {receipt}.",
+  },
+  waitlist_joined: {
+    subject: "நீங்கள் காத்திருப்புப் பட்டியலில் உள்ளீர்கள்",
+    body: "<strong>{date}</strong> க்கான காத்திருப்புப் பட்டியலில் நீங்கள் சேர்க்கப்பட்டுள்ளீர்கள். அன்று ஒரு நேரம் காலியானால், அதைப் பெறும் இணைப்பை மின்னஞ்சலில் அனுப்புவோம்.",
+  },
+  waitlist_offer: {
+    subject: "உங்களுக்காக ஒரு நேரம் காலியாகியுள்ளது",
+    title: "⏰ ஒரு நேரம் காலியாகியுள்ளது",
+    body: "இந்த நேரத்தை <strong>{expires}</strong> வரை உங்களுக்காக வைத்திருக்கிறோம். அதன் பிறகு அது காத்திருப்புப் பட்டியலில் அடுத்தவருக்குச் செல்லும்.",
+    button: "இந்த நேரத்தைப் பெறுக",
+  },
+
+  portal: {
+    title: "என் சந்திப்புகள் – SidhaHealth",
+    sign_in: {
+      intro: "முன்பதிவு செய்த மின்னஞ்சலை உள்ளிடுங்கள்; உள்நுழைவு இணைப்பை அனுப்புவோம்.",
+      submit: "உள்நுழைவு இணைப்பை அனுப்பு",
+      sent_heading: "உங்கள் மின்னஞ்சலைப் பாருங்கள்",
+      sent: "{email} க்கு சந்திப்புகள் இருந்தால், உள்நுழைவு இணைப்பு அனுப்பப்படுகிறது. அது ஒருமுறை மட்டுமே இயங்கும்; {minutes} நிமிடங்களில் காலாவதியாகும்.",
+      confirm: "உங்கள் SidhaHealth சந்திப்புகளைப் பார்க்க உள்நுழையுங்கள்.",
+      button: "உள்நுழை",
+    },
+    email: {
+      subject: "உங்கள் SidhaHealth உள்நுழைவு இணைப்பு",
+      title: "SidhaHealth இல் உள்நுழையுங்கள்",
+      body: "உங்கள் சந்திப்புகளைப் பார்க்க கீழே உள்ள பொத்தானை அழுத்துங்கள். இணைப்பு ஒருமுறை மட்டுமே இயங்கும்; {minutes} நிமிடங்களில் காலாவதியாகும்.",
+      ignore: "நீங்கள் உள்நுழையக் கேட்கவில்லை எனில், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.",
+      button: "என் சந்திப்புகளைப் பார்",
+    },
+    home: {
+      heading: "என் சந்திப்புகள்",
+      signed_in: "{email} ஆக உள்நுழைந்துள்ளீர்கள்",
+      sign_out: "வெளியேறு",
+      upcoming: "வரவிருக்கும்",
+      past: "முந்தைய",
+      none_upcoming: "வரவிருக்கும் சந்திப்புகள் இல்லை.",
+      none_past: "முந்தைய சந்திப்புகள் இல்லை.",
+      paid: "செலுத்தப்பட்டது",
+      due: "கட்டணம் நிலுவை",
+      not_due: "இன்னும் நிலுவையில் இல்லை",
+      receipt: "ரசீது",
+      prescription: "மருந்துச் சீட்டு",
+      book_again: "மீண்டும் முன்பதிவு",
+    },
+    status: {
+      requested: "மருத்துவருக்காகக் காத்திருக்கிறது",
+      confirmed: "உறுதி செய்யப்பட்டது",
+      awaiting_payment: "கட்டணத்துக்காகக் காத்திருக்கிறது",
+      paid: "செலுத்தப்பட்டது",
+      completed: "முடிந்தது",
+      declined: "நிராகரிக்கப்பட்டது",
+      cancelled: "ரத்து செய்யப்பட்டது",
+      no_show: "தவறவிட்டது",
+    },
+    rebook: {
+      heading: "{doctor} உடன் மீண்டும் முன்பதிவு",
+      show_times: "நேரங்களைக் காட்டு",
+      submit: "சந்திப்பைக் கோரு",
+      no_times: "{date} அன்று நேரங்கள் இல்லை. வேறு தேதியை முயற்சிக்கவும்.",
+      sent_heading: "கோரிக்கை அனுப்பப்பட்டது ✅",
+      sent: "உங்கள் கோரிக்கையை {doctor} அவர்களுக்கு அனுப்பியுள்ளோம். அவர் உறுதி செய்தவுடன் மின்னஞ்சல் வரும்.",
+      duplicate_heading: "கோரிக்கை ஏற்கனவே நிலுவையில் உள்ளது",
+      duplicate: "இந்தத் தேதிக்கு உங்கள் கோரிக்கை ஏற்கனவே நிலுவையில் உள்ளது. மருத்துவர் விரைவில் பதிலளிப்பார்.",
+      failed_heading: "முன்பதிவு செய்ய இயலவில்லை",
+      back: "என் சந்திப்புகளுக்குத் திரும்பு",
+    },
+    expired_heading: "வெளியேற்றப்பட்டீர்கள்",
+    expired: "உங்கள் அமர்வு முடிந்தது. மீண்டும் உள்நுழையுங்கள்.",
+  },
+
+  offer: {
+    alternative: {
+      heading: "இந்த நேரத்தை முன்பதிவு செய்யவா?",
+      intro: "உங்கள் மருத்துவர் இதற்கு பதிலாக இந்த நேரத்தை வழங்கியுள்ளார். முன்பதிவு செய்ய உறுதிப்படுத்துங்கள்.",
+      button: "இந்த நேரத்தை முன்பதிவு செய்க",
+      used_heading: "ஏற்கனவே முன்பதிவு செய்யப்பட்டது",
+      used: "இந்தச் சந்திப்புக்கு வழங்கப்பட்ட நேரங்களில் ஒன்றை ஏற்கனவே முன்பதிவு செய்துவிட்டீர்கள்.",
+      done_heading: "சந்திப்பு உறுதி செய்யப்பட்டது ✅",
+      done: "உங்கள் சந்திப்பு உறுதி செய்யப்பட்டது. விவரங்களை மின்னஞ்சலில் அனுப்பியுள்ளோம்.",
+    },
+    waitlist: {
+      heading: "இந்த நேரத்தைப் பெறவா?",
+      intro: "இந்த நேரத்தை {expires} வரை உங்களுக்காக வைத்திருக்கிறோம்.",
+      button: "இந்த நேரத்தைப் பெறுக",
+      claimed_heading: "ஏற்கனவே பெறப்பட்டது",
+      claimed: "இந்த நேரத்தை நீங்கள் ஏற்கனவே பெற்றுவிட்டீர்கள்.",
+      expired_heading: "சலுகை முடிந்தது",
+      expired: "இந்தச் சலுகை முடிந்து, நேரம் காத்திருப்புப் பட்டியலில் அடுத்தவருக்குச் சென்றுவிட்டது.",
+      done_heading: "கோரிக்கை அனுப்பப்பட்டது ✅",
+      done: "உங்கள் கோரிக்கையை {doctor} அவர்களுக்கு அனுப்பியுள்ளோம். அவர் உறுதி செய்ததும் மின்னஞ்சல் வரும்.",
+    },
+    taken_heading: "நேரம் இனி கிடைக்காது",
+    taken: "இந்த நேரத்தை வேறொருவர் முன்பதிவு செய்துவிட்டார். வேறு நேரத்தைத் தேர்ந்தெடுக்கவும்.",
+  },
+
+  pages: {
+    help: "உதவி தேவையா?",
+    help_email: "மின்னஞ்சல்:",
+    payment: {
+      title: "சந்திப்பை உறுதி செய்ய கட்டணம் – SidhaHealth",
+      warn_strong: "சந்திப்பு நேரத்துக்கு முன் கட்டணம் செலுத்த வேண்டாம்.",
+      warn: "<u>வீடியோ அழைப்பில் இணைந்து</u> மருத்துவர் இருக்கும்போது மட்டுமே செலுத்துங்கள்.",
+      heading: "கட்டணம் செலுத்தி சந்திப்பை உறுதி செய்யுங்கள்",
+      paid: "✅ கட்டணம் பெறப்பட்டது.",
+      pending: "கட்டணம் செலுத்தப்பட்டவுடன் உங்கள் சந்திப்பு உறுதியாகும்.",
+      continue: "தொடரவும்",
+      check: "கட்டண நிலையைப் பார்க்கவும்",
+      simulate: "கட்டணத்தை உருவகப்படுத்து (சோதனை முறை)",
+      never_share: "உங்கள் PIN/OTP-ஐ யாரிடமும் பகிர வேண்டாம்.",
+    },
+    not_paid: {
+      title: "கட்டணம் இன்னும் பெறப்படவில்லை",
+      body: "உங்கள் கட்டணம் இன்னும் எங்களுக்குக் கிடைக்கவில்லை. இப்போதுதான் செலுத்தியிருந்தால், ஒரு நிமிடம் கழித்து மீண்டும் பாருங்கள்.",
+      back: "கட்டணப் பக்கத்துக்குத் திரும்பு",
+    },
+    paid: {
+      title: "கட்டணம் உறுதி – SidhaHealth",
+      video_title: "வீடியோ ஆலோசனை தயார் – SidhaHealth",
+      success: "✅ கட்டணம் உறுதி செய்யப்பட்டது!",
+      video_ready: "உங்கள் வீடியோ ஆலோசனை தயாராக உள்ளது.",
+      pay_at_start: "இன்னும் செலுத்தவில்லை எனில் <b>அழைப்பின் தொடக்கத்தில் செலுத்துங்கள்</b>.",
+      join: "இப்போது இணையுங்கள்",
+      clinic: "SidhaHealth இல் உங்கள் சந்திப்பு உறுதி செய்யப்பட்டது.",
+    },
+    room: {
+      opens_in: "உங்கள் ஆலோசனை அறை திறக்க இன்னும்",
+      opens_at: "அறை {time} மணிக்குத் திறக்கும். இந்தப் பக்கத்தைத் திறந்தே வைத்திருங்கள்; இணையும் பொத்தான் தானாக இயங்கும்.",
+      ended: "இந்த ஆலோசனை முடிந்துவிட்டது; வீடியோ அறை மூடப்பட்டது.",
+    },
+  },
+};
@@ -0,0 +1,77 @@
+// lib/ics.js
+// Minimal RFC 5545 writer for appointment invites and doctor feeds.
+
+const PRODID = "-//SidhaHealth//Appointments//EN";
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 §3.1)
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function stamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// event: { uid, sequence, start, end, summary, description, location, url,
+//          organizer: { name, email }, attendees: [{ name, email }], cancelled }
+function eventLines(event, now) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${stamp(now)}`,
+    `DTSTART:${stamp(event.start)}`,
+    `DTEND:${stamp(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer?.email)
+    lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+  for (const a of event.attendees || []) {
+    if (a.email) lines.push(`ATTENDEE;CN=${escapeText(a.name || a.email)};ROLE=REQ-PARTICIPANT:mailto:${a.email}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function calendar(lines, { method, name } = {}) {
+  const head = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  if (method) head.push(`METHOD:${method}`);
+  if (name) head.push(`X-WR-CALNAME:${escapeText(name)}`);
+  return [...head, ...lines, "END:VCALENDAR"].map(fold).join("\r\n") + "\r\n";
+}
+
+// Single-event invite. METHOD:CANCEL with the same UID and a higher
+// SEQUENCE removes the event from the attendee's calendar.
+export function buildInvite(event, { now = new Date() } = {}) {
+  return calendar(eventLines(event, now), { method: event.cancelled ? "CANCEL" : "REQUEST" });
+}
+
+// Subscription feed (no METHOD, as calendar apps expect for published feeds)
+export function buildFeed(events, { name, now = new Date() } = {}) {
+  return calendar(events.flatMap((e) => eventLines(e, now)), { name });
+}
@@ -0,0 +1,51 @@
+// lib/idempotency.js
+// `Idempotency-Key` support for POST routes. The first request with a key
+// runs normally and its JSON response is kept for `ttlMs`; repeats with the
+// same key and body get that response back instead of running again.
+import crypto from "crypto";
+
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+export function idempotency({ store, scope, ttlMs = 24 * 60 * 60 * 1000, log = console }) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+    if (!KEY_RE.test(key)) {
+      return res.status(400).json({
+        error: "Invalid request",
+        details: [{ field: "Idempotency-Key", message: "must be 1-255 visible ASCII characters" }],
+      });
+    }
+
+    const storeKey = `idem:${scope}:${key}`;
+    const fingerprint = crypto.createHash("sha256").update(JSON.stringify(req.body ?? {})).digest("hex");
+
+    try {
+      const claimed = await store.setIfAbsent(storeKey, { state: "pending", fingerprint }, ttlMs);
+      if (!claimed) {
+        const saved = await store.get(storeKey);
+        if (saved && saved.fingerprint !== fingerprint)
+          return res.status(422).json({ error: "This Idempotency-Key was already used for a different request" });
+        if (!saved || saved.state === "pending")
+          return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        res.set("Idempotent-Replayed", "true");
+        return res.status(saved.status).json(saved.body);
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    // Keep the outcome. Server errors and rate limits are not kept, so the
+    // client can retry with the same key.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const saving = status >= 500 || status === 429
+        ? store.delete(storeKey)
+        : store.set(storeKey, { state: "done", fingerprint, status, body }, ttlMs);
+      saving.catch((err) => log.error("Could not save idempotent response", err));
+      return json(body);
+    };
+    next();
+  };
+}
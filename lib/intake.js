@@ -0,0 +1,113 @@
+// lib/intake.js
+// Pre-consultation intake: the questionnaire a patient fills in when booking
+// and the medical reports they upload with it. Reports are kept in a file
+// store (lib/files) with a row per file in `appointment_files`.
+import { randomUUID } from "crypto";
+import { validate } from "./validation.js";
+
+const INTAKE_SCHEMA = {
+  chiefComplaint: { type: "text", required: true, max: 1000 },
+  duration: { type: "string", max: 100 },
+  medications: { type: "text", max: 2000 },
+  allergies: { type: "text", max: 1000 },
+};
+
+// What a report may be, told by its first bytes rather than the name or
+// the type the browser claims
+export const REPORT_TYPES = [
+  { contentType: "application/pdf", ext: "pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+  { contentType: "image/jpeg", ext: "jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    contentType: "image/png",
+    ext: "png",
+    test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    contentType: "image/webp",
+    ext: "webp",
+    test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+// Returns { value } (null when no intake was sent) or { errors }. Stored
+// with snake_case keys like the rest of the appointment row.
+export function validateIntake(input) {
+  if (input === undefined || input === null || input === "") return { value: null };
+  if (typeof input !== "object" || Array.isArray(input))
+    return { errors: [{ field: "intake", message: "must be an object" }] };
+  const { value, errors } = validate(INTAKE_SCHEMA, input);
+  if (errors) return { errors: errors.map((e) => ({ field: `intake.${e.field}`, message: e.message })) };
+  return {
+    value: {
+      chief_complaint: value.chiefComplaint,
+      duration: value.duration ?? null,
+      medications: value.medications ?? null,
+      allergies: value.allergies ?? null,
+    },
+  };
+}
+
+// Keeps the last path part, without control characters or quotes
+function cleanFilename(name) {
+  const base = String(name || "").split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, "").trim();
+  return base.slice(-120) || "report";
+}
+
+// files: multer's [{ originalname, buffer }]. Returns { value: [{ filename,
+// contentType, ext, buffer }] } or { errors }. Size and count are capped by
+// the upload limits before this runs.
+export function validateReports(files = []) {
+  const errors = [];
+  const value = [];
+  files.forEach((file, i) => {
+    const type = file.buffer.length ? REPORT_TYPES.find((t) => t.test(file.buffer)) : null;
+    if (!type) return errors.push({ field: `reports[${i}]`, message: "must be a PDF, JPEG, PNG or WebP file" });
+    value.push({ filename: cleanFilename(file.originalname), contentType: type.contentType, ext: type.ext, buffer: file.buffer });
+  });
+  return errors.length ? { errors } : { value };
+}
+
+// Writes the reports to the file store and records them. Returns the rows.
+// If one fails, the ones already written are removed before it throws.
+export async function saveReports(storage, files, { appointmentId, reports, now = new Date() }) {
+  const rows = [];
+  try {
+    for (const report of reports) {
+      const id = randomUUID();
+      const key = `reports/${appointmentId}/${id}.${report.ext}`;
+      // Listed before it is written, so a failed write is cleaned up too
+      rows.push({ id, key });
+      await files.put(key, report.buffer, { contentType: report.contentType });
+      rows[rows.length - 1] = await storage.insert("appointment_files", {
+        id,
+        appointment_id: appointmentId,
+        kind: "report",
+        key,
+        filename: report.filename,
+        content_type: report.contentType,
+        size: report.buffer.length,
+        created_at: now.toISOString(),
+      });
+    }
+  } catch (err) {
+    // Best effort: the save error is the one to report
+    await removeReports(storage, files, rows).catch(() => {});
+    throw err;
+  }
+  return rows;
+}
+
+// Removes saved reports (rows from saveReports): their files and rows
+export async function removeReports(storage, files, rows) {
+  for (const row of rows) {
+    await files.remove(row.key);
+    await storage.remove("appointment_files", row.id);
+  }
+}
+
+export function listReports(storage, appointmentId) {
+  return storage.list("appointment_files", {
+    eq: { appointment_id: appointmentId, kind: "report" },
+    orderBy: "created_at",
+  });
+}
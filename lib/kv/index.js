@@ -0,0 +1,20 @@
+// lib/kv/index.js
+// Short-lived key/value state (rate-limit counters, idempotency records).
+// Every driver exposes the same async interface, so a shared store such as
+// Redis can replace the in-process one when the app runs on several nodes:
+//
+//   get(key)                        → value, or null if missing/expired
+//   set(key, value, ttlMs)
+//   setIfAbsent(key, value, ttlMs)  → true if it was set, false if the key exists
+//   increment(key, ttlMs)           → { count, expiresAt } (ttl starts on the first hit)
+//   delete(key)
+import { createMemoryStore } from "./memory.js";
+
+export function createKvStore({ driver = "memory" } = {}) {
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown KV_STORE "${driver}" (expected "memory")`);
+  }
+}
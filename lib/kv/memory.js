@@ -0,0 +1,51 @@
+// lib/kv/memory.js
+// In-process store. State is lost on restart and not shared between
+// processes, which is fine for a single Node server.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore({ now = () => Date.now() } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async function get(key) {
+    return live(key)?.value ?? null;
+  }
+
+  async function set(key, value, ttlMs) {
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+  }
+
+  // Check and write happen in the same tick, so this is atomic in-process
+  async function setIfAbsent(key, value, ttlMs) {
+    if (live(key)) return false;
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+    return true;
+  }
+
+  async function increment(key, ttlMs) {
+    const entry = live(key) || { value: 0, expiresAt: now() + ttlMs };
+    entry.value++;
+    entries.set(key, entry);
+    return { count: entry.value, expiresAt: entry.expiresAt };
+  }
+
+  async function remove(key) {
+    entries.delete(key);
+  }
+
+  setInterval(() => {
+    for (const key of entries.keys()) live(key);
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return { driver: "memory", get, set, setIfAbsent, increment, delete: remove };
+}
@@ -0,0 +1,56 @@
+// lib/logger.js
+// JSON-lines logger: one object per line with time, level, msg, the id of
+// the request being handled and any extra fields. The request id is kept in
+// AsyncLocalStorage (withRequestContext), so code deep in a request (storage
+// calls, sendEmail) logs it without being handed it.
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+export function withRequestContext(store, fn) {
+  return context.run(store, fn);
+}
+
+export function currentRequestId() {
+  return context.getStore()?.requestId ?? null;
+}
+
+// Errors have no enumerable fields, so JSON.stringify would drop them
+function replacer(key, value) {
+  if (!(value instanceof Error)) return value;
+  return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+}
+
+// Call like console: log.error("Reminder failed", err) or
+// log.info("Email sent", { subject }). log.error(err) alone uses err.message.
+// Recipients for log fields: enough to tell messages apart, without
+// putting patients' contact details in the logs
+export function maskEmail(email) {
+  const [user, domain] = String(email ?? "").split("@");
+  return domain ? `${user.slice(0, 1)}***@${domain}` : "***";
+}
+
+export function maskPhone(phone) {
+  const s = String(phone ?? "");
+  return s.length > 4 ? `${"*".repeat(s.length - 4)}${s.slice(-4)}` : "***";
+}
+
+export function createLogger({ level = "info", out = process.stdout, err = process.stderr } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, fields) {
+    if (LEVELS[lvl] < min) return;
+    if (msg instanceof Error) [msg, fields] = [msg.message, { err: msg, ...fields }];
+    if (fields instanceof Error) fields = { err: fields };
+    const entry = { time: new Date().toISOString(), level: lvl, msg, request_id: currentRequestId() ?? undefined, ...fields };
+    (LEVELS[lvl] >= LEVELS.warn ? err : out).write(`${JSON.stringify(entry, replacer)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+  };
+}
@@ -0,0 +1,31 @@
+// lib/mail/index.js
+// Email transports. Every driver exposes send({ from, to, subject, html, text }),
+// which throws when the message could not be handed off, and check(), which
+// throws when the transport can't currently send (for /readyz).
+import path from "path";
+import { createSendgridTransport } from "./sendgrid.js";
+import { createSmtpTransport } from "./smtp.js";
+import { createOutboxTransport } from "./outbox.js";
+
+export function createTransport({ driver = "sendgrid", rootDir = process.cwd() } = {}) {
+  switch (driver) {
+    case "sendgrid":
+      return createSendgridTransport({ apiKey: process.env.SENDGRID_API_KEY });
+    case "smtp":
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST || "smtp.gmail.com",
+        port: Number(process.env.SMTP_PORT || 465),
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : true,
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS,
+      });
+    case "outbox":
+      return createOutboxTransport({
+        dir: path.resolve(rootDir, process.env.MAIL_OUTBOX_DIR || "outbox"),
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${driver}" (expected "sendgrid", "smtp" or "outbox")`);
+  }
+}
+
+export { createMailQueue } from "./queue.js";
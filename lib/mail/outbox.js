@@ -0,0 +1,27 @@
+// lib/mail/outbox.js
+// Dev/test transport: writes each message as an .eml file instead of sending it.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+export function createOutboxTransport({ dir }) {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  async function send(message) {
+    const info = await composer.sendMail(message);
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+    // The random part keeps two messages to one address in the same ms apart
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${safeTo}.eml`);
+    await fs.writeFile(file, info.message);
+    return { file };
+  }
+
+  async function check() {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.access(dir, fs.constants.W_OK);
+  }
+
+  return { name: "outbox", send, check };
+}
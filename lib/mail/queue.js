@@ -0,0 +1,92 @@
+// lib/mail/queue.js
+// Sends through a transport and keeps failed messages in the `email_queue`
+// table, retrying them with backoff until they go out or run out of attempts.
+import { randomUUID } from "crypto";
+
+// Delay before each retry, in seconds. After the last one the message is
+// marked "failed" and stays listed as undelivered.
+const BACKOFF = [60, 5 * 60, 15 * 60, 60 * 60, 6 * 60 * 60];
+
+export function createMailQueue({ storage, transport, now = () => new Date() }) {
+  let retrying = false;
+
+  function nextAttemptAt(attempts) {
+    const delay = BACKOFF[attempts - 1];
+    return delay === undefined ? null : new Date(now().getTime() + delay * 1000).toISOString();
+  }
+
+  // Tries once right away; on failure the message is queued and `false`
+  // returned. requestId ties a queued message to the request that sent it.
+  async function send(message, { requestId = null } = {}) {
+    try {
+      await transport.send(message);
+      return true;
+    } catch (err) {
+      await storage.insert("email_queue", {
+        id: randomUUID(),
+        message,
+        to: message.to,
+        subject: message.subject,
+        status: "pending",
+        attempts: 1,
+        last_error: String(err.message || err),
+        next_attempt_at: nextAttemptAt(1),
+        request_id: requestId,
+        created_at: now().toISOString(),
+      });
+      return false;
+    }
+  }
+
+  // Retries every pending message that is due. Returns { sent, failed }.
+  async function retryDue() {
+    if (retrying) return { sent: 0, failed: 0 };
+    retrying = true;
+    let sent = 0;
+    let failed = 0;
+    try {
+      const due = await storage.list("email_queue", {
+        eq: { status: "pending" },
+        lte: { next_attempt_at: now().toISOString() },
+        orderBy: "next_attempt_at",
+      });
+
+      for (const row of due) {
+        const attempts = row.attempts + 1;
+        try {
+          await transport.send(row.message);
+          await storage.update("email_queue", row.id, {
+            status: "sent",
+            attempts,
+            sent_at: now().toISOString(),
+            next_attempt_at: null,
+          });
+          sent++;
+        } catch (err) {
+          const next = nextAttemptAt(attempts);
+          await storage.update("email_queue", row.id, {
+            status: next ? "pending" : "failed",
+            attempts,
+            last_error: String(err.message || err),
+            next_attempt_at: next,
+          });
+          failed++;
+        }
+      }
+    } finally {
+      retrying = false;
+    }
+    return { sent, failed };
+  }
+
+  // Messages that have not gone out yet, still retrying or given up on.
+  async function undelivered() {
+    const list = await storage.list("email_queue", {
+      in: { status: ["pending", "failed"] },
+      orderBy: "created_at",
+    });
+    return list.map(({ message, ...row }) => row);
+  }
+
+  return { send, retryDue, undelivered };
+}
@@ -0,0 +1,42 @@
+// lib/mail/sendgrid.js
+import sgMail from "@sendgrid/mail";
+
+// SendGrid wants attachment content base64-encoded and calls the MIME type `type`
+function toSendgrid(message) {
+  if (!message.attachments?.length) return message;
+  return {
+    ...message,
+    attachments: message.attachments.map(({ filename, content, contentType, encoding }) => ({
+      filename,
+      content: Buffer.from(content, encoding).toString("base64"),
+      type: contentType,
+      disposition: "attachment",
+    })),
+  };
+}
+
+export function createSendgridTransport({ apiKey }) {
+  sgMail.setApiKey(apiKey);
+
+  async function send(message) {
+    try {
+      await sgMail.send(toSendgrid(message));
+    } catch (err) {
+      // SendGrid puts the useful part of the error in the response body
+      const detail = err.response?.body?.errors?.map((e) => e.message).join("; ");
+      throw detail ? new Error(detail) : err;
+    }
+  }
+
+  // Lists the key's scopes: proves SendGrid is reachable and the key is valid
+  async function check() {
+    if (!apiKey) throw new Error("SENDGRID_API_KEY is not set");
+    const res = await fetch("https://api.sendgrid.com/v3/scopes", {
+      headers: { Authorization: `Bearer ${apiKey}` },
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!res.ok) throw new Error(`SendGrid answered HTTP ${res.status}`);
+  }
+
+  return { name: "sendgrid", send, check };
+}
@@ -0,0 +1,22 @@
+// lib/mail/smtp.js
+import nodemailer from "nodemailer";
+
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  async function send(message) {
+    await transporter.sendMail(message);
+  }
+
+  // Connects and logs in without sending anything
+  async function check() {
+    await transporter.verify();
+  }
+
+  return { name: "smtp", send, check };
+}
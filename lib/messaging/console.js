@@ -0,0 +1,12 @@
+// lib/messaging/console.js
+// Dev provider: logs each message at debug level (LOG_LEVEL=debug) instead
+// of sending it. Nothing is delivered.
+
+export function createConsoleProvider({ log }) {
+  async function send({ channel, to, body }) {
+    log.debug("Message not sent (console provider)", { channel, to, body });
+    return { delivered: false };
+  }
+
+  return { name: "console", send };
+}
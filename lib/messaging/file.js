@@ -0,0 +1,15 @@
+// lib/messaging/file.js
+// Dev/test provider: writes each message as a .txt file, like the mail outbox.
+import fs from "fs/promises";
+import path from "path";
+
+export function createFileProvider({ dir }) {
+  async function send({ channel, to, body }) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${channel}-${to.replace(/[^0-9+]/g, "")}.txt`);
+    await fs.writeFile(file, `Channel: ${channel}\nTo: ${to}\n\n${body}\n`);
+    return { file, delivered: false };
+  }
+
+  return { name: "file", send };
+}
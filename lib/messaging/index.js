@@ -0,0 +1,39 @@
+// lib/messaging/index.js
+// SMS/WhatsApp providers. Every driver exposes
+// send({ channel: "sms" | "whatsapp", to: "+91XXXXXXXXXX", body })
+// and throws when the message could not be handed off. The dev providers
+// (console, file) return { delivered: false }.
+import path from "path";
+import { createConsoleProvider } from "./console.js";
+import { createFileProvider } from "./file.js";
+import { createTwilioProvider } from "./twilio.js";
+
+export const CHANNELS = ["email", "sms", "whatsapp"];
+
+// Phones are stored as 10-digit Indian mobile numbers
+export function toE164(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (/^[6-9]\d{9}$/.test(digits)) return `+91${digits}`;
+  if (/^91[6-9]\d{9}$/.test(digits)) return `+${digits}`;
+  return null;
+}
+
+export function createMessagingProvider({ driver, rootDir = process.cwd(), log }) {
+  switch (driver) {
+    case "console":
+      return createConsoleProvider({ log });
+    case "file":
+      return createFileProvider({
+        dir: path.resolve(rootDir, process.env.MESSAGE_OUTBOX_DIR || "outbox"),
+      });
+    case "twilio":
+      return createTwilioProvider({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        smsFrom: process.env.TWILIO_SMS_FROM,
+        whatsappFrom: process.env.TWILIO_WHATSAPP_FROM,
+      });
+    default:
+      throw new Error(`Unknown MESSAGING_PROVIDER "${driver}" (expected "console", "file" or "twilio")`);
+  }
+}
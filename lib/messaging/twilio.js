@@ -0,0 +1,42 @@
+// lib/messaging/twilio.js
+// SMS and WhatsApp through Twilio's Messages API.
+
+export function createTwilioProvider({
+  accountSid,
+  authToken,
+  smsFrom,
+  whatsappFrom,
+  fetch = globalThis.fetch,
+  timeoutMs = 10000,
+}) {
+  if (!accountSid || !authToken) throw new Error("TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required");
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const auth = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`;
+
+  async function send({ channel, to, body }) {
+    const from = channel === "whatsapp" ? whatsappFrom && `whatsapp:${whatsappFrom}` : smsFrom;
+    if (!from) throw new Error(`No Twilio sender configured for ${channel}`);
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: auth, "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        From: from,
+        To: channel === "whatsapp" ? `whatsapp:${to}` : to,
+        Body: body,
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    let data;
+    try {
+      data = JSON.parse(await res.text());
+    } catch {
+      throw new Error(`Twilio send returned a non-JSON reply (${res.status})`);
+    }
+    if (!res.ok) throw new Error(data.message || `Twilio send failed (${res.status})`);
+    return { sid: data.sid };
+  }
+
+  return { name: "twilio", send };
+}
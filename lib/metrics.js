@@ -0,0 +1,79 @@
+// lib/metrics.js
+// Counters and histograms kept in memory and rendered in the Prometheus
+// text format for /metrics. Each process counts on its own; Prometheus adds
+// up the instances.
+
+// Seconds; suits both HTTP routes and storage calls
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// Series are keyed by their labels in the order the metric declares them
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+export function createMetrics() {
+  const registered = [];
+
+  function counter(name, help, { labelNames = [] } = {}) {
+    const series = new Map();
+    function inc(labels = {}, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      const s = series.get(key) || { labels: Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ""])), value: 0 };
+      s.value += by;
+      series.set(key, s);
+    }
+    function render() {
+      // An unlabelled counter is shown at 0 before its first increment
+      const rows = series.size || labelNames.length ? [...series.values()] : [{ labels: {}, value: 0 }];
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...rows.map((s) => `${name}${labelText(s.labels)} ${s.value}`),
+      ];
+    }
+    registered.push(render);
+    return { inc };
+  }
+
+  function histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    const series = new Map();
+    function observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels: Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ""])), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    }
+    function render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${name}_sum${labelText(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+      }
+      return lines;
+    }
+    registered.push(render);
+    return { observe };
+  }
+
+  function render() {
+    return `${registered.flatMap((r) => r()).join("\n")}\n`;
+  }
+
+  return { counter, histogram, render };
+}
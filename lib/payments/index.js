@@ -0,0 +1,34 @@
+// lib/payments/index.js
+// Payment providers. Each driver exposes:
+//
+//   createOrder({ appointmentId, amount })  → { orderId, checkout }   (amount in ₹)
+//   orderStatus(orderId)                    → "paid" | "pending" | "failed"
+//   verifyWebhook(rawBody, headers)         → true if the signature is valid
+//   parseWebhook(body)                      → { type: "paid" | "failed" | "ignored", orderId, paymentId, amount }
+//
+// Webhook amounts are in paise, as the gateways send them.
+//
+// There is no default: a deploy has to name its provider. The mock provider
+// lets anyone mark an appointment paid, so it only starts in test mode.
+import { createMockProvider } from "./mock.js";
+import { createRazorpayProvider } from "./razorpay.js";
+
+export function createPaymentProvider({ driver, testMode = false } = {}) {
+  switch (driver) {
+    case undefined:
+    case "":
+      throw new Error('PAYMENT_PROVIDER is not set (expected "razorpay", or "mock" in test mode)');
+    case "mock":
+      if (!testMode) throw new Error("PAYMENT_PROVIDER=mock is only allowed with PAYMENT_TEST_MODE=1");
+      if (!process.env.PAYMENT_WEBHOOK_SECRET) throw new Error("PAYMENT_WEBHOOK_SECRET is not set");
+      return createMockProvider({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET });
+    case "razorpay":
+      return createRazorpayProvider({
+        keyId: process.env.RAZORPAY_KEY_ID,
+        keySecret: process.env.RAZORPAY_KEY_SECRET,
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+      });
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${driver}" (expected "mock" or "razorpay")`);
+  }
+}
@@ -0,0 +1,52 @@
+// lib/payments/mock.js
+// Offline provider for dev and tests, only created with PAYMENT_TEST_MODE=1.
+// Orders live in memory, and simulatePayment() produces the same signed
+// webhook a real gateway would send.
+import crypto from "crypto";
+import { hmacHex, safeEqualHex } from "./signature.js";
+
+export function createMockProvider({ webhookSecret }) {
+  const orders = new Map();
+
+  async function createOrder({ appointmentId, amount }) {
+    const orderId = `mock_order_${crypto.randomBytes(8).toString("hex")}`;
+    orders.set(orderId, { appointmentId, amount: Math.round(amount * 100), status: "pending" });
+    return { orderId, checkout: { orderId, amount: Math.round(amount * 100), currency: "INR" } };
+  }
+
+  async function orderStatus(orderId) {
+    return orders.get(orderId)?.status || "pending";
+  }
+
+  function verifyWebhook(rawBody, headers) {
+    if (!rawBody) return false;
+    return safeEqualHex(hmacHex(webhookSecret, rawBody), headers["x-mock-signature"]);
+  }
+
+  function parseWebhook(body) {
+    if (body?.event !== "payment.captured" && body?.event !== "payment.failed")
+      return { type: "ignored", orderId: body?.order_id };
+    return {
+      type: body.event === "payment.captured" ? "paid" : "failed",
+      orderId: body.order_id,
+      paymentId: body.payment_id,
+      amount: body.amount,
+    };
+  }
+
+  // Returns { rawBody, headers } for a signed webhook call
+  function simulatePayment(orderId, { fail = false, amount } = {}) {
+    const order = orders.get(orderId);
+    amount ??= order?.amount ?? 0;
+    if (order) order.status = fail ? "failed" : "paid";
+    const rawBody = Buffer.from(JSON.stringify({
+      event: fail ? "payment.failed" : "payment.captured",
+      order_id: orderId,
+      payment_id: `mock_pay_${crypto.randomBytes(8).toString("hex")}`,
+      amount,
+    }));
+    return { rawBody, headers: { "x-mock-signature": hmacHex(webhookSecret, rawBody) } };
+  }
+
+  return { name: "mock", createOrder, orderStatus, verifyWebhook, parseWebhook, simulatePayment };
+}
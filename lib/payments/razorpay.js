@@ -0,0 +1,76 @@
+// lib/payments/razorpay.js
+import { hmacHex, safeEqualHex } from "./signature.js";
+
+const API = "https://api.razorpay.com/v1";
+
+export function createRazorpayProvider({
+  keyId,
+  keySecret,
+  webhookSecret,
+  fetch = globalThis.fetch,
+  timeoutMs = 10000,
+}) {
+  if (!keyId || !keySecret || !webhookSecret)
+    throw new Error("RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET are required");
+
+  const auth = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`;
+
+  // Throws on a network error, timeout, non-JSON reply or non-2xx reply.
+  async function api(method, path, body) {
+    const res = await fetch(`${API}${path}`, {
+      method,
+      headers: { Authorization: auth, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    let data;
+    try {
+      data = JSON.parse(await res.text());
+    } catch {
+      // A gateway or proxy error page rather than Razorpay's own reply
+      throw new Error(`Razorpay ${method} ${path} returned a non-JSON reply (${res.status})`);
+    }
+    if (!res.ok) throw new Error(data.error?.description || `Razorpay ${method} ${path} failed (${res.status})`);
+    return data;
+  }
+
+  async function createOrder({ appointmentId, amount }) {
+    const order = await api("POST", "/orders", {
+      amount: Math.round(amount * 100),
+      currency: "INR",
+      receipt: appointmentId,
+      notes: { appointment_id: appointmentId },
+    });
+    return {
+      orderId: order.id,
+      checkout: { keyId, orderId: order.id, amount: order.amount, currency: order.currency },
+    };
+  }
+
+  async function orderStatus(orderId) {
+    const order = await api("GET", `/orders/${orderId}`);
+    return order.status === "paid" ? "paid" : "pending";
+  }
+
+  function verifyWebhook(rawBody, headers) {
+    if (!rawBody) return false;
+    return safeEqualHex(hmacHex(webhookSecret, rawBody), headers["x-razorpay-signature"]);
+  }
+
+  function parseWebhook(body) {
+    const payment = body?.payload?.payment?.entity;
+    const order = body?.payload?.order?.entity;
+    const orderId = order?.id || payment?.order_id;
+    switch (body?.event) {
+      case "order.paid":
+      case "payment.captured":
+        return { type: "paid", orderId, paymentId: payment?.id, amount: payment?.amount ?? order?.amount_paid };
+      case "payment.failed":
+        return { type: "failed", orderId, paymentId: payment?.id, amount: payment?.amount };
+      default:
+        return { type: "ignored", orderId };
+    }
+  }
+
+  return { name: "razorpay", createOrder, orderStatus, verifyWebhook, parseWebhook };
+}
@@ -0,0 +1,11 @@
+// lib/payments/signature.js
+import crypto from "crypto";
+
+export function hmacHex(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+export function safeEqualHex(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
@@ -0,0 +1,133 @@
+// lib/prescriptions.js
+// Consultation notes (symptoms, diagnosis, advice, medicines) and the
+// prescription PDF made from them. Notes are never edited in place: every
+// save is a new row in `consultation_notes`, so earlier versions are kept.
+import PDFDocument from "pdfkit";
+import { validate } from "./validation.js";
+
+const NOTES_SCHEMA = {
+  symptoms: { type: "text", max: 2000 },
+  diagnosis: { type: "text", required: true, max: 1000 },
+  advice: { type: "text", max: 2000 },
+};
+const MEDICINE_SCHEMA = {
+  name: { type: "string", required: true, max: 120 },
+  dosage: { type: "string", required: true, max: 60 },
+  frequency: { type: "string", required: true, max: 60 },
+  duration: { type: "string", required: true, max: 60 },
+};
+export const MAX_MEDICINES = 20;
+
+// Returns { value } or { errors }. Forms post medicines as
+// medicines[0][name]=...; rows left completely blank are dropped.
+export function validateNotes(input = {}) {
+  const base = validate(NOTES_SCHEMA, input);
+  const errors = base.errors || [];
+
+  const raw = input.medicines ?? [];
+  if (typeof raw !== "object") return { errors: [...errors, { field: "medicines", message: "must be a list" }] };
+  // Past 20 indexes the form parser gives an object keyed by index
+  const rows = (Array.isArray(raw) ? raw : Object.values(raw))
+    .filter((row) => row && Object.values(row).some((v) => String(v ?? "").trim()));
+  if (rows.length > MAX_MEDICINES) errors.push({ field: "medicines", message: `must be at most ${MAX_MEDICINES}` });
+
+  const medicines = [];
+  rows.slice(0, MAX_MEDICINES).forEach((row, i) => {
+    const result = validate(MEDICINE_SCHEMA, row);
+    if (result.errors) errors.push(...result.errors.map((e) => ({ field: `medicines[${i}].${e.field}`, message: e.message })));
+    else medicines.push(result.value);
+  });
+
+  return errors.length ? { errors } : { value: { symptoms: null, advice: null, ...base.value, medicines } };
+}
+
+// Saves notes as the version after `previousVersion`. The version is part of
+// the row id, so of two saves made from the same version only one lands;
+// the other gets null (its form was out of date).
+export async function saveNotesVersion(storage, { appointmentId, doctorId, previousVersion = 0, notes, now = new Date() }) {
+  const version = previousVersion + 1;
+  try {
+    return await storage.insert("consultation_notes", {
+      id: `${appointmentId}-v${version}`,
+      appointment_id: appointmentId,
+      version,
+      doctor_id: doctorId,
+      ...notes,
+      created_at: now.toISOString(),
+    });
+  } catch (err) {
+    if (err.code === "23505") return null;
+    throw err;
+  }
+}
+
+// Newest first
+export function listNotesVersions(storage, appointmentId) {
+  return storage.list("consultation_notes", {
+    eq: { appointment_id: appointmentId },
+    orderBy: "version",
+    ascending: false,
+  });
+}
+
+// The built-in PDF fonts only cover Latin text, like the receipts
+export function prescriptionPdf({ appointment, doctor, notes }, { timeZone = "Asia/Kolkata" } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(22).fillColor("#0c4826").text("SidhaHealth");
+    doc.font("Helvetica").fontSize(10).fillColor("#555").text("support@sidhahealth.com");
+    doc.moveDown(0.5);
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor("#0c4826").lineWidth(2).stroke().lineWidth(1);
+    doc.moveDown(1);
+
+    doc.font("Helvetica-Bold").fontSize(13).fillColor("#111").text(doctor.name);
+    if (doctor.specialties?.length) doc.font("Helvetica").fontSize(10).fillColor("#555").text(doctor.specialties.join(", "));
+    doc.moveDown();
+
+    doc.font("Helvetica").fontSize(11).fillColor("#111");
+    doc.text(`Patient: ${appointment.name}`);
+    doc.text(`Consultation: ${appointment.date} ${appointment.final_time || appointment.time || ""} · ${appointment.consult_type}`);
+    doc.moveDown();
+
+    const section = (title, body) => {
+      if (!body) return;
+      doc.font("Helvetica-Bold").fontSize(12).text(title);
+      doc.font("Helvetica").fontSize(11).text(body).moveDown(0.8);
+    };
+    section("Symptoms", notes.symptoms);
+    section("Diagnosis", notes.diagnosis);
+
+    if (notes.medicines.length) {
+      doc.font("Helvetica-Bold").fontSize(16).fillColor("#0c4826").text("Rx").fillColor("#111");
+      doc.moveDown(0.3);
+      const cols = [[50, 185, "Medicine"], [240, 100, "Dosage"], [345, 110, "Frequency"], [460, 85, "Duration"]];
+      const row = (cells, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+        const heights = cols.map(([x, width], i) => {
+          doc.text(cells[i], x, y, { width });
+          return doc.y;
+        });
+        doc.y = Math.max(...heights);
+        doc.moveDown(0.4);
+      };
+      row(cols.map((c) => c[2]), true);
+      doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor("#ddd").stroke().moveDown(0.4);
+      notes.medicines.forEach((m, i) => row([`${i + 1}. ${m.name}`, m.dosage, m.frequency, m.duration]));
+      doc.x = 50;
+      doc.moveDown(0.8);
+    }
+    section("Advice", notes.advice);
+
+    const issued = new Date(notes.created_at).toLocaleString("en-IN", { timeZone });
+    doc.moveDown(2).font("Helvetica").fontSize(9).fillColor("#888")
+      .text(`Issued by ${doctor.name} on ${issued} (version ${notes.version}).`, 50)
+      .text("This is a computer-generated prescription and does not need a signature.");
+    doc.end();
+  });
+}
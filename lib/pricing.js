@@ -0,0 +1,121 @@
+// lib/pricing.js
+// Consultation fee rules, discount codes and the GST breakdown for receipts.
+// All arithmetic is done in paise and converted back to ₹ at the end.
+
+export const DEFAULT_PRICING = {
+  // Most specific matching rule wins (doctor > follow-up > consult type, then
+  // list order); a rule with no conditions is a catch-all. When nothing
+  // matches, the doctor's own fee applies.
+  rules: [],
+  follow_up_days: 14,
+  gst_rate: 0.18,
+  prices_include_gst: true,
+};
+
+const RULE_KEYS = ["doctor_id", "consult_type", "follow_up"];
+
+// Returns { value } or { errors }
+export function validatePricing(input = {}) {
+  const errors = [];
+  const rules = input.rules ?? [];
+  if (!Array.isArray(rules)) {
+    errors.push({ field: "rules", message: "must be a list" });
+  } else {
+    rules.forEach((r, i) => {
+      if (!Number.isFinite(Number(r?.fee)) || Number(r.fee) < 0)
+        errors.push({ field: `rules[${i}].fee`, message: "must be a non-negative amount in ₹" });
+      if (r?.follow_up !== undefined && typeof r.follow_up !== "boolean")
+        errors.push({ field: `rules[${i}].follow_up`, message: "must be true or false" });
+    });
+  }
+  const days = Number(input.follow_up_days ?? DEFAULT_PRICING.follow_up_days);
+  if (!Number.isInteger(days) || days < 0) errors.push({ field: "follow_up_days", message: "must be a whole number of days" });
+  const rate = Number(input.gst_rate ?? DEFAULT_PRICING.gst_rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) errors.push({ field: "gst_rate", message: "must be between 0 and 1" });
+
+  if (errors.length) return { errors };
+  return {
+    value: {
+      rules: rules.map((r) => ({
+        ...Object.fromEntries(RULE_KEYS.filter((k) => r[k] !== undefined).map((k) => [k, r[k]])),
+        fee: Number(r.fee),
+        ...(r.label ? { label: String(r.label) } : {}),
+      })),
+      follow_up_days: days,
+      gst_rate: rate,
+      prices_include_gst: input.prices_include_gst ?? DEFAULT_PRICING.prices_include_gst,
+    },
+  };
+}
+
+function ruleMatches(rule, { doctorId, consultType, followUp }) {
+  if (rule.doctor_id !== undefined && rule.doctor_id !== doctorId) return false;
+  if (rule.consult_type !== undefined && String(rule.consult_type).toLowerCase() !== String(consultType).toLowerCase()) return false;
+  if (rule.follow_up !== undefined && rule.follow_up !== followUp) return false;
+  return true;
+}
+
+const WEIGHT = { doctor_id: 4, follow_up: 2, consult_type: 1 };
+
+function specificity(rule) {
+  return RULE_KEYS.reduce((sum, k) => sum + (rule[k] !== undefined ? WEIGHT[k] : 0), 0);
+}
+
+// Returns { fee, label } for the consultation
+export function baseFee(pricing, doctor, { consultType, followUp }) {
+  const ctx = { doctorId: doctor.id, consultType, followUp };
+  const [rule] = (pricing.rules || [])
+    .filter((r) => ruleMatches(r, ctx))
+    .sort((a, b) => specificity(b) - specificity(a));
+  const label = rule?.label || `${consultType} consultation${followUp ? " (follow-up)" : ""}`;
+  return { fee: rule ? rule.fee : doctor.fee, label };
+}
+
+// Whether a discount code row can be used right now. Returns an error message or null.
+export function discountProblem(code, now = new Date()) {
+  if (!code || code.active === false) return "Unknown discount code";
+  if (code.expires_at && new Date(code.expires_at) < now) return "Discount code has expired";
+  if (code.max_uses != null && (code.uses || 0) >= code.max_uses) return "Discount code has been used up";
+  return null;
+}
+
+const paise = (rupees) => Math.round(Number(rupees) * 100);
+const rupees = (p) => p / 100;
+
+// Itemised price: { items, subtotal, discount, taxable, gst: { rate, cgst, sgst, total }, total }
+export function quote(pricing, doctor, { consultType, followUp = false, discountCode = null }) {
+  const { fee, label } = baseFee(pricing, doctor, { consultType, followUp });
+  const subtotal = paise(fee);
+
+  let discount = 0;
+  if (discountCode) {
+    discount = discountCode.type === "percent"
+      ? Math.round((subtotal * Number(discountCode.value)) / 100)
+      : paise(discountCode.value);
+    discount = Math.min(discount, subtotal);
+  }
+  const afterDiscount = subtotal - discount;
+
+  const rate = Number(pricing.gst_rate) || 0;
+  let taxable;
+  let gst;
+  if (pricing.prices_include_gst) {
+    taxable = Math.round(afterDiscount / (1 + rate));
+    gst = afterDiscount - taxable;
+  } else {
+    taxable = afterDiscount;
+    gst = Math.round(afterDiscount * rate);
+  }
+  const cgst = Math.floor(gst / 2);
+
+  return {
+    items: [{ label, amount: rupees(subtotal) }],
+    subtotal: rupees(subtotal),
+    discount: rupees(discount),
+    discount_code: discountCode?.id || null,
+    taxable: rupees(taxable),
+    gst: { rate, cgst: rupees(cgst), sgst: rupees(gst - cgst), total: rupees(gst) },
+    total: rupees(taxable + gst),
+    follow_up: followUp,
+  };
+}
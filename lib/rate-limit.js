@@ -0,0 +1,36 @@
+// lib/rate-limit.js
+// Fixed-window rate limits on top of a kv store (see lib/kv).
+
+export function createRateLimiter({ store, name, limit, windowMs }) {
+  // Counts one hit for `id`. Returns { allowed, remaining, retryAfter (s) }.
+  async function hit(id) {
+    const { count, expiresAt } = await store.increment(`rl:${name}:${id}`, windowMs);
+    return {
+      allowed: count <= limit,
+      remaining: Math.max(0, limit - count),
+      retryAfter: Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000)),
+    };
+  }
+
+  return { name, limit, windowMs, hit };
+}
+
+export function sendTooManyRequests(res, result, message = "Too many requests. Please try again later.") {
+  res.set("Retry-After", String(result.retryAfter));
+  res.status(429).json({ error: message, retry_after: result.retryAfter });
+}
+
+// Express middleware limiting by whatever `keyOf(req)` returns (e.g. req.ip)
+export function rateLimit(limiter, keyOf, message) {
+  return async (req, res, next) => {
+    try {
+      const result = await limiter.hit(keyOf(req));
+      res.set("RateLimit-Limit", String(limiter.limit));
+      res.set("RateLimit-Remaining", String(result.remaining));
+      if (!result.allowed) return sendTooManyRequests(res, result, message);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
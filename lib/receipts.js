@@ -0,0 +1,73 @@
+// lib/receipts.js
+// Numbered payment receipts and their PDF rendering.
+import PDFDocument from "pdfkit";
+
+const PREFIX = "SH";
+
+// Receipt numbers run per month: SH-202601-0001, SH-202601-0002, ...
+// The number is the row id, so two concurrent issues can't share one;
+// the loser just takes the next number.
+export async function issueReceipt(storage, fields, { now = new Date() } = {}) {
+  const month = now.toISOString().slice(0, 7).replace("-", "");
+  const existing = await storage.list("receipts", { eq: { month } });
+  let seq = existing.length + 1;
+
+  for (let attempt = 0; attempt < 20; attempt++, seq++) {
+    const id = `${PREFIX}-${month}-${String(seq).padStart(4, "0")}`;
+    try {
+      return await storage.insert("receipts", { id, month, issued_at: now.toISOString(), ...fields });
+    } catch (err) {
+      if (err.code !== "23505") throw err;
+    }
+  }
+  throw new Error("Could not allocate a receipt number");
+}
+
+// The built-in PDF fonts have no ₹ glyph
+const inr = (amount) => `Rs. ${Number(amount).toFixed(2)}`;
+
+export function receiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(22).fillColor("#0c4826").text("SidhaHealth");
+    doc.font("Helvetica").fontSize(10).fillColor("#555").text("support@sidhahealth.com");
+    doc.moveDown(1.5);
+
+    doc.font("Helvetica-Bold").fontSize(16).fillColor("#111").text("Payment Receipt");
+    doc.font("Helvetica").fontSize(11).moveDown(0.5);
+    doc.text(`Receipt No: ${receipt.id}`);
+    doc.text(`Issued: ${new Date(receipt.issued_at).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}`);
+    if (receipt.payment_id) doc.text(`Payment ID: ${receipt.payment_id}`);
+    doc.moveDown();
+
+    doc.text(`Patient: ${receipt.patient_name || ""} (${receipt.patient_email})`);
+    doc.text(`Doctor: ${receipt.doctor_name}`);
+    doc.text(`Appointment: ${receipt.date} ${receipt.time || ""} · ${receipt.consult_type}`);
+    doc.moveDown();
+
+    const row = (label, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").text(label, 50, y, { width: 350 });
+      doc.text(amount, 400, y, { width: 145, align: "right" });
+      doc.moveDown(0.4);
+    };
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor("#ddd").stroke().moveDown(0.5);
+    for (const item of receipt.items) row(item.label, inr(item.amount));
+    if (receipt.discount > 0) row(`Discount${receipt.discount_code ? ` (${receipt.discount_code})` : ""}`, `- ${inr(receipt.discount)}`);
+    row("Taxable value", inr(receipt.taxable));
+    const halfRate = `${((receipt.gst.rate * 100) / 2).toFixed(1)}%`;
+    row(`CGST @ ${halfRate}`, inr(receipt.gst.cgst));
+    row(`SGST @ ${halfRate}`, inr(receipt.gst.sgst));
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke().moveDown(0.5);
+    row("Total paid", inr(receipt.total), true);
+
+    doc.moveDown(2).font("Helvetica").fontSize(9).fillColor("#888")
+      .text("This is a computer-generated receipt and does not need a signature.", 50);
+    doc.end();
+  });
+}
@@ -0,0 +1,73 @@
+// lib/records.js
+// Row checks for the data CLI: legacy field mapping, per-table validation
+// and the field-level diff against rows already in storage. Columns a table
+// schema doesn't know are passed through as they are.
+import { validate } from "./validation.js";
+import { STATUSES } from "./appointment-status.js";
+import { CONSULT_TYPES, validateDoctor } from "./doctors.js";
+import { LANGUAGES } from "./i18n/index.js";
+import { normalizeLegacyAppointment } from "./storage/lowdb.js";
+
+const ROW_SCHEMAS = {
+  appointments: {
+    id: { type: "id", required: true },
+    name: { type: "string", required: true, max: 100 },
+    email: { type: "email", required: true },
+    phone: { type: "phone", nullable: true },
+    date: { type: "date", required: true },
+    slot_start: { type: "datetime", nullable: true },
+    consult_type: { type: "enum", values: CONSULT_TYPES, required: true },
+    doctor_id: { type: "id", nullable: true },
+    status: { type: "enum", values: STATUSES, nullable: true },
+    language: { type: "enum", values: LANGUAGES, nullable: true },
+    amount: { type: "number", min: 0, nullable: true },
+    ics_sequence: { type: "number", integer: true, min: 0, nullable: true },
+    paid_at: { type: "timestamp", nullable: true },
+    confirmed: { type: "boolean", nullable: true },
+    declined: { type: "boolean", nullable: true },
+    payment_done: { type: "boolean", nullable: true },
+  },
+  discount_codes: {
+    id: { type: "string", required: true, pattern: /^[A-Z0-9_-]{3,32}$/, message: "must be 3-32 capital letters, digits, - or _" },
+    type: { type: "enum", values: ["percent", "flat"], required: true },
+    value: { type: "number", required: true, min: 0.01 },
+    max_uses: { type: "number", integer: true, min: 1, nullable: true },
+    uses: { type: "number", integer: true, min: 0, nullable: true },
+    expires_at: { type: "timestamp", nullable: true },
+    active: { type: "boolean", nullable: true },
+  },
+};
+
+// Tables without a schema only need an id
+const ANY_ROW = { id: { type: "string", required: true, max: 254 } };
+
+// Returns { value } (the row with its known columns normalised) or { errors }
+export function checkRecord(table, row) {
+  if (!row || typeof row !== "object" || Array.isArray(row))
+    return { errors: [{ field: "(row)", message: "must be an object" }] };
+
+  const input = table === "appointments" ? normalizeLegacyAppointment(row) : row;
+  let result;
+  if (table === "doctors") {
+    result = validateDoctor(input);
+    if (!input.id) result = { errors: [{ field: "id", message: "is required" }, ...(result.errors || [])] };
+  } else {
+    result = validate(ROW_SCHEMAS[table] || ANY_ROW, input);
+  }
+  return result.errors ? result : { value: { ...input, ...result.value } };
+}
+
+// JSON with object keys sorted, so key order doesn't count as a change
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  return JSON.stringify(value ?? null);
+}
+
+// Columns of `incoming` that differ from `existing`: [{ field, from, to }]
+export function diffRecord(existing, incoming) {
+  return Object.keys(incoming)
+    .filter((field) => canonical(existing[field]) !== canonical(incoming[field]))
+    .map((field) => ({ field, from: existing[field] ?? null, to: incoming[field] ?? null }));
+}
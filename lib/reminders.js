@@ -0,0 +1,121 @@
+// lib/reminders.js
+// In-process reminder scheduler. Every tick it looks for upcoming confirmed
+// appointments and sends the reminder for the closest window they are in.
+// A row in `appointment_reminders` (id = appointment:window:slot) claims a
+// reminder before it is sent and is marked sent after, so restarts and
+// overlapping ticks never send it twice, while a rescheduled appointment gets
+// fresh reminders for its new slot. A failed send drops the claim, and a claim
+// left pending by a crash is taken over after claimTimeoutMs, so a reminder
+// is never lost.
+
+export const REMINDER_WINDOWS = [
+  { key: "24h", before: 24 * 60 * 60 * 1000 },
+  { key: "1h", before: 60 * 60 * 1000 },
+];
+
+const REMINDABLE = ["confirmed", "awaiting_payment", "paid"];
+
+export function createReminderScheduler({
+  storage,
+  sendReminder, // async (appointment, window) => void
+  now = () => new Date(),
+  intervalMs = 5 * 60 * 1000,
+  windows = REMINDER_WINDOWS,
+  claimTimeoutMs = 10 * 60 * 1000,
+  log = console,
+}) {
+  const byLargest = [...windows].sort((a, b) => b.before - a.before);
+  let timer = null;
+  let running = false;
+
+  const markerId = (appointment, window) => `${appointment.id}:${window.key}:${appointment.slot_start}`;
+
+  // Inserts the marker with `status` ("pending" or "skipped") at time
+  // `current`. Returns false if it was already there, unless it is a pending
+  // claim that went stale.
+  async function mark(appointment, window, status, current) {
+    const id = markerId(appointment, window);
+    const claimedAt = current.toISOString();
+    try {
+      await storage.insert("appointment_reminders", {
+        id,
+        appointment_id: appointment.id,
+        window: window.key,
+        slot_start: appointment.slot_start,
+        status,
+        claimed_at: claimedAt,
+        sent_at: null,
+      });
+      return true;
+    } catch (err) {
+      if (err.code !== "23505") throw err;
+    }
+    const existing = await storage.get("appointment_reminders", id);
+    if (status !== "pending" || existing?.status !== "pending") return false;
+    if (current.getTime() - new Date(existing.claimed_at).getTime() < claimTimeoutMs) return false;
+    const taken = await storage.update(
+      "appointment_reminders",
+      id,
+      { claimed_at: claimedAt },
+      { status: "pending", claimed_at: existing.claimed_at }
+    );
+    return Boolean(taken);
+  }
+
+  // One pass, as of `now` (the clock by default). Returns the number of
+  // reminders sent.
+  async function tick({ now: current = now() } = {}) {
+    if (running) return 0;
+    running = true;
+    let sent = 0;
+    try {
+      const upcoming = await storage.list("appointments", {
+        in: { status: REMINDABLE },
+        gt: { slot_start: current.toISOString() },
+        lte: { slot_start: new Date(current.getTime() + byLargest[0].before).toISOString() },
+      });
+
+      for (const appointment of upcoming) {
+        const remaining = new Date(appointment.slot_start).getTime() - current.getTime();
+        const due = byLargest.filter((w) => remaining <= w.before);
+        const window = due[due.length - 1];
+
+        // Larger windows we're already past are marked so they never fire late
+        for (const skipped of due.slice(0, -1)) await mark(appointment, skipped, "skipped", current);
+        if (!(await mark(appointment, window, "pending", current))) continue;
+
+        try {
+          await sendReminder(appointment, window);
+        } catch (err) {
+          log.error("Reminder failed", { appointment_id: appointment.id, window: window.key, err });
+          // The next tick tries again
+          await storage.remove("appointment_reminders", markerId(appointment, window));
+          continue;
+        }
+        await storage.update("appointment_reminders", markerId(appointment, window), {
+          status: "sent",
+          sent_at: current.toISOString(),
+        });
+        sent++;
+      }
+    } finally {
+      running = false;
+    }
+    return sent;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch((err) => log.error("Reminder run failed", err));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop };
+}
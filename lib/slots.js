@@ -0,0 +1,91 @@
+// lib/slots.js
+// Weekly availability → bookable slots. Availability is kept in clinic local
+// time ("09:30"); slots come out as UTC ISO timestamps.
+import { validate } from "./validation.js";
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+export const DEFAULT_AVAILABILITY = {
+  slot_minutes: 30,
+  weekly: {
+    mon: [{ start: "10:00", end: "13:00" }, { start: "17:00", end: "20:00" }],
+    tue: [{ start: "10:00", end: "13:00" }, { start: "17:00", end: "20:00" }],
+    wed: [{ start: "10:00", end: "13:00" }, { start: "17:00", end: "20:00" }],
+    thu: [{ start: "10:00", end: "13:00" }, { start: "17:00", end: "20:00" }],
+    fri: [{ start: "10:00", end: "13:00" }, { start: "17:00", end: "20:00" }],
+    sat: [{ start: "10:00", end: "13:00" }],
+    sun: [],
+  },
+  blocked_dates: [],
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isValidDate(date) {
+  if (typeof date !== "string" || !DATE_RE.test(date)) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === date;
+}
+
+const AVAILABILITY_SCHEMA = {
+  slot_minutes: { type: "number", integer: true, min: 5, max: 240, default: DEFAULT_AVAILABILITY.slot_minutes },
+  weekly: { type: "weekly", default: Object.fromEntries(WEEKDAYS.map((day) => [day, []])) },
+  blocked_dates: { type: "dates", default: [] },
+};
+
+// Returns { value } with a cleaned-up availability object, or { errors }.
+export function validateAvailability(input = {}) {
+  return validate(AVAILABILITY_SCHEMA, input);
+}
+
+// Offset of `timeZone` from UTC at instant `utcMs`, in milliseconds.
+function zoneOffset(utcMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }).formatToParts(new Date(utcMs)).map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+// Wall-clock `date` + `hhmm` in `timeZone` → Date
+export function zonedTime(date, hhmm, timeZone) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi] = hhmm.split(":").map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const first = guess - zoneOffset(guess, timeZone);
+  return new Date(guess - zoneOffset(first, timeZone));
+}
+
+// Every slot the doctor works on `date`, ignoring bookings: [{ start, end }]
+export function slotsForDate(availability, date, timeZone) {
+  if (!isValidDate(date) || availability.blocked_dates?.includes(date)) return [];
+  const day = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const step = availability.slot_minutes * 60 * 1000;
+  const slots = [];
+  for (const range of availability.weekly?.[day] || []) {
+    const end = zonedTime(date, range.end, timeZone).getTime();
+    for (let t = zonedTime(date, range.start, timeZone).getTime(); t + step <= end; t += step) {
+      slots.push({ start: new Date(t).toISOString(), end: new Date(t + step).toISOString() });
+    }
+  }
+  return slots;
+}
+
+// Any parseable timestamp → canonical ISO string, or null
+export function normalizeSlot(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d.toISOString();
+}
+
+// "7:30 PM" in the clinic's time zone
+export function formatSlotTime(iso, timeZone) {
+  return new Intl.DateTimeFormat("en-IN", {
+    timeZone, hour: "numeric", minute: "2-digit", hour12: true,
+  }).format(new Date(iso)).toUpperCase();
+}
@@ -0,0 +1,46 @@
+// lib/storage/index.js
+// Storage backends share one small repository interface, so routes don't
+// care whether rows live in Supabase or in a local JSON file:
+//
+//   insert(table, row)                 → inserted row (throws { code: "23505" } on duplicate id)
+//   update(table, id, updates, match?) → updated row, or null if no row matched
+//   get(table, id)                     → row, or null if not found
+//   list(table, query?)                → array of rows
+//   count(table, query?)               → number of rows matching the query's filters
+//   remove(table, id)                  → removed row, or null if not found
+//   upsert(table, rows)                → saved rows; inserts new ids, merges the
+//                                        given columns into existing ones
+//
+// `match` is an object of extra column = value conditions (null means IS NULL),
+// which lets callers do compare-and-set updates.
+//
+// `query` supports { eq, neq, in, gt, gte, lt, lte, orderBy, ascending, limit },
+// where each filter is an object of column → value (arrays for `in`), plus
+// `search: { columns, term }` for a case-insensitive substring match on any
+// of the columns. `neq` only takes null, true or false and is NULL-safe
+// (IS NOT). orderBy is a column or a list of columns; NULLs sort last when
+// ascending, as in Postgres.
+//
+// `any: [[condition, ...], ...]` adds OR groups: a row must meet at least one
+// condition of every group. A condition is an object of the same filters
+// (eq, neq, in, gt, gte, lt, lte), all of which must hold.
+import path from "path";
+import { createSupabaseStorage } from "./supabase.js";
+import { createLowdbStorage } from "./lowdb.js";
+
+export function createStorage({ driver = "supabase", rootDir = process.cwd() } = {}) {
+  switch (driver) {
+    case "supabase":
+      return createSupabaseStorage({
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_SERVICE_ROLE_KEY,
+      });
+    case "lowdb":
+    case "json":
+      return createLowdbStorage({
+        file: path.resolve(rootDir, process.env.LOWDB_FILE || "appointments.json"),
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "supabase" or "lowdb")`);
+  }
+}
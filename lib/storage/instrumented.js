@@ -0,0 +1,30 @@
+// lib/storage/instrumented.js
+// Wraps a storage backend so every call is timed into a histogram and logged
+// at debug level (with the request id, see lib/logger.js). Failures are
+// logged as warnings, except duplicate ids, which callers expect.
+const METHODS = ["insert", "update", "get", "list", "count", "remove", "upsert"];
+
+export function instrumentStorage(storage, { log, duration }) {
+  const wrapped = { ...storage };
+  for (const operation of METHODS) {
+    wrapped[operation] = async (table, ...args) => {
+      const started = process.hrtime.bigint();
+      const done = (fields) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        duration.observe({ operation, table }, seconds);
+        return { operation, table, duration_ms: Math.round(seconds * 1000), ...fields };
+      };
+      try {
+        const result = await storage[operation](table, ...args);
+        log.debug("storage call", done());
+        return result;
+      } catch (err) {
+        const fields = done({ err });
+        if (err.code === "23505") log.debug("storage call", fields);
+        else log.warn("storage call failed", fields);
+        throw err;
+      }
+    };
+  }
+  return wrapped;
+}
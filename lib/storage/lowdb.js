@@ -0,0 +1,190 @@
+// lib/storage/lowdb.js
+// File-backed storage for local dev and tests. One JSON file holds every
+// table as an array: { "appointments": [...], ... }.
+import { Low } from "lowdb";
+import { JSONFile } from "lowdb/node";
+import { statusOf } from "../appointment-status.js";
+
+// Rows written by the old JSON-file server used camelCase names.
+// The data CLI (data-cli.js) applies the same mapping on import.
+// Rows from before the status column get one derived from the old booleans,
+// as migrations/012_dashboard.sql does in Postgres.
+export function normalizeLegacyAppointment(a) {
+  if (!("consultType" in a) && !("number" in a) && !("paymentDone" in a)) {
+    return a.status ? a : { ...a, status: statusOf(a) };
+  }
+  const { number, consultType, finalTime, paymentDone, jitsiRoom, videoLink, paymentLink, declineReason, ...rest } = a;
+  const row = {
+    ...rest,
+    phone: a.phone || number || null,
+    consult_type: a.consult_type || consultType || null,
+    confirmed: !!a.confirmed,
+    declined: !!a.declined,
+    final_time: a.final_time || finalTime || null,
+    payment_done: !!(a.payment_done || paymentDone),
+    jitsi_room: a.jitsi_room || jitsiRoom || null,
+    video_link: a.video_link || videoLink || null,
+    payment_link: a.payment_link || paymentLink || null,
+    decline_reason: a.decline_reason || declineReason || null,
+  };
+  return { ...row, status: row.status || statusOf(row) };
+}
+
+function matches(row, match) {
+  return Object.entries(match).every(([col, val]) => (row[col] ?? null) === val);
+}
+
+function differs(row, neq) {
+  return Object.entries(neq).every(([col, val]) => (row[col] ?? null) !== val);
+}
+
+const COMPARE = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+
+// Same semantics as the Supabase query builder: rows with a NULL column never
+// satisfy a range or `in` filter.
+function meets(row, q) {
+  if (q.eq && !matches(row, q.eq)) return false;
+  if (q.neq && !differs(row, q.neq)) return false;
+  for (const [col, vals] of Object.entries(q.in || {})) {
+    if (row[col] == null || !vals.includes(row[col])) return false;
+  }
+  for (const [op, cmp] of Object.entries(COMPARE)) {
+    for (const [col, val] of Object.entries(q[op] || {})) {
+      if (row[col] == null || !cmp(row[col], val)) return false;
+    }
+  }
+  return true;
+}
+
+function filterRows(list, q) {
+  return list.filter((row) => {
+    if (!meets(row, q)) return false;
+    if (q.search?.term) {
+      const term = q.search.term.toLowerCase();
+      if (!q.search.columns.some((col) => String(row[col] ?? "").toLowerCase().includes(term))) return false;
+    }
+    return (q.any || []).every((group) => group.some((condition) => meets(row, condition)));
+  });
+}
+
+// Ascending puts NULLs last, as Postgres does
+function compareBy(columns, dir) {
+  return (a, b) => {
+    for (const col of columns) {
+      const x = a[col] ?? null;
+      const y = b[col] ?? null;
+      if (x === y) continue;
+      if (x === null) return dir;
+      if (y === null) return -dir;
+      return x < y ? -dir : dir;
+    }
+    return 0;
+  };
+}
+
+export function createLowdbStorage({ file }) {
+  const db = new Low(new JSONFile(file), {});
+  let ready = null;
+  let queue = Promise.resolve();
+
+  function load() {
+    if (!ready) {
+      ready = db.read().then(() => {
+        db.data ||= {};
+        if (!Array.isArray(db.data.appointments)) {
+          db.data.appointments = Object.values(db.data.appointments || {});
+        }
+        db.data.appointments = db.data.appointments.map(normalizeLegacyAppointment);
+      });
+    }
+    return ready;
+  }
+
+  // Mutations run one at a time so check-then-write is atomic within the process.
+  function exclusive(fn) {
+    const run = queue.then(load).then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function rows(table) {
+    return (db.data[table] ||= []);
+  }
+
+  function insert(table, row) {
+    return exclusive(async () => {
+      const list = rows(table);
+      if (row.id !== undefined && list.some((r) => r.id === row.id)) {
+        const err = new Error(`duplicate key value violates unique constraint "${table}_pkey"`);
+        err.code = "23505";
+        throw err;
+      }
+      const saved = structuredClone(row);
+      list.push(saved);
+      await db.write();
+      return structuredClone(saved);
+    });
+  }
+
+  function update(table, id, updates, match = {}) {
+    return exclusive(async () => {
+      const row = rows(table).find((r) => r.id === id);
+      if (!row || !matches(row, match)) return null;
+      Object.assign(row, structuredClone(updates));
+      await db.write();
+      return structuredClone(row);
+    });
+  }
+
+  async function get(table, id) {
+    await load();
+    const row = rows(table).find((r) => r.id === id);
+    return row ? structuredClone(row) : null;
+  }
+
+  async function list(table, q = {}) {
+    await load();
+    let result = filterRows(rows(table), q);
+    if (q.orderBy) result = [...result].sort(compareBy([].concat(q.orderBy), q.ascending === false ? -1 : 1));
+    if (q.limit) result = result.slice(0, q.limit);
+    return structuredClone(result);
+  }
+
+  async function count(table, q = {}) {
+    await load();
+    return filterRows(rows(table), q).length;
+  }
+
+  function upsert(table, batch) {
+    return exclusive(async () => {
+      const list = rows(table);
+      const saved = batch.map((row) => {
+        const existing = list.find((r) => r.id === row.id);
+        if (existing) return Object.assign(existing, structuredClone(row));
+        const copy = structuredClone(row);
+        list.push(copy);
+        return copy;
+      });
+      await db.write();
+      return structuredClone(saved);
+    });
+  }
+
+  function remove(table, id) {
+    return exclusive(async () => {
+      const list = rows(table);
+      const index = list.findIndex((r) => r.id === id);
+      if (index === -1) return null;
+      const [row] = list.splice(index, 1);
+      await db.write();
+      return row;
+    });
+  }
+
+  return { driver: "lowdb", insert, update, get, list, count, remove, upsert };
+}
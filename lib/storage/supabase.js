@@ -0,0 +1,112 @@
+// lib/storage/supabase.js
+import { createClient } from "@supabase/supabase-js";
+
+// A value inside an or() filter, quoted so PostgREST's reserved characters
+// (, . : ( )) in it are taken literally
+const quote = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+// One `any` condition in PostgREST's or() syntax
+function conditionText(condition) {
+  const parts = [];
+  for (const [col, val] of Object.entries(condition.eq || {})) {
+    parts.push(val === null || typeof val === "boolean" ? `${col}.is.${val}` : `${col}.eq.${quote(val)}`);
+  }
+  for (const [col, val] of Object.entries(condition.neq || {})) parts.push(`${col}.not.is.${val}`);
+  for (const [col, vals] of Object.entries(condition.in || {})) parts.push(`${col}.in.(${vals.map(quote).join(",")})`);
+  for (const op of ["gt", "gte", "lt", "lte"]) {
+    for (const [col, val] of Object.entries(condition[op] || {})) parts.push(`${col}.${op}.${quote(val)}`);
+  }
+  return parts.length === 1 ? parts[0] : `and(${parts.join(",")})`;
+}
+
+// Applies the filters of a list/count query (everything but order and limit)
+function applyFilters(query, q) {
+  for (const [col, val] of Object.entries(q.eq || {})) {
+    query = val === null ? query.is(col, null) : query.eq(col, val);
+  }
+  for (const [col, val] of Object.entries(q.neq || {})) query = query.not(col, "is", val);
+  for (const [col, vals] of Object.entries(q.in || {})) query = query.in(col, vals);
+  for (const op of ["gt", "gte", "lt", "lte"]) {
+    for (const [col, val] of Object.entries(q[op] || {})) query = query[op](col, val);
+  }
+
+  const groups = (q.any || []).map((group) => group.map(conditionText).join(","));
+  if (q.search?.term) {
+    // PostgREST's or() syntax reserves these characters, so they can't be searched for
+    const term = q.search.term.replace(/[,()"\\*%]/g, "");
+    if (term) groups.push(q.search.columns.map((col) => `${col}.ilike.*${term}*`).join(","));
+  }
+  // Several OR groups must all hold, so they go in one nested filter
+  if (groups.length === 1) query = query.or(groups[0]);
+  else if (groups.length) query = query.or(`and(${groups.map((g) => `or(${g})`).join(",")})`);
+  return query;
+}
+
+export function createSupabaseStorage({ url, key }) {
+  const supabase = createClient(url, key);
+
+  async function insert(table, row) {
+    const { data, error } = await supabase.from(table).insert([row]).select();
+    if (error) throw error;
+    return data[0];
+  }
+
+  async function update(table, id, updates, match = {}) {
+    let query = supabase.from(table).update(updates).eq("id", id);
+    for (const [col, val] of Object.entries(match)) {
+      query = val === null ? query.is(col, null) : query.eq(col, val);
+    }
+    const { data, error } = await query.select().maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function get(table, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function list(table, q = {}) {
+    let query = applyFilters(supabase.from(table).select("*"), q);
+    for (const col of [].concat(q.orderBy || [])) {
+      query = query.order(col, { ascending: q.ascending !== false, nullsFirst: q.ascending === false });
+    }
+    if (q.limit) query = query.limit(q.limit);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  async function count(table, q = {}) {
+    const { count: total, error } = await applyFilters(
+      supabase.from(table).select("*", { count: "exact", head: true }),
+      q
+    );
+    if (error) throw error;
+    return total;
+  }
+
+  async function upsert(table, rows) {
+    const { data, error } = await supabase.from(table).upsert(rows, { onConflict: "id" }).select();
+    if (error) throw error;
+    return data;
+  }
+
+  async function remove(table, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .delete()
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  return { driver: "supabase", client: supabase, insert, update, get, list, count, remove, upsert };
+}
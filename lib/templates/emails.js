@@ -0,0 +1,369 @@
+// lib/templates/emails.js
+// Named email templates. Each takes its vars and an i18n (lib/i18n) and
+// returns { subject, title, bodyHtml, actionLink, actionText, manageLinks },
+// or { subject, cards: [...] } for emails made of several cards. The title
+// defaults to the subject.
+import { escapeHtml } from "../html.js";
+
+const isOnline = (a) => String(a.consult_type).toLowerCase() === "online";
+const consultLabel = (i, type) => i.t(`consult.${String(type).toLowerCase()}`);
+const timeOf = (i, a) => i.time(a.slot_start, a.final_time || a.time);
+
+function field(i, key, value) {
+  return `<p><strong>${i.h(key)}:</strong> ${escapeHtml(value)}</p>`;
+}
+
+function videoField(i, link) {
+  return link
+    ? `<p><strong>${i.h("common.video_link")}:</strong> <a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`
+    : "";
+}
+
+function fileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// The patient's intake answers and report links, for the doctor
+function intakeHtml(i, intake, reports = []) {
+  if (!intake && !reports.length) return "";
+  const answers = intake
+    ? [
+      ["doctor.intake.complaint", intake.chief_complaint],
+      ["doctor.intake.duration", intake.duration],
+      ["doctor.intake.medications", intake.medications],
+      ["doctor.intake.allergies", intake.allergies],
+    ].filter(([, value]) => value).map(([key, value]) => field(i, key, value)).join("\n        ")
+    : "";
+  const files = reports.length
+    ? `<p><strong>${i.h("doctor.intake.reports")}:</strong></p>
+        <ul>${reports.map((r) => `<li><a href="${escapeHtml(r.link)}">${escapeHtml(r.filename)}</a> (${fileSize(r.size)})</li>`).join("\n          ")}</ul>`
+    : "";
+  return `
+        <h3 style="color:#0c4826;font-size:17px;margin:20px 0 8px 0;">${i.h("doctor.intake.title")}</h3>
+        ${answers}
+        ${files}`;
+}
+
+function priceRows(i, price) {
+  const row = (label, amount, bold) =>
+    `<tr><td style="padding:4px 0;${bold ? "font-weight:700;" : ""}">${escapeHtml(label)}</td><td style="padding:4px 0;text-align:right;${bold ? "font-weight:700;" : ""}">${escapeHtml(amount)}</td></tr>`;
+  const rate = `${((price.gst.rate * 100) / 2).toFixed(1)}%`;
+  const discount = `${i.t("price.discount")}${price.discount_code ? ` (${price.discount_code})` : ""}`;
+  return `
+    <table style="width:100%;font-size:15px;">
+      ${price.items.map((item) => row(item.label, i.money(item.amount))).join("")}
+      ${price.discount > 0 ? row(discount, `− ${i.money(price.discount)}`) : ""}
+      ${row(i.t("price.taxable"), i.money(price.taxable))}
+      ${row(i.t("price.cgst", { rate }), i.money(price.gst.cgst))}
+      ${row(i.t("price.sgst", { rate }), i.money(price.gst.sgst))}
+      ${row(i.t("price.total"), i.money(price.total), true)}
+    </table>`;
+}
+
+export const EMAILS = {
+  // ---- Patient ----
+
+  booking_received({ appointment: a, doctor, manageLinks }, i) {
+    return {
+      subject: i.t("booking_received.subject"),
+      bodyHtml: `
+        <p>${i.h("booking_received.intro", { name: a.name, doctor: doctor.name })}</p>
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.requested_time", timeOf(i, a))}
+        ${field(i, "common.consult_type", consultLabel(i, a.consult_type))}
+        <p>${i.h("booking_received.outro")}</p>
+      `,
+      manageLinks,
+    };
+  },
+
+  confirmed({ appointment: a, doctor, price, manageLinks }, i) {
+    const online = isOnline(a);
+    const extras = [
+      price.follow_up ? i.t("confirmed.follow_up") : "",
+      price.discount > 0 ? i.t("confirmed.after_discount", { discount: i.money(price.discount) }) : "",
+    ].filter(Boolean).join(" ");
+    return {
+      subject: i.t("confirmed.subject"),
+      title: i.t("confirmed.title"),
+      bodyHtml: `
+        ${field(i, "common.doctor", doctor.name)}
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.final_time", timeOf(i, a))}
+        ${field(i, "common.fee", `${i.money(price.total)}${extras ? ` ${extras}` : ""}`)}
+        ${online
+          ? `<p style='margin-top:18px;'><strong>${i.h("confirmed.pay_online")}</strong></p>`
+          : `<p style='margin-top:18px;'>${i.h("confirmed.pay_clinic")}</p>`}
+      `,
+      actionLink: online ? a.payment_link : null,
+      actionText: online ? i.t("common.pay_now") : null,
+      manageLinks,
+    };
+  },
+
+  // alternatives: [{ date, slot_start, link }], times the doctor offered instead
+  declined({ appointment: a, reason, alternatives = [] }, i) {
+    const offered = alternatives.length
+      ? `<p>${i.h("declined.alternatives")}</p>
+                 <ul>${alternatives.map((alt) => `<li><a href="${escapeHtml(alt.link)}">${escapeHtml(i.date(alt.date))}, ${escapeHtml(i.time(alt.slot_start))}</a></li>`).join("\n                   ")}</ul>`
+      : "";
+    return {
+      subject: i.t("declined.subject"),
+      bodyHtml: `<p>${i.h("declined.body", { date: i.date(a.date) })}</p>
+                 ${field(i, "common.reason", reason)}
+                 ${offered}`,
+    };
+  },
+
+  reschedule_declined({ appointment: a, reason, manageLinks }, i) {
+    return {
+      subject: i.t("reschedule_declined.subject"),
+      bodyHtml: `<p>${i.h("reschedule_declined.body", { date: i.date(a.date), time: timeOf(i, a) })}</p>
+                 ${field(i, "common.reason", reason)}`,
+      manageLinks,
+    };
+  },
+
+  // appointment is the moved one, previous the row before the move
+  rescheduled({ appointment: a, previous, payLink, manageLinks }, i) {
+    return {
+      subject: i.t("rescheduled.subject"),
+      title: i.t("rescheduled.title"),
+      bodyHtml: `
+        ${field(i, "common.new_date", i.date(a.date))}
+        ${field(i, "common.new_time", timeOf(i, a))}
+        <p style="color:#8f8f8f;">${i.h("rescheduled.previously", { date: i.date(previous.date), time: timeOf(i, previous) })}</p>
+      `,
+      actionLink: payLink || null,
+      actionText: payLink ? i.t("common.pay_now") : null,
+      manageLinks,
+    };
+  },
+
+  cancelled({ appointment: a, doctor, by, reason }, i) {
+    return {
+      subject: i.t("cancelled.subject"),
+      title: i.t("cancelled.title"),
+      bodyHtml: `
+        <p>${i.h(by === "patient" ? "cancelled.body_by_patient" : "cancelled.body", { doctor: doctor.name })}</p>
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.time", timeOf(i, a))}
+        ${reason ? field(i, "common.reason", reason) : ""}
+      `,
+    };
+  },
+
+  // window: "1h" or "24h"
+  // videoLink: the patient's /video/:id link for online consults
+  reminder({ appointment: a, window, unpaid, videoLink, manageLinks }, i) {
+    const span = window === "1h" ? "hour" : "day";
+    return {
+      subject: i.t(`reminder.subject_${span}`),
+      title: i.t("reminder.title"),
+      bodyHtml: `
+        <p>${i.h(`reminder.body_${span}`)}</p>
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.time", timeOf(i, a))}
+        ${field(i, "common.type", consultLabel(i, a.consult_type))}
+        ${videoField(i, videoLink)}
+        ${unpaid ? `<p>${i.h("reminder.unpaid")}</p>` : ""}
+      `,
+      actionLink: unpaid ? a.payment_link : videoLink,
+      actionText: unpaid ? i.t("common.pay_now") : videoLink ? i.t("common.join_video") : null,
+      manageLinks,
+    };
+  },
+
+  // version > 1 when the doctor edited notes already sent
+  prescription({ appointment: a, doctor, version, prescriptionLink }, i) {
+    const updated = version > 1;
+    return {
+      subject: i.t(updated ? "prescription.subject_updated" : "prescription.subject", { doctor: doctor.name }),
+      title: i.t("prescription.title"),
+      bodyHtml: `
+        <p>${i.h(updated ? "prescription.body_updated" : "prescription.body", { doctor: doctor.name })}</p>
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.time", timeOf(i, a))}
+      `,
+      actionLink: prescriptionLink,
+      actionText: i.t("prescription.download"),
+    };
+  },
+
+  receipt({ appointment: a, doctor, receipt, price, receiptLink, manageLinks }, i) {
+    return {
+      subject: i.t("receipt.subject", { receipt: receipt.id }),
+      title: i.t("receipt.title"),
+      bodyHtml: `
+        ${field(i, "receipt.receipt_no", receipt.id)}
+        ${field(i, "common.doctor", doctor.name)}
+        ${field(i, "receipt.appointment", `${i.date(a.date)} ${timeOf(i, a)} · ${consultLabel(i, a.consult_type)}`)}
+        ${priceRows(i, price)}
+      `,
+      actionLink: receiptLink,
+      actionText: i.t("receipt.download"),
+      manageLinks,
+    };
+  },
+
+  // Magic link for the patient portal
+  portal_login({ link, minutes }, i) {
+    return {
+      subject: i.t("portal.email.subject"),
+      title: i.t("portal.email.title"),
+      bodyHtml: `
+        <p>${i.h("portal.email.body", { minutes })}</p>
+        <p style="font-size:13px;color:#8f8f8f;">${i.h("portal.email.ignore")}</p>
+      `,
+      actionLink: link,
+      actionText: i.t("portal.email.button"),
+    };
+  },
+
+  waitlist_joined({ entry }, i) {
+    return {
+      subject: i.t("waitlist_joined.subject"),
+      bodyHtml: `<p>${i.h("waitlist_joined.body", { date: i.date(entry.date) })}</p>
+        ${field(i, "common.consult_type", consultLabel(i, entry.consult_type))}`,
+    };
+  },
+
+  // A freed time held for the patient until entry.offer_expires_at
+  waitlist_offer({ entry, doctor, claimLink }, i) {
+    return {
+      subject: i.t("waitlist_offer.subject"),
+      title: i.t("waitlist_offer.title"),
+      bodyHtml: `
+        ${field(i, "common.doctor", doctor.name)}
+        ${field(i, "common.date", i.date(entry.date))}
+        ${field(i, "common.time", i.time(entry.offered_slot))}
+        ${field(i, "common.consult_type", consultLabel(i, entry.consult_type))}
+        <p>${i.h("waitlist_offer.body", { expires: i.time(entry.offer_expires_at) })}</p>
+      `,
+      actionLink: claimLink,
+      actionText: i.t("waitlist_offer.button"),
+    };
+  },
+
+  // ---- Doctor ----
+
+  // reports: [{ filename, size, link }]
+  doctor_new_request({ appointment: a, specialty, confirmLink, declineLink, reports }, i) {
+    const details = `
+        ${field(i, "common.name", a.name)}
+        ${field(i, "common.email", a.email)}
+        ${field(i, "common.date", i.date(a.date))}`;
+    return {
+      subject: i.t("doctor.new_request.subject"),
+      cards: [
+        {
+          title: i.t("doctor.new_request.title"),
+          bodyHtml: `${details}
+        ${field(i, "common.requested_time", timeOf(i, a))}
+        ${field(i, "common.consult_type", a.consult_type)}
+        ${specialty ? field(i, "common.specialty", specialty) : ""}
+        ${intakeHtml(i, a.intake, reports)}
+      `,
+          actionLink: confirmLink,
+          actionText: i.t("doctor.new_request.confirm"),
+        },
+        {
+          title: i.t("doctor.new_request.decline_title"),
+          bodyHtml: `${details}
+        ${field(i, "common.consult_type", a.consult_type)}
+      `,
+          actionLink: declineLink,
+          actionText: i.t("doctor.new_request.decline"),
+        },
+      ],
+    };
+  },
+
+  // videoLink (here and below): the doctor's /video/:id link
+  doctor_confirmed({ appointment: a, doctor, videoLink, notesLink, calendarLink }, i) {
+    return {
+      subject: i.t("doctor.confirmed.subject"),
+      bodyHtml: `
+        ${field(i, "common.patient", a.name)}
+        ${field(i, "common.doctor", doctor.name)}
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.final_time", timeOf(i, a))}
+        ${field(i, "common.type", a.consult_type)}
+        ${videoField(i, videoLink)}
+        <p>${i.h("doctor.notes", { link: notesLink })}</p>
+        <p style="font-size:13px;color:#8f8f8f;">${i.h("doctor.confirmed.feed", { link: calendarLink })}</p>
+      `,
+      actionLink: videoLink,
+      actionText: videoLink ? i.t("common.join_video") : null,
+    };
+  },
+
+  doctor_rescheduled({ appointment: a, videoLink }, i) {
+    return {
+      subject: i.t("doctor.rescheduled.subject"),
+      bodyHtml: `
+        ${field(i, "common.patient", a.name)}
+        ${field(i, "common.new_date", i.date(a.date))}
+        ${field(i, "common.new_time", timeOf(i, a))}
+        ${field(i, "common.type", a.consult_type)}
+        ${videoField(i, videoLink)}
+      `,
+    };
+  },
+
+  doctor_cancelled({ appointment: a, by, reason }, i) {
+    return {
+      subject: i.t(by === "patient" ? "doctor.cancelled.subject_by_patient" : "doctor.cancelled.subject"),
+      bodyHtml: `
+        ${field(i, "common.patient", a.name)}
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.time", timeOf(i, a))}
+        ${reason ? field(i, "common.reason", reason) : ""}
+      `,
+    };
+  },
+
+  doctor_reminder({ appointment: a, window, videoLink, notesLink }, i) {
+    return {
+      subject: i.t(`doctor.reminder.subject_${window === "1h" ? "hour" : "day"}`, { name: a.name }),
+      title: i.t("doctor.reminder.title"),
+      bodyHtml: `
+        ${field(i, "common.patient", a.name)}
+        ${field(i, "common.date", i.date(a.date))}
+        ${field(i, "common.time", timeOf(i, a))}
+        ${field(i, "common.type", a.consult_type)}
+        ${videoField(i, videoLink)}
+        <p>${i.h("doctor.notes", { link: notesLink })}</p>
+      `,
+      actionLink: videoLink,
+      actionText: videoLink ? i.t("common.join_video") : null,
+    };
+  },
+
+  // date/slot: the time the patient asked to move to
+  doctor_reschedule_request({ appointment: a, date, slot, confirmLink, declineLink }, i) {
+    const details = `
+        ${field(i, "common.name", a.name)}
+        ${field(i, "doctor.reschedule_request.current", `${i.date(a.date)} ${timeOf(i, a)}`)}
+        ${field(i, "doctor.reschedule_request.requested", `${i.date(date)} ${i.time(slot)}`)}
+        ${field(i, "common.consult_type", a.consult_type)}
+      `;
+    return {
+      subject: i.t("doctor.reschedule_request.subject"),
+      cards: [
+        {
+          title: i.t("doctor.reschedule_request.title"),
+          bodyHtml: details,
+          actionLink: confirmLink,
+          actionText: i.t("doctor.reschedule_request.confirm"),
+        },
+        {
+          title: i.t("doctor.reschedule_request.keep_title"),
+          bodyHtml: details,
+          actionLink: declineLink,
+          actionText: i.t("doctor.reschedule_request.decline"),
+        },
+      ],
+    };
+  },
+};
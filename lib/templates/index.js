@@ -0,0 +1,36 @@
+// lib/templates/index.js
+// Renders the named emails, texts and pages in a patient's language.
+// Doctor emails are rendered in English.
+import { createI18n } from "../i18n/index.js";
+import { emailTemplate } from "./layout.js";
+import { EMAILS } from "./emails.js";
+import { TEXTS } from "./texts.js";
+import { PAGES } from "./pages.js";
+import { PORTAL_PAGES } from "./portal.js";
+
+const ALL_PAGES = { ...PAGES, ...PORTAL_PAGES };
+
+export function createTemplates({ timeZone }) {
+  const i18nFor = (lang) => createI18n(lang, { timeZone });
+
+  return {
+    // → { subject, html }
+    email(name, vars, { lang } = {}) {
+      if (!EMAILS[name]) throw new Error(`Unknown email template: ${name}`);
+      const i18n = i18nFor(lang);
+      const { subject, cards, ...card } = EMAILS[name](vars, i18n);
+      const html = (cards || [card]).map((c) => emailTemplate({ title: subject, ...c }, i18n)).join("");
+      return { subject, html };
+    },
+
+    // SMS/WhatsApp body, or null if the message has no text version
+    text(name, vars, { lang } = {}) {
+      return TEXTS[name] ? TEXTS[name](vars, i18nFor(lang)) : null;
+    },
+
+    page(name, vars, { lang } = {}) {
+      if (!ALL_PAGES[name]) throw new Error(`Unknown page template: ${name}`);
+      return ALL_PAGES[name](vars, i18nFor(lang));
+    },
+  };
+}
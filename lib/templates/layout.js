@@ -0,0 +1,54 @@
+// lib/templates/layout.js
+// The shared email layout: logo, title, body, one action button and the
+// reschedule/cancel footer.
+import { escapeHtml } from "../html.js";
+
+// Responsive email HTML template wrapper. `i18n` (lib/i18n) translates the footer.
+export function emailTemplate({ title, bodyHtml, actionLink, actionText, manageLinks }, i18n) {
+  return `
+<!DOCTYPE html>
+<html lang="${i18n.lang}" xmlns="http://www.w3.org/1999/xhtml">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body, table, td, a { -webkit-text-size-adjust:100%; -ms-text-size-adjust:100%; }
+      body { margin:0; padding:0; width:100% !important; background:#f5f5f7; font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif; color:#111; }
+      table { border-collapse:collapse !important; }
+      a { color:#2563eb; text-decoration:underline; }
+      .card { max-width:480px; margin:20px auto; }
+      @media screen and (max-width:600px){
+        .card { padding:12px !important; }
+        .content { padding:16px !important; }
+        h1 { font-size:22px !important; }
+      }
+    </style>
+  </head>
+  <body style="margin:0;padding:0;background:#f5f5f7;">
+    <div class="card" style="background:#fff; border-radius:12px; box-shadow:0 5px 20px rgba(0,0,0,0.07); margin:30px auto; max-width:480px; padding:24px;">
+      <div style="text-align:center;margin-bottom:20px;">
+        <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo" style="height:44px; width:auto; border:none; background:transparent; display:inline-block;" />
+      </div>
+      <div class="content" style="padding:16px 10px;">
+        <h1 style="font-size:24px;font-weight:700;color:#111;margin:0 0 12px;">${escapeHtml(title)}</h1>
+        <div style="color:#363636;font-size:15px;line-height:1.6;">
+          ${bodyHtml}
+        </div>
+        ${actionLink ? `
+        <div style="text-align:center;margin:28px 0 0 0;">
+          <a href="${escapeHtml(actionLink)}" style="display:inline-block; padding:12px 32px; border-radius:34px; background:#16a34a; color:#fff; font-weight:600; font-size:16px; text-decoration:none; margin:2px 7px;">${escapeHtml(actionText)}</a>
+        </div>` : ""}
+        ${manageLinks ? `
+        <div style="text-align:center;margin:22px 0 0 0;font-size:14px;color:#6b6b6b;">
+          ${i18n.h("layout.manage")} <a href="${escapeHtml(manageLinks.reschedule)}">${i18n.h("layout.reschedule")}</a> &middot; <a href="${escapeHtml(manageLinks.cancel)}">${i18n.h("layout.cancel")}</a> &middot; <a href="${escapeHtml(manageLinks.notifications)}">${i18n.h("layout.notifications")}</a>
+        </div>` : ""}
+      </div>
+      <div style="border-top:1px solid #ececec;margin:20px 0 0 0;padding-top:12px;font-size:13px;color:#8f8f8f;text-align:center;">
+        SidhaHealth &middot; ${i18n.h("layout.help")} <a href="mailto:support@sidhahealth.com" style="color:#2563eb;text-decoration:underline;">support@sidhahealth.com</a>
+      </div>
+    </div>
+  </body>
+</html>
+  `;
+}
@@ -0,0 +1,249 @@
+// lib/templates/pages.js
+// Patient-facing payment and video room pages. Each takes its vars and an i18n (lib/i18n)
+// and returns the page HTML.
+import { escapeHtml } from "../html.js";
+
+const isOnline = (a) => String(a.consult_type).toLowerCase() === "online";
+
+function helpLine(i) {
+  return `<strong>${i.h("pages.help")}</strong> ${i.h("pages.help_email")} <a href="mailto:support@sidhahealth.com">support@sidhahealth.com</a>`;
+}
+
+// The patient token as a hidden field, for the forms on the payment page
+function tokenField(token) {
+  return token ? `<input type="hidden" name="token" value="${escapeHtml(token)}"/>` : "";
+}
+
+// checkout: { provider: "razorpay", options } | { provider: "mock" } | null once paid
+function checkoutHtml({ appointment, checkout, token }, i) {
+  if (!checkout) return "";
+  if (checkout.provider === "razorpay") {
+    return `
+          <div style="text-align:center;margin:24px 0 18px 0;">
+            <button class="upi-btn" id="payBtn" style="border:none;cursor:pointer;">${i.h("common.pay_now")}</button>
+          </div>
+          <script src="https://checkout.razorpay.com/v1/checkout.js"></script>
+          <script>
+            const options = ${JSON.stringify(checkout.options).replace(/</g, "\\u003c")};
+            options.handler = () => document.getElementById('statusForm').submit();
+            document.getElementById('payBtn').onclick = () => new Razorpay(options).open();
+          </script>`;
+  }
+  return `
+          <form method="POST" action="/payment/${escapeHtml(appointment.id)}/mock-pay" style="text-align:center;margin:24px 0 18px 0;">
+            ${tokenField(token)}
+            <button class="upi-btn" type="submit" style="border:none;cursor:pointer;">${i.h("pages.payment.simulate")}</button>
+          </form>`;
+}
+
+const PAID_CARD_STYLES = `
+          body {
+            min-height: 100vh; display: flex; align-items: center; justify-content: center;
+            background: #f5f5f5; font-family: system-ui, sans-serif; margin:0; color: #1b1b1e;
+          }
+          .join-card {
+            background: #fff; border-radius: 18px; padding: 38px 32px 32px 32px;
+            max-width: 410px; box-shadow: 0 6px 28px rgba(0,0,0,0.10);
+            text-align: center;
+          }
+          .logo { margin-bottom: 20px; }
+          .logo img { height: 50px; }
+          .success { font-size: 24px; margin:0 0 10px 0; color: #17c964; }`;
+
+// Before the window: countdown, with the join button switched on at zero.
+// The countdown runs from the server's clock, not the visitor's.
+function roomDetails(room, i) {
+  if (room.state === "ended") {
+    return `
+          <div class="details">${i.h("pages.room.ended")}</div>`;
+  }
+  const join = (extra = "") =>
+    `<a class="join-btn" id="joinBtn" href="${escapeHtml(room.link)}" target="_blank"${extra}>${i.h("pages.paid.join")}</a>`;
+  if (room.state === "open") {
+    return `
+          <div class="details">
+            ${i.h("pages.paid.video_ready")}<br>
+            ${i.h("pages.paid.pay_at_start")}
+          </div>
+          ${join()}`;
+  }
+  const opensIn = Math.max(0, room.opensAt.getTime() - Date.now());
+  return `
+          <div class="details">
+            ${i.h("pages.room.opens_in")}
+            <div class="countdown" id="countdown">&nbsp;</div>
+            ${i.h("pages.room.opens_at", { time: i.time(room.opensAt.toISOString()) })}
+          </div>
+          ${join(' aria-disabled="true"')}
+          <script>
+            (function () {
+              const opensAt = Date.now() + ${opensIn};
+              const countdown = document.getElementById("countdown");
+              const btn = document.getElementById("joinBtn");
+              const pad = (n) => String(n).padStart(2, "0");
+              (function tick() {
+                const left = Math.max(0, Math.round((opensAt - Date.now()) / 1000));
+                countdown.textContent = pad(Math.floor(left / 3600)) + ":" + pad(Math.floor(left / 60) % 60) + ":" + pad(left % 60);
+                if (left > 0) return setTimeout(tick, 1000);
+                btn.removeAttribute("aria-disabled");
+              })();
+            })();
+          </script>`;
+}
+
+// title: already escaped; body: the card contents
+function cardPage(i, { title, body }) {
+  return `
+      <!DOCTYPE html>
+      <html lang="${i.lang}">
+      <head>
+        <meta charset="UTF-8"/>
+        <meta name="viewport" content="width=device-width,initial-scale=1.0"/>
+        <title>${title}</title>
+        <style>${PAID_CARD_STYLES}
+          .details {
+            color: #212326; font-size: 16px; margin-bottom:18px; line-height:1.6;
+          }
+          .countdown { font-size: 34px; font-weight: 700; color: #0c4826; margin: 8px 0; font-variant-numeric: tabular-nums; }
+          .join-btn {
+            background: #2563eb; color: #fff !important; font-weight: 600; font-size: 18px;
+            padding: 15px 35px; border-radius: 30px; border:none; text-decoration:none; display:inline-block; margin:12px 0 2px 0;
+            transition: box-shadow .15s;
+          }
+          .join-btn:hover { box-shadow:0 6px 24px #2563eb40; }
+          .join-btn[aria-disabled="true"] { background: #b2c6f8; pointer-events: none; }
+        </style>
+      </head>
+      <body>
+        <div class="join-card">
+          <div class="logo">
+            <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo"/>
+          </div>
+          ${body}
+          <div style="margin-top:18px;font-size:13px;color:#919191;">
+            ${helpLine(i)}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+}
+
+export const PAGES = {
+  // vars: { appointment, paid, checkout, token } (token: the patient token
+  // from the payment link, which the status check needs)
+  payment(vars, i) {
+    const { appointment, paid, token } = vars;
+    return `
+    <!DOCTYPE html>
+    <html lang="${i.lang}">
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width,initial-scale=1.0" />
+        <title>${i.h("pages.payment.title")}</title>
+        <style>
+          body {
+            min-height: 100vh;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            background: #f5f5f7;
+            font-family: system-ui, sans-serif;
+            margin: 0;
+            padding: 0;
+            color: #222;
+          }
+          .center-card {
+            background: #fff;
+            max-width: 410px;
+            border-radius: 18px;
+            box-shadow: 0 5px 24px rgba(0,0,0,0.09);
+            padding: 32px 24px 24px 24px;
+          }
+          .warnbox {
+            background: #fffbe8;
+            color: #a47e00;
+            border: 1.5px solid #ffe58f;
+            border-radius: 9px;
+            padding: 12px 16px;
+            margin-bottom: 18px;
+            font-size: 15px;
+            text-align: center;
+            font-weight: 500;
+          }
+          .logo { text-align: center; margin-bottom: 28px; }
+          .logo img { height: 52px; }
+          h2 { color: #0c4826; margin-top: 0; font-size: 23px; text-align:center; }
+          .amount { font-size: 20px; font-weight: 700; color: #0c4826; text-align:center; margin-bottom:2px; }
+          .upi-btn { display: inline-block; background: #16a34a; color: #fff; font-weight: 600; font-size: 17px; padding:11px 32px; border-radius:99px; text-decoration:none; margin-bottom:14px; }
+          .waiting { font-size: 15px; text-align:center; color: #707070; margin:14px 0; }
+          .paid-btn, .paid-btn:disabled { width:100%; max-width:260px; font-size:16px; font-weight:600; padding:12px; border-radius:8px; border:none; background:#2563eb; color:white; cursor:pointer; margin:auto; display:block; margin-top:14px; }
+          .paid-btn:disabled { background: #b2c6f8; cursor: not-allowed; }
+          .help { font-size: 13px; color: #7a7a7a; text-align:center; margin-top:20px; }
+          @media screen and (max-width: 600px) {
+            .center-card { padding:18px 8px 14px 8px; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="center-card">
+          <div class="logo">
+            <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo"/>
+          </div>
+          <div class="warnbox">
+            ⚠️ <b>${i.h("pages.payment.warn_strong")}</b><br>
+            ${i.h("pages.payment.warn")}
+          </div>
+          <h2>${i.h("pages.payment.heading")}</h2>
+          <div class="amount">${escapeHtml(i.money(appointment.amount))}</div>
+          ${checkoutHtml(vars, i)}
+          <div class="waiting" id="statusText">
+            ${paid ? i.h("pages.payment.paid") : i.h("pages.payment.pending")}
+          </div>
+          <form method="POST" action="/payment-done/${escapeHtml(appointment.id)}" id="statusForm" style="text-align:center;">
+            ${tokenField(token)}
+            <button class="paid-btn" type="submit">${paid ? i.h("pages.payment.continue") : i.h("pages.payment.check")}</button>
+          </form>
+          <div class="help">
+            ${helpLine(i)}
+            <br>
+            <span style="color:#b91c1c;">${i.h("pages.payment.never_share")}</span>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+  },
+
+  not_paid({ appointment, token }, i) {
+    const query = token ? `?token=${encodeURIComponent(token)}` : "";
+    return `
+      <h2>${i.h("pages.not_paid.title")}</h2>
+      <p>${i.h("pages.not_paid.body")}</p>
+      <p><a href="/payment/${escapeHtml(appointment.id)}${escapeHtml(query)}">${i.h("pages.not_paid.back")}</a></p>
+    `;
+  },
+
+  // Online: the video room card (room: { link, opensAt, closesAt, state }).
+  // Offline: confirmation card.
+  paid({ appointment, room }, i) {
+    const online = isOnline(appointment) && room;
+    const details = online
+      ? roomDetails(room, i)
+      : `
+          <div class="details">
+            ${i.h("pages.paid.clinic")}
+          </div>`;
+    return cardPage(i, {
+      title: i.h(online ? "pages.paid.video_title" : "pages.paid.title"),
+      body: `
+          <div class="success">${i.h("pages.paid.success")}</div>
+          ${details}`,
+    });
+  },
+
+  // Where video links land outside the join window
+  video_room({ room }, i) {
+    return cardPage(i, { title: i.h("pages.paid.video_title"), body: roomDetails(room, i) });
+  },
+};
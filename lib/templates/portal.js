@@ -0,0 +1,178 @@
+// lib/templates/portal.js
+// Patient portal pages (/my): sign-in, appointment history and re-booking,
+// plus the page for taking an offered time (decline alternatives, waitlist).
+// Each takes its vars and an i18n (lib/i18n) and returns the page HTML.
+import { escapeHtml } from "../html.js";
+
+const consultLabel = (i, type) => i.t(`consult.${String(type).toLowerCase()}`);
+const timeOf = (i, a) => i.time(a.slot_start, a.final_time || a.time);
+
+function shell(i, body) {
+  return `
+    <!DOCTYPE html>
+    <html lang="${i.lang}">
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width,initial-scale=1.0" />
+        <title>${i.h("portal.title")}</title>
+        <style>
+          body { background: #f5f5f7; font-family: system-ui, sans-serif; margin: 0; padding: 24px 12px; color: #222; }
+          .card { background: #fff; max-width: 560px; margin: 0 auto 16px auto; border-radius: 18px; box-shadow: 0 5px 24px rgba(0,0,0,0.09); padding: 28px 24px; }
+          .logo { text-align: center; margin-bottom: 20px; }
+          .logo img { height: 48px; }
+          h2 { color: #0c4826; margin-top: 0; font-size: 23px; }
+          h3 { color: #0c4826; margin: 24px 0 8px 0; font-size: 18px; }
+          .appt { border-top: 1px solid #eee; padding: 14px 0; }
+          .appt p { margin: 4px 0; }
+          .status { display: inline-block; font-size: 13px; font-weight: 600; padding: 2px 10px; border-radius: 99px; background: #e8f5ee; color: #0c4826; }
+          .status.off { background: #f3f3f3; color: #707070; }
+          .links a { display: inline-block; margin: 8px 12px 0 0; color: #2563eb; font-weight: 600; text-decoration: none; }
+          .muted { color: #707070; font-size: 14px; }
+          input, select { padding: 10px; font-size: 16px; border: 1px solid #ccc; border-radius: 8px; width: 100%; box-sizing: border-box; margin: 6px 0 14px 0; }
+          button { font-size: 16px; font-weight: 600; padding: 11px 24px; border-radius: 8px; border: none; background: #16a34a; color: #fff; cursor: pointer; }
+          button.link { background: none; color: #2563eb; padding: 0; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="logo"><img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo"/></div>
+          ${body}
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+const backLink = (i) => `<p><a href="/my">${i.h("portal.rebook.back")}</a></p>`;
+
+// vars (per appointment): { appointment, doctor, payLink, receiptLink,
+// prescriptionLink, videoLink, manageLinks, rebookLink }; the links are null when not offered
+function appointmentHtml(v, i) {
+  const a = v.appointment;
+  const status = a.status || "requested";
+  const active = ["requested", "confirmed", "awaiting_payment", "paid"].includes(status);
+  const payment = a.amount == null
+    ? ""
+    : `<p>${i.h("common.fee")}: ${escapeHtml(i.money(a.amount))} · ${i.h(
+      status === "paid" || a.paid_at ? "portal.home.paid" : v.payLink ? "portal.home.due" : "portal.home.not_due"
+    )}</p>`;
+  const links = [
+    v.videoLink && `<a href="${escapeHtml(v.videoLink)}">${i.h("common.join_video")}</a>`,
+    v.payLink && `<a href="${escapeHtml(v.payLink)}">${i.h("common.pay_now")}</a>`,
+    v.receiptLink && `<a href="${escapeHtml(v.receiptLink)}">${i.h("portal.home.receipt")}</a>`,
+    v.prescriptionLink && `<a href="${escapeHtml(v.prescriptionLink)}">${i.h("portal.home.prescription")}</a>`,
+    v.manageLinks && `<a href="${escapeHtml(v.manageLinks.reschedule)}">${i.h("layout.reschedule")}</a>`,
+    v.manageLinks && `<a href="${escapeHtml(v.manageLinks.cancel)}">${i.h("layout.cancel")}</a>`,
+    v.rebookLink && `<a href="${escapeHtml(v.rebookLink)}">${i.h("portal.home.book_again")}</a>`,
+  ].filter(Boolean);
+  return `
+          <div class="appt">
+            <p><strong>${escapeHtml(i.date(a.date))}, ${escapeHtml(timeOf(i, a))}</strong>
+              <span class="status${active ? "" : " off"}">${i.h(`portal.status.${status}`)}</span></p>
+            <p>${escapeHtml(v.doctor.name)} · ${escapeHtml(consultLabel(i, a.consult_type))}</p>
+            ${payment}
+            ${links.length ? `<div class="links">${links.join("")}</div>` : ""}
+          </div>`;
+}
+
+export const PORTAL_PAGES = {
+  portal_sign_in(vars, i) {
+    return shell(i, `
+          <h2>${i.h("portal.home.heading")}</h2>
+          <p>${i.h("portal.sign_in.intro")}</p>
+          <form method="POST" action="/my/login">
+            <label>${i.h("common.email")}</label>
+            <input type="email" name="email" required autocomplete="email"/>
+            <button type="submit">${i.h("portal.sign_in.submit")}</button>
+          </form>`);
+  },
+
+  // vars: { email, minutes }
+  portal_check_email({ email, minutes }, i) {
+    return shell(i, `
+          <h2>${i.h("portal.sign_in.sent_heading")}</h2>
+          <p>${i.h("portal.sign_in.sent", { email, minutes })}</p>`);
+  },
+
+  // The magic link lands here and signs in with a POST, so mail scanners
+  // that open links don't use it up. vars: { token }
+  portal_confirm({ token }, i) {
+    return shell(i, `
+          <h2>${i.h("portal.home.heading")}</h2>
+          <p>${i.h("portal.sign_in.confirm")}</p>
+          <form method="POST" action="/my/session">
+            <input type="hidden" name="token" value="${escapeHtml(token)}"/>
+            <button type="submit">${i.h("portal.sign_in.button")}</button>
+          </form>`);
+  },
+
+  // vars: { email, upcoming: [...], past: [...] } (see appointmentHtml)
+  portal_home({ email, upcoming, past }, i) {
+    const list = (items, empty) =>
+      items.length ? items.map((v) => appointmentHtml(v, i)).join("") : `<p class="muted">${i.h(empty)}</p>`;
+    return shell(i, `
+          <h2>${i.h("portal.home.heading")}</h2>
+          <form method="POST" action="/my/logout" class="muted">
+            ${i.h("portal.home.signed_in", { email })} ·
+            <button type="submit" class="link">${i.h("portal.home.sign_out")}</button>
+          </form>
+          <h3>${i.h("portal.home.upcoming")}</h3>
+          ${list(upcoming, "portal.home.none_upcoming")}
+          <h3>${i.h("portal.home.past")}</h3>
+          ${list(past, "portal.home.none_past")}`);
+  },
+
+  // vars: { appointment, doctor, date, slots: [{ start }] | null }
+  portal_rebook({ appointment, doctor, date, slots }, i) {
+    const slotPicker = !slots
+      ? ""
+      : slots.length
+        ? `
+          <form method="POST" action="/my/rebook/${escapeHtml(appointment.id)}">
+            <input type="hidden" name="date" value="${escapeHtml(date)}"/>
+            <label>${i.h("common.time")}</label>
+            <select name="slot" required>
+              ${slots.map((s) => `<option value="${escapeHtml(s.start)}">${escapeHtml(i.time(s.start))}</option>`).join("")}
+            </select>
+            <button type="submit">${i.h("portal.rebook.submit")}</button>
+          </form>`
+        : `<p>${i.h("portal.rebook.no_times", { date: i.date(date) })}</p>`;
+    return shell(i, `
+          <h2>${i.h("portal.rebook.heading", { doctor: doctor.name })}</h2>
+          <p class="muted">${escapeHtml(consultLabel(i, appointment.consult_type))}</p>
+          <form method="GET" action="/my/rebook/${escapeHtml(appointment.id)}">
+            <label>${i.h("common.date")}</label>
+            <input type="date" name="date" value="${escapeHtml(date || "")}" required/>
+            <button type="submit">${i.h("portal.rebook.show_times")}</button>
+          </form>
+          ${slotPicker}
+          ${backLink(i)}`);
+  },
+
+  // A time held for the patient, taken with a POST back to `action` so mail
+  // scanners opening the emailed link don't take it. vars: { heading, intro,
+  // button (i18n keys), expires (ISO, or none), slot: { date, slot_start },
+  // consultType, doctor, action, token }
+  slot_offer({ heading, intro, button, expires, slot, consultType, doctor, action, token }, i) {
+    return shell(i, `
+          <h2>${i.h(heading)}</h2>
+          <p>${i.h(intro, expires ? { expires: i.time(expires) } : {})}</p>
+          <div class="appt">
+            <p><strong>${escapeHtml(i.date(slot.date))}, ${escapeHtml(i.time(slot.slot_start))}</strong></p>
+            <p>${escapeHtml(doctor.name)} · ${escapeHtml(consultLabel(i, consultType))}</p>
+          </div>
+          <form method="POST" action="${escapeHtml(action)}">
+            <input type="hidden" name="token" value="${escapeHtml(token || "")}"/>
+            <button type="submit">${i.h(button)}</button>
+          </form>`);
+  },
+
+  // vars: { title, message, params } — title and message are i18n keys;
+  // text (already in words, e.g. a booking error) replaces the message
+  portal_message({ title, message, params, text }, i) {
+    return shell(i, `
+          <h2>${i.h(title)}</h2>
+          <p>${text ? escapeHtml(text) : i.h(message, params)}</p>
+          ${backLink(i)}`);
+  },
+};
@@ -0,0 +1,27 @@
+// lib/templates/texts.js
+// SMS/WhatsApp text for the patient emails of the same name. Plain text,
+// kept short enough for a single SMS where possible.
+
+const timeOf = (i, a) => i.time(a.slot_start, a.final_time || a.time);
+
+export const TEXTS = {
+  booking_received: ({ appointment: a }, i) =>
+    i.t("booking_received.text", {
+      type: i.t(`consult.${String(a.consult_type).toLowerCase()}`),
+      date: i.date(a.date),
+      time: timeOf(i, a),
+    }),
+  confirmed: ({ appointment: a, doctor, price }, i) =>
+    `${i.t("confirmed.text", { doctor: doctor.name, date: i.date(a.date), time: timeOf(i, a) })} ` +
+    (a.payment_link
+      ? i.t("confirmed.text_pay", { fee: i.money(price.total), link: a.payment_link })
+      : i.t("confirmed.text_clinic")),
+  declined: ({ appointment: a, reason }, i) =>
+    i.t("declined.text", { date: i.date(a.date), reason }),
+  reschedule_declined: ({ appointment: a, reason }, i) =>
+    i.t("reschedule_declined.text", { date: i.date(a.date), time: timeOf(i, a), reason }),
+  prescription: ({ doctor, prescriptionLink }, i) =>
+    i.t("prescription.text", { doctor: doctor.name, link: prescriptionLink }),
+  receipt: ({ appointment: a, receipt }, i) =>
+    i.t("receipt.text", { amount: i.money(receipt.total), date: i.date(a.date), time: timeOf(i, a), receipt: receipt.id }),
+};
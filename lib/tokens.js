@@ -0,0 +1,59 @@
+// lib/tokens.js
+// HMAC-signed, expiring tokens for the links we put in emails.
+// Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload)).
+import crypto from "crypto";
+
+function b64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+export function randomNonce() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+export function createTokenSigner(secret) {
+  if (!secret) throw new Error("ACTION_TOKEN_SECRET is not set");
+
+  // payload: { sub, scope, nonce, ... } — exp is added here (unix seconds)
+  function sign(payload, ttlSeconds) {
+    const body = b64url(JSON.stringify({
+      ...payload,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    }));
+    return `${body}.${hmac(secret, body)}`;
+  }
+
+  // Returns { ok: true, payload } or { ok: false, reason } where reason is
+  // "missing", "invalid" or "expired". Single-use checks are up to the caller.
+  function verify(token, { sub, scope } = {}) {
+    if (!token || typeof token !== "string") return { ok: false, reason: "missing" };
+
+    const [body, sig] = token.split(".");
+    if (!body || !sig) return { ok: false, reason: "invalid" };
+
+    const expected = Buffer.from(hmac(secret, body));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given))
+      return { ok: false, reason: "invalid" };
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch {
+      return { ok: false, reason: "invalid" };
+    }
+
+    if (sub !== undefined && payload.sub !== sub) return { ok: false, reason: "invalid" };
+    if (scope !== undefined && payload.scope !== scope) return { ok: false, reason: "invalid" };
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000))
+      return { ok: false, reason: "expired" };
+
+    return { ok: true, payload };
+  }
+
+  return { sign, verify };
+}
@@ -0,0 +1,146 @@
+// lib/validation.js
+// Request body schemas. A schema maps field → rule; validate() returns
+// { value } with only the schema's fields (trimmed/normalised), or
+// { errors: [{ field, message }] } listing every bad field.
+import { WEEKDAYS, isValidDate, normalizeSlot } from "./slots.js";
+
+export const EMAIL_RE = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+// Indian mobile: optional +91 / 91 / 0 prefix, then 10 digits starting 6-9
+const PHONE_RE = /^(?:\+?91|0)?([6-9]\d{9})$/;
+const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+export const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// YYYY-MM-DD for `now` in the given time zone
+export function todayIn(timeZone, now = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+}
+
+// Each checker returns { value } or { message }
+const CHECKERS = {
+  string(raw, rule) {
+    if (typeof raw !== "string" && typeof raw !== "number") return { message: "must be text" };
+    const value = String(raw).trim();
+    if (rule.required && !value) return { message: "is required" };
+    if (value.length > (rule.max ?? 200)) return { message: `must be at most ${rule.max ?? 200} characters` };
+    if (/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/.test(value)) return { message: "contains control characters" };
+    if (rule.pattern && !rule.pattern.test(value)) return { message: rule.message || "has an invalid format" };
+    return { value };
+  },
+  text(raw, rule) {
+    return CHECKERS.string(raw, { max: 1000, ...rule });
+  },
+  email(raw) {
+    const value = typeof raw === "string" ? raw.trim().toLowerCase() : "";
+    if (!EMAIL_RE.test(value) || value.length > 254) return { message: "must be a valid email address" };
+    return { value };
+  },
+  phone(raw) {
+    const digits = typeof raw === "string" || typeof raw === "number" ? String(raw).replace(/[\s()-]/g, "") : "";
+    const m = digits.match(PHONE_RE);
+    if (!m) return { message: "must be a 10-digit Indian mobile number" };
+    return { value: m[1] };
+  },
+  date(raw, rule, ctx) {
+    if (!isValidDate(raw)) return { message: "must be a date in YYYY-MM-DD format" };
+    if (rule.notPast && raw < todayIn(ctx.timeZone, ctx.now)) return { message: "must not be in the past" };
+    return { value: raw };
+  },
+  datetime(raw) {
+    if (typeof raw !== "string" || !ISO_DATETIME_RE.test(raw)) return { message: "must be an ISO 8601 date-time" };
+    const value = normalizeSlot(raw);
+    return value ? { value } : { message: "must be an ISO 8601 date-time" };
+  },
+  enum(raw, rule) {
+    const match = rule.values.find((v) => String(v).toLowerCase() === String(raw).trim().toLowerCase());
+    if (match === undefined) return { message: `must be one of ${rule.values.join(", ")}` };
+    return { value: match };
+  },
+  number(raw, rule) {
+    const value = Number(raw);
+    if (raw === "" || raw === null || typeof raw === "boolean" || !Number.isFinite(value))
+      return { message: "must be a number" };
+    if (rule.integer && !Number.isInteger(value)) return { message: "must be a whole number" };
+    if (rule.min !== undefined && value < rule.min) return { message: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { message: `must be at most ${rule.max}` };
+    return { value };
+  },
+  boolean(raw) {
+    if (raw === true || raw === "true") return { value: true };
+    if (raw === false || raw === "false") return { value: false };
+    return { message: "must be true or false" };
+  },
+  // Array or comma-separated string, de-duplicated. With `values`, only those
+  // (in any case) are allowed.
+  list(raw, rule) {
+    const items = Array.isArray(raw) ? raw : String(raw).split(",");
+    const value = [];
+    for (const item of items.map((i) => String(i).trim()).filter(Boolean)) {
+      const match = rule.values ? rule.values.find((v) => v.toLowerCase() === item.toLowerCase()) : item;
+      if (!match) return { message: `must only contain ${rule.values.join(", ")}` };
+      if (!value.includes(match)) value.push(match);
+    }
+    if (rule.required && !value.length) return { message: "must not be empty" };
+    return { value };
+  },
+  id(raw) {
+    const value = typeof raw === "string" ? raw.trim() : "";
+    if (!ID_RE.test(value)) return { message: "must be letters, digits, - or _ (max 64)" };
+    return { value };
+  },
+  timestamp(raw) {
+    const d = new Date(raw);
+    if (typeof raw !== "string" || isNaN(d)) return { message: "must be a date or date-time" };
+    return { value: d.toISOString() };
+  },
+  // List of YYYY-MM-DD dates, de-duplicated and sorted
+  dates(raw) {
+    if (!Array.isArray(raw) || !raw.every(isValidDate)) return { message: "must be a list of YYYY-MM-DD dates" };
+    return { value: [...new Set(raw)].sort() };
+  },
+  // Weekly hours: { mon: [{ start, end }], ... } in HH:MM. Days left out
+  // have no hours.
+  weekly(raw) {
+    if (typeof raw !== "object" || Array.isArray(raw)) return { message: "must be an object of weekday → ranges" };
+    const value = {};
+    for (const day of WEEKDAYS) {
+      const ranges = raw[day] ?? [];
+      if (!Array.isArray(ranges)) return { message: `${day} must be a list of { start, end } ranges` };
+      value[day] = [];
+      for (const r of ranges) {
+        if (!TIME_RE.test(r?.start) || !TIME_RE.test(r?.end) || r.start >= r.end)
+          return { message: `${day}: start and end must be HH:MM with start before end` };
+        value[day].push({ start: r.start, end: r.end });
+      }
+    }
+    return { value };
+  },
+};
+
+const isEmpty = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+// rule: { type, required, nullable, default, ...type options }
+//   string/text: max, pattern + message · date: notPast · enum/list: values
+//   number: min, max, integer
+// `default` is used when the field is left out or empty.
+// ctx:  { timeZone, now } for date rules
+export function validate(schema, input, ctx = {}) {
+  const body = input && typeof input === "object" ? input : {};
+  const errors = [];
+  const value = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+    if (isEmpty(raw)) {
+      if (rule.default !== undefined) value[field] = structuredClone(rule.default);
+      else if (rule.required) errors.push({ field, message: "is required" });
+      else if (rule.nullable && raw !== undefined) value[field] = null;
+      continue;
+    }
+    const result = CHECKERS[rule.type](raw, rule, { timeZone: "UTC", now: new Date(), ...ctx });
+    if (result.message) errors.push({ field, message: result.message });
+    else value[field] = result.value;
+  }
+
+  return errors.length ? { errors } : { value };
+}
@@ -0,0 +1,82 @@
+// lib/video.js
+// Jitsi rooms for online consults, on a self-hosted Jitsi with token auth:
+// join links carry a JWT for one room, one role and the join window. The
+// base URL, app id and secret are required; public meet.jit.si rooms are
+// open to anyone with the name, so they aren't allowed.
+import crypto from "crypto";
+
+function b64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+// HS256 JWT, as Jitsi's token auth (prosody mod_auth_token) expects
+function signJwt(payload, secret) {
+  const body = `${b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }))}.${b64url(JSON.stringify(payload))}`;
+  return `${body}.${crypto.createHmac("sha256", secret).update(body).digest("base64url")}`;
+}
+
+const unix = (date) => Math.floor(date.getTime() / 1000);
+
+export function createVideoRooms({
+  baseUrl,
+  appId,
+  appSecret,
+  roomPrefix = "sidhahealth",
+  openBeforeMinutes = 15,
+  closeAfterMinutes = 30,
+}) {
+  if (!baseUrl) throw new Error("JITSI_BASE_URL is not set (a self-hosted Jitsi with token auth)");
+  if (!appId || !appSecret) throw new Error("JITSI_APP_ID and JITSI_APP_SECRET are required");
+  const base = baseUrl.replace(/\/+$/, "");
+  const domain = new URL(base).host;
+  if (domain === "meet.jit.si") throw new Error("JITSI_BASE_URL must be a self-hosted Jitsi, not meet.jit.si");
+
+  // 96 random bits, so room names can't be guessed either
+  function newRoom() {
+    return `${roomPrefix}-${crypto.randomBytes(12).toString("hex")}`;
+  }
+
+  // When the room may be joined: from openBeforeMinutes before the start
+  // until closeAfterMinutes after the end. Both null for rows without a slot.
+  function joinWindow(start, end) {
+    if (!start) return { opensAt: null, closesAt: null };
+    return {
+      opensAt: new Date(start.getTime() - openBeforeMinutes * 60 * 1000),
+      closesAt: new Date(end.getTime() + closeAfterMinutes * 60 * 1000),
+    };
+  }
+
+  // "waiting", "open" or "ended"
+  function windowState({ opensAt, closesAt }, now = new Date()) {
+    if (opensAt && now < opensAt) return "waiting";
+    if (closesAt && now > closesAt) return "ended";
+    return "open";
+  }
+
+  // user: { name, email }. The JWT is only good inside the window, so a
+  // forwarded link stops working once the consult is over.
+  function joinUrl(room, { user, moderator = false, window = {} }) {
+    const url = `${base}/${encodeURIComponent(room)}`;
+    const now = new Date();
+    const jwt = signJwt({
+      aud: "jitsi",
+      iss: appId,
+      sub: domain,
+      room,
+      nbf: unix(window.opensAt || now),
+      exp: unix(window.closesAt || new Date(now.getTime() + 2 * 3600 * 1000)),
+      moderator,
+      context: {
+        user: {
+          name: user.name,
+          email: user.email,
+          moderator,
+          affiliation: moderator ? "owner" : "member",
+        },
+      },
+    }, appSecret);
+    return `${url}?jwt=${jwt}`;
+  }
+
+  return { newRoom, joinWindow, windowState, joinUrl };
+}
@@ -0,0 +1,63 @@
+// lib/waitlist.js
+// Per-date waitlist. Patients join for a date (and optionally a doctor);
+// when an appointment that day is cancelled or declined, the freed slot is
+// offered to the first waiting entry it suits, for a limited time. Rows in
+// `waitlist` move
+//
+//   waiting → offered → claimed
+//                     ↘ expired   (the offer lapsed; the slot goes to the next entry)
+//
+// with compare-and-set on `status`, so an entry is only offered, claimed or
+// expired once.
+import { randomUUID } from "crypto";
+
+export function createWaitlist({ storage, now = () => new Date() }) {
+  // Returns { entry, created }. A patient already waiting for the date keeps
+  // their place instead of joining twice.
+  async function join(fields) {
+    const [existing] = await storage.list("waitlist", {
+      eq: { email: fields.email, date: fields.date },
+      in: { status: ["waiting", "offered"] },
+      limit: 1,
+    });
+    if (existing) return { entry: existing, created: false };
+    const entry = await storage.insert("waitlist", {
+      id: randomUUID(),
+      ...fields,
+      status: "waiting",
+      created_at: now().toISOString(),
+    });
+    return { entry, created: true };
+  }
+
+  // Oldest waiting entry for `date` that `suits` accepts
+  async function next(date, suits = () => true) {
+    const waiting = await storage.list("waitlist", {
+      eq: { date, status: "waiting" },
+      orderBy: "created_at",
+    });
+    return waiting.find(suits) || null;
+  }
+
+  // 1-based place among the entries still waiting for the date
+  async function position(entry) {
+    const waiting = await storage.list("waitlist", { eq: { date: entry.date, status: "waiting" } });
+    return waiting.filter((e) => e.created_at <= entry.created_at).length;
+  }
+
+  // Returns the updated row, or null if the entry changed first
+  function move(entry, to, updates = {}) {
+    return storage.update("waitlist", entry.id, { ...updates, status: to }, { status: entry.status });
+  }
+
+  // Offers past their expiry
+  function lapsedOffers() {
+    return storage.list("waitlist", {
+      eq: { status: "offered" },
+      lte: { offer_expires_at: now().toISOString() },
+      orderBy: "offer_expires_at",
+    });
+  }
+
+  return { join, next, position, move, lapsedOffers };
+}
@@ -0,0 +1,161 @@
+// lib/webhooks.js
+// Outbound webhooks. Subscriptions (`webhook_subscriptions`) name a URL and
+// the events it wants; every event sent to one becomes a row in
+// `webhook_deliveries`, which is also the delivery log. Failed deliveries
+// are retried with exponential backoff until they succeed or run out of
+// attempts, and can be replayed by hand after that.
+//
+// Each POST carries the JSON body
+//   { id, event, created_at, data }
+// and the headers
+//   X-SidhaHealth-Event:     the event name
+//   X-SidhaHealth-Delivery:  the delivery id (the same on every retry, for de-duplication)
+//   X-SidhaHealth-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the subscription secret>
+import crypto from "crypto";
+
+export const WEBHOOK_EVENTS = [
+  "appointment.booked",
+  "appointment.confirmed",
+  "appointment.declined",
+  "appointment.paid",
+  "appointment.cancelled",
+];
+
+export function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Receivers check this the same way, and should reject old timestamps
+export function signWebhook(secret, body, timestamp) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+export function createWebhookDispatcher({
+  storage,
+  fetch = globalThis.fetch,
+  maxAttempts = 8,
+  baseDelaySeconds = 30,
+  timeoutMs = 10000,
+  now = () => new Date(),
+}) {
+  let retrying = false;
+
+  // 30s, 1m, 2m, 4m, ... after each failed attempt; null once out of attempts
+  function nextAttemptAt(attempts) {
+    if (attempts >= maxAttempts) return null;
+    return new Date(now().getTime() + baseDelaySeconds * 2 ** (attempts - 1) * 1000).toISOString();
+  }
+
+  // One POST. Throws on a network error, timeout or non-2xx reply.
+  async function post(subscription, delivery) {
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      created_at: delivery.created_at,
+      data: delivery.payload,
+    });
+    const timestamp = Math.floor(now().getTime() / 1000);
+    const res = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "SidhaHealth-Webhooks/1",
+        "X-SidhaHealth-Event": delivery.event,
+        "X-SidhaHealth-Delivery": delivery.id,
+        "X-SidhaHealth-Signature": signWebhook(subscription.secret, body, timestamp),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.statusCode = res.status;
+      throw err;
+    }
+    return res.status;
+  }
+
+  // Makes one attempt and records the outcome on the delivery row
+  async function attempt(delivery, subscription) {
+    const attempts = (delivery.attempts || 0) + 1;
+    try {
+      if (!subscription || subscription.active === false) throw new Error("Subscription is missing or inactive");
+      const statusCode = await post(subscription, delivery);
+      return storage.update("webhook_deliveries", delivery.id, {
+        status: "delivered",
+        attempts,
+        last_status_code: statusCode,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: now().toISOString(),
+      });
+    } catch (err) {
+      const next = nextAttemptAt(attempts);
+      return storage.update("webhook_deliveries", delivery.id, {
+        status: next ? "pending" : "failed",
+        attempts,
+        last_status_code: err.statusCode ?? null,
+        last_error: String(err.message || err),
+        next_attempt_at: next,
+      });
+    }
+  }
+
+  // Logs a delivery of `event` to every active subscription that wants it
+  // and tries each once right away. Returns the delivery rows.
+  async function dispatch(event, payload) {
+    const subscriptions = (await storage.list("webhook_subscriptions", { orderBy: "created_at" }))
+      .filter((s) => s.active !== false && s.events?.includes(event));
+    return Promise.all(subscriptions.map(async (subscription) => {
+      const delivery = await storage.insert("webhook_deliveries", {
+        id: crypto.randomUUID(),
+        subscription_id: subscription.id,
+        event,
+        payload,
+        status: "pending",
+        attempts: 0,
+        next_attempt_at: null,
+        created_at: now().toISOString(),
+      });
+      return attempt(delivery, subscription);
+    }));
+  }
+
+  // Retries every pending delivery that is due. Returns { delivered, failed }.
+  async function retryDue() {
+    if (retrying) return { delivered: 0, failed: 0 };
+    retrying = true;
+    let delivered = 0;
+    let failed = 0;
+    try {
+      const due = await storage.list("webhook_deliveries", {
+        eq: { status: "pending" },
+        lte: { next_attempt_at: now().toISOString() },
+        orderBy: "next_attempt_at",
+      });
+      for (const delivery of due) {
+        const subscription = await storage.get("webhook_subscriptions", delivery.subscription_id);
+        const row = await attempt(delivery, subscription);
+        if (row?.status === "delivered") delivered++;
+        else failed++;
+      }
+    } finally {
+      retrying = false;
+    }
+    return { delivered, failed };
+  }
+
+  // Sends a logged delivery again now, with the same id and payload (a
+  // failed one, or a delivered one the receiver lost). The attempt count
+  // starts over, so a replay that fails gets the usual retries.
+  async function replay(deliveryId) {
+    const delivery = await storage.get("webhook_deliveries", deliveryId);
+    if (!delivery) return null;
+    const subscription = await storage.get("webhook_subscriptions", delivery.subscription_id);
+    return attempt({ ...delivery, attempts: 0 }, subscription);
+  }
+
+  return { dispatch, retryDue, replay };
+}
@@ -0,0 +1,8 @@
+-- migrations/001_appointment_action_nonce.sql
+-- Supabase (Postgres) schema changes, applied in file-name order, e.g. in the
+-- SQL editor or with `psql "$DATABASE_URL" -f <file>`. Each file can be run
+-- again safely.
+--
+-- The nonce behind the doctor's confirm/decline links (lib/tokens.js). It is
+-- cleared once a link is used, which makes the links single-use.
+alter table appointments add column if not exists action_nonce text;
@@ -0,0 +1,17 @@
+-- migrations/003_email_queue.sql
+-- Messages the mail transport could not send, retried with backoff
+-- (lib/mail/queue.js). status: pending → sent | failed.
+create table if not exists email_queue (
+  id text primary key,
+  message jsonb not null,
+  "to" text not null,
+  subject text,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_queue_due_idx on email_queue (status, next_attempt_at);
@@ -0,0 +1,24 @@
+-- migrations/004_slots.sql
+-- Bookable slots. A slot is held by a `slot_bookings` row whose id is the
+-- slot's start, so the primary key makes a hold atomic.
+--
+-- Slot starts are kept as text: the app matches them to the ISO strings it
+-- generates (2026-10-28T05:00:00.000Z), which a timestamptz would reformat.
+create table if not exists doctor_availability (
+  id text primary key,
+  slot_minutes integer not null,
+  weekly jsonb not null,
+  blocked_dates jsonb not null default '[]',
+  updated_at timestamptz
+);
+
+create table if not exists slot_bookings (
+  id text primary key,
+  date date not null,
+  appointment_id text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists slot_bookings_date_idx on slot_bookings (date);
+
+alter table appointments add column if not exists slot_start text;
@@ -0,0 +1,19 @@
+-- migrations/005_appointment_status.sql
+-- Appointment lifecycle (lib/appointment-status.js). Rows from before this
+-- have no status; it is derived from confirmed/declined/payment_done.
+alter table appointments add column if not exists status text;
+
+create index if not exists appointments_status_idx on appointments (status);
+
+-- Every status change, with who made it and why
+create table if not exists appointment_events (
+  id text primary key,
+  appointment_id text not null,
+  from_status text,
+  to_status text not null,
+  actor text not null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists appointment_events_appointment_idx on appointment_events (appointment_id, created_at);
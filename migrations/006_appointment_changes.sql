@@ -0,0 +1,6 @@
+-- migrations/006_appointment_changes.sql
+-- Patient cancel and reschedule. A reschedule waits in reschedule_date and
+-- reschedule_slot (text, like slot_start) until the doctor approves it.
+alter table appointments add column if not exists reschedule_date date;
+alter table appointments add column if not exists reschedule_slot text;
+alter table appointments add column if not exists cancel_reason text;
@@ -0,0 +1,16 @@
+-- migrations/007_appointment_reminders.sql
+-- One row per reminder (id = appointment:window:slot) so none is sent twice
+-- (lib/reminders.js). status: pending (claimed, being sent) → sent, or
+-- skipped for a window that had already passed.
+create table if not exists appointment_reminders (
+  id text primary key,
+  appointment_id text not null,
+  "window" text not null,
+  slot_start text,
+  status text not null default 'pending',
+  claimed_at timestamptz,
+  sent_at timestamptz
+);
+
+-- Reminders look up upcoming appointments by status and slot start
+create index if not exists appointments_slot_start_idx on appointments (status, slot_start);
@@ -0,0 +1,11 @@
+-- migrations/008_payments.sql
+-- Gateway payments (lib/payments). An order is created when the patient opens
+-- the payment page; the verified webhook records the payment.
+alter table appointments add column if not exists payment_order_id text;
+alter table appointments add column if not exists payment_provider text;
+alter table appointments add column if not exists payment_order_amount numeric(10, 2);
+alter table appointments add column if not exists payment_id text;
+alter table appointments add column if not exists paid_at timestamptz;
+
+-- Webhooks find the appointment by its order
+create index if not exists appointments_payment_order_idx on appointments (payment_order_id);
@@ -0,0 +1,25 @@
+-- migrations/009_doctors.sql
+-- Doctors registry (lib/doctors.js). Appointments without a doctor_id belong
+-- to the built-in doctor "default".
+create table if not exists doctors (
+  id text primary key,
+  name text not null,
+  email text not null,
+  specialties jsonb not null default '[]',
+  consult_types jsonb not null default '["Online", "Offline"]',
+  fee numeric(10, 2) not null,
+  active boolean not null default true,
+  last_assigned_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table appointments add column if not exists doctor_id text;
+
+-- Slot holds are per doctor now: id = doctor|start
+alter table slot_bookings add column if not exists doctor_id text;
+alter table slot_bookings add column if not exists slot_start text;
+update slot_bookings
+  set doctor_id = 'default', slot_start = id, id = 'default|' || id
+  where doctor_id is null;
+
+create index if not exists slot_bookings_doctor_date_idx on slot_bookings (doctor_id, date);
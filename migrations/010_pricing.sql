@@ -0,0 +1,54 @@
+-- migrations/010_pricing.sql
+-- Fee rules, discount codes and GST receipts (lib/pricing.js, lib/receipts.js).
+-- Amounts are in ₹.
+
+-- A single row, id "default"
+create table if not exists pricing (
+  id text primary key,
+  rules jsonb not null default '[]',
+  follow_up_days integer not null,
+  gst_rate numeric(5, 4) not null,
+  prices_include_gst boolean not null,
+  updated_at timestamptz
+);
+
+-- id is the code itself, in capitals
+create table if not exists discount_codes (
+  id text primary key,
+  type text not null check (type in ('percent', 'flat')),
+  value numeric(10, 2) not null,
+  max_uses integer,
+  uses integer not null default 0,
+  expires_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- id is the receipt number, SH-<yyyymm>-<seq>
+create table if not exists receipts (
+  id text primary key,
+  month text not null,
+  issued_at timestamptz not null,
+  appointment_id text not null,
+  patient_name text,
+  patient_email text,
+  doctor_name text,
+  consult_type text,
+  date date,
+  time text,
+  payment_id text,
+  items jsonb not null,
+  subtotal numeric(10, 2) not null,
+  discount numeric(10, 2) not null default 0,
+  discount_code text,
+  taxable numeric(10, 2) not null,
+  gst jsonb not null,
+  total numeric(10, 2) not null,
+  follow_up boolean not null default false
+);
+
+create index if not exists receipts_month_idx on receipts (month);
+
+alter table appointments add column if not exists discount_code text;
+alter table appointments add column if not exists price_breakdown jsonb;
+alter table appointments add column if not exists receipt_no text;
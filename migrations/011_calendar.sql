@@ -0,0 +1,6 @@
+-- migrations/011_calendar.sql
+-- iCal invites and feeds (lib/ics.js). ics_sequence is bumped on every
+-- reschedule or cancellation so calendar apps replace the old event;
+-- calendar_version rotates a doctor's feed link.
+alter table appointments add column if not exists ics_sequence integer not null default 0;
+alter table doctors add column if not exists calendar_version integer not null default 0;
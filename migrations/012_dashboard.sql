@@ -0,0 +1,16 @@
+-- migrations/012_dashboard.sql
+-- The appointments dashboard (lib/dashboard.js) filters and pages in the
+-- database, so every row needs a status: rows from before 005 get the one
+-- statusOf() in lib/appointment-status.js would derive.
+update appointments
+set status = case
+  when coalesce(declined, false) then 'declined'
+  when not coalesce(confirmed, false) then 'requested'
+  when coalesce(lower(consult_type), '') <> 'online' then 'confirmed'
+  when coalesce(payment_done, false) then 'paid'
+  else 'awaiting_payment'
+end
+where status is null;
+
+-- The dashboard order and keyset cursor
+create index if not exists appointments_dashboard_idx on appointments (date, slot_start, id);
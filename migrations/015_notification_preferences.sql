@@ -0,0 +1,9 @@
+-- migrations/015_notification_preferences.sql
+-- How each patient wants to hear from us, keyed by lower-cased email and
+-- shared by all their appointments. channels is a list of "email", "sms"
+-- and "whatsapp".
+create table if not exists notification_preferences (
+  id text primary key,
+  channels jsonb not null,
+  updated_at timestamptz not null default now()
+);
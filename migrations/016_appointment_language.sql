@@ -0,0 +1,4 @@
+-- migrations/016_appointment_language.sql
+-- The patient's language for emails, texts and pages (lib/i18n): "en",
+-- "ta" or "hi". Rows from before this have none and get English.
+alter table appointments add column if not exists language text;
@@ -0,0 +1,20 @@
+-- migrations/020_consultation_notes.sql
+-- Consultation notes and prescriptions (lib/prescriptions.js). Every save
+-- is a new version; the id is "<appointment id>-v<version>", so two saves
+-- from the same version can't both land. appointments.notes_version is the
+-- latest one.
+create table if not exists consultation_notes (
+  id text primary key,
+  appointment_id text not null,
+  version integer not null,
+  doctor_id text,
+  symptoms text,
+  diagnosis text not null,
+  advice text,
+  medicines jsonb not null default '[]',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists consultation_notes_appointment_idx on consultation_notes (appointment_id, version);
+
+alter table appointments add column if not exists notes_version integer;
@@ -0,0 +1,30 @@
+-- migrations/021_webhooks.sql
+-- Outbound webhooks (lib/webhooks.js). Each event sent to a subscription is
+-- a delivery row, which is also the delivery log; pending ones with a due
+-- next_attempt_at are retried.
+create table if not exists webhook_subscriptions (
+  id text primary key,
+  url text not null,
+  events jsonb not null,
+  description text,
+  secret text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+  id text primary key,
+  subscription_id text not null,
+  event text not null,
+  payload jsonb,
+  status text not null,
+  attempts integer not null default 0,
+  last_status_code integer,
+  last_error text,
+  next_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (status, next_attempt_at);
+create index if not exists webhook_deliveries_subscription_idx on webhook_deliveries (subscription_id, created_at);
@@ -0,0 +1,4 @@
+-- migrations/022_email_queue_request_id.sql
+-- The id of the request that queued a failed email, so its retries can be
+-- matched to the request's log lines.
+alter table email_queue add column if not exists request_id text;
@@ -0,0 +1,18 @@
+-- migrations/023_intake_and_reports.sql
+-- The intake questionnaire sent with a booking (lib/intake.js), and the
+-- medical reports uploaded with it. The report bytes live in the file store
+-- (FILE_STORE); appointment_files only points at their keys.
+alter table appointments add column if not exists intake jsonb;
+
+create table if not exists appointment_files (
+  id text primary key,
+  appointment_id text not null,
+  kind text not null,
+  key text not null,
+  filename text,
+  content_type text,
+  size integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists appointment_files_appointment_idx on appointment_files (appointment_id, kind, created_at);
@@ -0,0 +1,31 @@
+-- migrations/024_waitlist.sql
+-- Alternative times offered when declining, and the per-date waitlist
+-- (lib/waitlist.js). alternatives is a list of { date, slot_start } the
+-- patient can book straight away; rebooked_as/rebooked_from link a declined
+-- request to the appointment booked from one of them.
+alter table appointments add column if not exists alternatives jsonb;
+alter table appointments add column if not exists rebooked_as text;
+alter table appointments add column if not exists rebooked_from text;
+
+-- status: waiting → offered → claimed | expired
+create table if not exists waitlist (
+  id text primary key,
+  name text not null,
+  email text not null,
+  phone text,
+  date date not null,
+  consult_type text,
+  doctor_id text,
+  specialty text,
+  language text,
+  status text not null default 'waiting',
+  offered_doctor_id text,
+  offered_slot text,
+  offer_expires_at timestamptz,
+  claimed_at timestamptz,
+  appointment_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists waitlist_date_status_idx on waitlist (date, status, created_at);
+create index if not exists waitlist_offer_expiry_idx on waitlist (status, offer_expires_at);
@@ -1,545 +1,3128 @@
 // server.js
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
 import express from "express";
 import cors from "cors";
+import multer from "multer";
 import { v4 as uuidv4 } from "uuid";
-import { createClient } from "@supabase/supabase-js";
-import sgMail from "@sendgrid/mail";
+import { createTokenSigner, randomNonce } from "./lib/tokens.js";
+import { createStorage } from "./lib/storage/index.js";
+import { instrumentStorage } from "./lib/storage/instrumented.js";
+import { createFileStore } from "./lib/files/index.js";
+import { createTransport, createMailQueue } from "./lib/mail/index.js";
+import {
+  DEFAULT_AVAILABILITY,
+  zonedTime,
+  validateAvailability,
+  isValidDate,
+  slotsForDate,
+  formatSlotTime,
+  normalizeSlot,
+} from "./lib/slots.js";
+import { STATUSES, canTransition, statusOf } from "./lib/appointment-status.js";
+import { validate, todayIn } from "./lib/validation.js";
+import { escapeHtml, htmlToText } from "./lib/html.js";
+import { LANGUAGES, DEFAULT_LANGUAGE, languageOf } from "./lib/i18n/index.js";
+import { createTemplates } from "./lib/templates/index.js";
+import { createKvStore } from "./lib/kv/index.js";
+import { createRateLimiter, rateLimit, sendTooManyRequests } from "./lib/rate-limit.js";
+import { idempotency } from "./lib/idempotency.js";
+import { CHANNELS, toE164, createMessagingProvider } from "./lib/messaging/index.js";
+import { createReminderScheduler } from "./lib/reminders.js";
+import { createPaymentProvider } from "./lib/payments/index.js";
+import {
+  DEFAULT_DOCTOR_ID,
+  CONSULT_TYPES,
+  defaultDoctor,
+  doctorIdOf,
+  validateDoctor,
+  offers,
+  roundRobinOrder,
+  publicDoctor,
+} from "./lib/doctors.js";
+import { DEFAULT_PRICING, validatePricing, discountProblem, quote } from "./lib/pricing.js";
+import { issueReceipt, receiptPdf } from "./lib/receipts.js";
+import { MAX_MEDICINES, validateNotes, saveNotesVersion, listNotesVersions, prescriptionPdf } from "./lib/prescriptions.js";
+import { validateIntake, validateReports, saveReports, removeReports, listReports } from "./lib/intake.js";
+import { createWaitlist } from "./lib/waitlist.js";
+import { buildInvite, buildFeed } from "./lib/ics.js";
+import { createVideoRooms } from "./lib/video.js";
+import { WEBHOOK_EVENTS, newWebhookSecret, createWebhookDispatcher } from "./lib/webhooks.js";
+import { createLogger, withRequestContext, currentRequestId, maskEmail, maskPhone } from "./lib/logger.js";
+import { createMetrics } from "./lib/metrics.js";
+import {
+  MAX_PAGE_SIZE,
+  parseFilters,
+  storageQuery,
+  decodeCursor,
+  listPage,
+  scanPages,
+  summarize,
+  dashboardRow,
+  csvChunks,
+} from "./lib/dashboard.js";
 
 // ---------------- ENV SETUP ----------------
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
+// ---------------- LOGGING & METRICS ----------------
+// JSON lines on stdout/stderr; LOG_LEVEL=debug also logs every storage call
+const log = createLogger({ level: process.env.LOG_LEVEL || "info" });
+const metrics = createMetrics();
+const bookingsTotal = metrics.counter("sidhahealth_bookings_total", "Appointments booked");
+const confirmationsTotal = metrics.counter("sidhahealth_confirmations_total", "Appointments confirmed by a doctor");
+const declinesTotal = metrics.counter("sidhahealth_declines_total", "Appointments declined");
+const paymentsTotal = metrics.counter("sidhahealth_payments_total", "Appointments paid");
+const emailFailuresTotal = metrics.counter("sidhahealth_email_send_failures_total", "Email send attempts that failed", {
+  labelNames: ["stage"], // "send" (first try) or "retry"
+});
+const httpDuration = metrics.histogram("sidhahealth_http_request_duration_seconds", "Time to answer HTTP requests", {
+  labelNames: ["method", "route", "status"],
+});
+const storageDuration = metrics.histogram("sidhahealth_storage_operation_duration_seconds", "Time taken by storage calls", {
+  labelNames: ["operation", "table"],
+});
+const TRANSITION_COUNTERS = { confirmed: confirmationsTotal, declined: declinesTotal, paid: paymentsTotal };
+
 // ---------------- EXPRESS SETUP ----------------
 const app = express();
+// Behind a load balancer, TRUST_PROXY (e.g. 1) makes req.ip the client's address
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+// Every request gets an id (the caller's X-Request-Id if it is sane), sent
+// back in the response and added to every log line written while it runs.
+// When it finishes it is logged and timed by route pattern, not by URL, so
+// appointment ids don't each become a metrics series.
+const REQUEST_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", requestId);
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    if (req.path === "/metrics" || req.path === "/healthz" || req.path === "/readyz") return;
+    log.info("request", {
+      request_id: requestId,
+      method: req.method,
+      route,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+    });
+  });
+  withRequestContext({ requestId }, next);
+});
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around; payment webhooks are signed over the exact bytes
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
-// ---------------- BASE URL ----------------
-const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+// ---------------- BASE URL ----------------
+const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// ---------------- STORAGE ----------------
+// STORAGE_DRIVER=supabase (default) or lowdb (local JSON file, see LOWDB_FILE)
+const storage = instrumentStorage(
+  createStorage({ driver: process.env.STORAGE_DRIVER || "supabase", rootDir: __dirname }),
+  { log, duration: storageDuration }
+);
+
+// ---------------- UPLOADS ----------------
+// FILE_STORE=local (default, files under FILE_STORE_DIR). Medical reports
+// sent with a booking are held in memory until checked, so keep the limits modest.
+const fileStore = createFileStore({ driver: process.env.FILE_STORE || "local", rootDir: __dirname });
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 10);
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES || 5);
+const reportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: UPLOAD_MAX_FILES, fields: 50 },
+}).array("reports", UPLOAD_MAX_FILES);
+
+// ---------------- EMAIL ----------------
+// MAIL_TRANSPORT=sendgrid (default), smtp or outbox (.eml files in MAIL_OUTBOX_DIR)
+const senderEmail = process.env.EMAIL_USER; // Verified sender
+const mailTransport = createTransport({
+  driver: process.env.MAIL_TRANSPORT || "sendgrid",
+  rootDir: __dirname,
+});
+const mailQueue = createMailQueue({ storage, transport: mailTransport });
+const MAIL_RETRY_INTERVAL = Number(process.env.MAIL_RETRY_INTERVAL_SECONDS || 60) * 1000;
+
+// ---------------- SMS / WHATSAPP ----------------
+// MESSAGING_PROVIDER=twilio, or for development console (logs at debug
+// level) or file (.txt files in MESSAGE_OUTBOX_DIR). Unset: email only, and
+// SMS/WhatsApp aren't offered.
+const messenger = process.env.MESSAGING_PROVIDER
+  ? createMessagingProvider({ driver: process.env.MESSAGING_PROVIDER, rootDir: __dirname, log })
+  : null;
+const OFFERED_CHANNELS = messenger ? CHANNELS : ["email"];
+// Channels for patients who haven't picked any
+const DEFAULT_CHANNELS = (process.env.NOTIFY_DEFAULT_CHANNELS || "email")
+  .split(",").map((c) => c.trim()).filter((c) => OFFERED_CHANNELS.includes(c));
+
+// ---------------- PAYMENT PROVIDER ----------------
+// PAYMENT_PROVIDER=razorpay, or mock (offline test gateway, needs
+// PAYMENT_TEST_MODE=1 and PAYMENT_WEBHOOK_SECRET). Required.
+const paymentProvider = createPaymentProvider({
+  driver: process.env.PAYMENT_PROVIDER,
+  testMode: process.env.PAYMENT_TEST_MODE === "1",
+});
+
+// ---------------- WEBHOOKS ----------------
+// Subscriptions are managed under /admin/webhooks; see lib/webhooks.js
+const webhooks = createWebhookDispatcher({
+  storage,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000,
+});
+const WEBHOOK_RETRY_INTERVAL = Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || 30) * 1000;
+
+// ---------------- ADMIN ----------------
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// ---------------- RATE LIMITS ----------------
+// Counters and idempotency records live in KV_STORE (in-process by default)
+const kv = createKvStore({ driver: process.env.KV_STORE || "memory" });
+const bookingIpLimiter = createRateLimiter({
+  store: kv,
+  name: "booking-ip",
+  limit: Number(process.env.BOOKING_IP_LIMIT_PER_HOUR || 20),
+  windowMs: 60 * 60 * 1000,
+});
+const bookingEmailLimiter = createRateLimiter({
+  store: kv,
+  name: "booking-email",
+  limit: Number(process.env.BOOKING_EMAIL_LIMIT_PER_DAY || 5),
+  windowMs: 24 * 60 * 60 * 1000,
+});
+// Portal sign-in links: per email so nobody can flood an inbox, per IP so
+// nobody can probe many addresses
+const portalLoginEmailLimiter = createRateLimiter({
+  store: kv,
+  name: "portal-login-email",
+  limit: Number(process.env.PORTAL_LOGIN_LIMIT_PER_HOUR || 5),
+  windowMs: 60 * 60 * 1000,
+});
+const portalLoginIpLimiter = createRateLimiter({
+  store: kv,
+  name: "portal-login-ip",
+  limit: Number(process.env.PORTAL_LOGIN_IP_LIMIT_PER_HOUR || 20),
+  windowMs: 60 * 60 * 1000,
+});
+// Replays of an Idempotency-Key don't count against the IP limit
+const bookingIdempotency = idempotency({ store: kv, scope: "book-appointment", log });
+const bookingIpLimit = rateLimit(bookingIpLimiter, (req) => req.ip, "Too many booking attempts from this network. Please try again later.");
+
+// ---------------- CONSTANTS ----------------
+const CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || "Asia/Kolkata";
+
+// ---------------- ACTION TOKENS ----------------
+// Doctor confirm/decline links carry a signed token. Both links share the
+// appointment's action_nonce, which is cleared once either form is submitted.
+const tokens = createTokenSigner(process.env.ACTION_TOKEN_SECRET);
+const DOCTOR_LINK_TTL = Number(process.env.DOCTOR_LINK_TTL_HOURS || 72) * 3600;
+const DOCTOR_ACTION_SCOPE = "doctor-action";
+
+// Patient cancel/reschedule links are not single-use; the cutoff stops
+// changes too close to the appointment.
+const PATIENT_LINK_TTL = Number(process.env.PATIENT_LINK_TTL_DAYS || 60) * 86400;
+const PATIENT_SCOPE = "patient";
+const PATIENT_CHANGE_CUTOFF_HOURS = Number(process.env.PATIENT_CHANGE_CUTOFF_HOURS || 12);
+
+// Doctor notes links aren't single-use: each save adds a version, and the
+// doctor can keep editing until the link expires.
+const NOTES_LINK_TTL = Number(process.env.NOTES_LINK_TTL_DAYS || 30) * 86400;
+const NOTES_SCOPE = "consult-notes";
+
+// Links to a patient's uploaded reports, for the doctor the request went to
+const REPORTS_LINK_TTL = Number(process.env.REPORTS_LINK_TTL_DAYS || 30) * 86400;
+const REPORTS_SCOPE = "appointment-reports";
+
+// Doctor calendar feed URLs are long-lived; bumping the doctor's
+// calendar_version (POST /admin/doctors/:id/calendar-link) revokes old ones.
+const CALENDAR_LINK_TTL = 5 * 365 * 86400;
+const CALENDAR_SCOPE = "calendar";
+const CLINIC_ADDRESS = process.env.CLINIC_ADDRESS || "SidhaHealth Clinic";
+
+// Patient portal (/my): a one-time emailed link signs the patient in by
+// email address; the session is a signed cookie that lapses on its own.
+const PORTAL_LOGIN_TTL = 15 * 60;
+const PORTAL_LOGIN_SCOPE = "portal-login";
+const PORTAL_SESSION_TTL = Number(process.env.PORTAL_SESSION_MINUTES || 60) * 60;
+const PORTAL_SESSION_SCOPE = "portal-session";
+const PORTAL_COOKIE = "sh_portal";
+
+// A doctor declining a request can offer up to MAX_ALTERNATIVES of their
+// open times over the ALTERNATIVE_DAYS days from the requested date.
+const MAX_ALTERNATIVES = 3;
+const ALTERNATIVE_DAYS = Number(process.env.ALTERNATIVE_DAYS || 7);
+
+// A slot freed on a date is held for the first suitable waitlist entry for
+// WAITLIST_CLAIM_MINUTES (never past its start), then offered to the next.
+const WAITLIST_CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES || 60);
+const WAITLIST_SCOPE = "waitlist-claim";
+const WAITLIST_CHECK_INTERVAL = Number(process.env.WAITLIST_CHECK_INTERVAL_SECONDS || 60) * 1000;
+const waitlist = createWaitlist({ storage });
+
+// Video links in emails and invites point at /video/:id, which checks the
+// join window and only then hands out a Jitsi link with a JWT. The token's
+// role makes the doctor moderator. JITSI_BASE_URL, JITSI_APP_ID and
+// JITSI_APP_SECRET are required.
+const video = createVideoRooms({
+  baseUrl: process.env.JITSI_BASE_URL,
+  appId: process.env.JITSI_APP_ID,
+  appSecret: process.env.JITSI_APP_SECRET,
+  openBeforeMinutes: Number(process.env.VIDEO_OPEN_BEFORE_MINUTES || 15),
+  closeAfterMinutes: Number(process.env.VIDEO_CLOSE_AFTER_MINUTES || 30),
+});
+const VIDEO_SCOPE = "video";
+
+// ---------------- HELPERS ----------------
+
+// Named emails, texts and pages (lib/templates) in the patient's language
+const templates = createTemplates({ timeZone: CLINIC_TIMEZONE });
+
+// attachments: [{ filename, content (string), contentType, encoding? }];
+// binary content goes in as base64 with encoding: "base64", so it survives
+// the mail queue's JSON
+async function sendEmail(to, subject, html, { attachments } = {}) {
+  try {
+    const sent = await mailQueue.send({
+      to,
+      from: senderEmail,
+      subject,
+      html,
+      text: htmlToText(html),
+      ...(attachments?.length ? { attachments } : {}),
+    }, { requestId: currentRequestId() });
+    if (sent) {
+      log.info("Email sent", { to: maskEmail(to), subject });
+    } else {
+      emailFailuresTotal.inc({ stage: "send" });
+      log.warn("Email failed, queued for retry", { to: maskEmail(to), subject });
+    }
+  } catch (err) {
+    emailFailuresTotal.inc({ stage: "send" });
+    log.error("Email could not be sent or queued", { to: maskEmail(to), subject, err });
+  }
+}
+
+async function sendTemplateEmail(to, name, vars, { lang, attachments } = {}) {
+  const { subject, html } = templates.email(name, vars, { lang });
+  await sendEmail(to, subject, html, { attachments });
+}
+
+async function sendMessage(channel, phone, body) {
+  const to = toE164(phone);
+  if (!to) return log.error("No valid phone number for message", { channel });
+  try {
+    const result = await messenger.send({ channel, to, body });
+    if (result.delivered !== false) log.info("Message sent", { channel, to: maskPhone(to) });
+  } catch (err) {
+    log.error("Message failed", { channel, to: maskPhone(to), err });
+  }
+}
+
+// Preferences are per patient (email), shared by all their appointments.
+// Channels no longer offered are dropped.
+async function patientChannels(email) {
+  const prefs = await storage.get("notification_preferences", String(email).toLowerCase());
+  const channels = (prefs?.channels || []).filter((c) => OFFERED_CHANNELS.includes(c));
+  return channels.length ? channels : DEFAULT_CHANNELS;
+}
+
+async function savePatientChannels(email, channels) {
+  const id = String(email).toLowerCase();
+  const row = { channels, updated_at: new Date().toISOString() };
+  return (
+    (await storage.update("notification_preferences", id, row)) ||
+    (await storage.insert("notification_preferences", { id, ...row }))
+  );
+}
+
+// Channels picked on the booking form. Anyone can book with any email, so
+// they only count for an email with no saved preferences; changing them
+// goes through the token-checked notifications page.
+async function saveFirstPatientChannels(email, channels) {
+  try {
+    await storage.insert("notification_preferences", {
+      id: String(email).toLowerCase(),
+      channels,
+      updated_at: new Date().toISOString(),
+    });
+  } catch (err) {
+    if (err.code !== "23505") throw err;
+  }
+}
+
+// Sends the patient message `name` in their language on each channel they
+// chose: the email, and its text version over SMS/WhatsApp.
+async function notifyPatient(appointment, name, vars = {}, { attachments } = {}) {
+  const lang = languageOf(appointment);
+  const all = { appointment, ...vars };
+  const channels = await patientChannels(appointment.email);
+  if (channels.includes("email")) await sendTemplateEmail(appointment.email, name, all, { lang, attachments });
+  const text = templates.text(name, all, { lang });
+  for (const channel of channels.filter((c) => c !== "email")) {
+    await sendMessage(channel, appointment.phone, text);
+  }
+}
+
+// Constant-time check of the request's Bearer token; false when `secret` is unset
+function hasBearerToken(req, secret) {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const expected = Buffer.from(secret || "");
+  const given = Buffer.from(token);
+  return Boolean(secret) && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Bearer-token guard for the admin/ops endpoints
+function requireAdmin(req, res, next) {
+  if (!hasBearerToken(req, ADMIN_API_TOKEN)) return res.status(401).json({ error: "Unauthorized" });
+  next();
+}
+
+async function saveAppointment(obj) {
+  return storage.insert("appointments", obj);
+}
+
+// A request from the same email or phone for the same date that the doctor
+// hasn't answered yet. Its links only ever go to its own email, so a match
+// on the phone alone shows the caller nothing.
+async function findPendingDuplicate({ email, phone, date }) {
+  const sameDay = await storage.list("appointments", { eq: { date } });
+  return sameDay.find((a) =>
+    statusOf(a) === "requested" &&
+    (String(a.email).toLowerCase() === email || (Boolean(phone) && a.phone === phone))
+  ) || null;
+}
+
+// `match` adds extra column conditions, so the update only applies (and only
+// returns a row) if the appointment is still in the expected state.
+async function updateAppointment(id, updates, match = {}) {
+  return storage.update("appointments", id, updates, match);
+}
+
+async function getAppointment(id) {
+  try {
+    return await storage.get("appointments", id);
+  } catch (err) {
+    log.error(err);
+    return null;
+  }
+}
+
+// Moves an appointment to `to` if the lifecycle allows it, as a
+// compare-and-set on the current status, and records the event.
+// Returns the updated row, or null if the transition is not allowed or
+// another request changed the appointment first.
+async function transitionAppointment(appointment, to, { actor, reason = null, updates = {}, match = {} }) {
+  const from = statusOf(appointment);
+  if (!canTransition(from, to)) return null;
+
+  const updated = await updateAppointment(
+    appointment.id,
+    { ...updates, status: to },
+    { ...match, status: appointment.status ?? null }
+  );
+  if (!updated) return null;
+
+  await recordEvent(appointment.id, from, to, { actor, reason });
+  TRANSITION_COUNTERS[to]?.inc();
+  emitWebhook(updated, from, to, { actor, reason });
+  return updated;
+}
+
+async function recordEvent(appointmentId, from, to, { actor, reason = null }) {
+  await storage.insert("appointment_events", {
+    id: uuidv4(),
+    appointment_id: appointmentId,
+    from_status: from,
+    to_status: to,
+    actor,
+    reason,
+    created_at: new Date().toISOString(),
+  });
+}
+
+// Sends appointment.<to> to the webhook subscribers, for the events in
+// WEBHOOK_EVENTS ("requested" goes out as appointment.booked). Not awaited:
+// a slow or broken receiver never holds up the request, and failed
+// deliveries are retried in the background.
+function emitWebhook(appointment, from, to, { actor, reason = null }) {
+  const event = `appointment.${to === "requested" ? "booked" : to}`;
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+  webhooks
+    .dispatch(event, { appointment: dashboardRow(appointment), from_status: from, to_status: to, actor, reason })
+    .catch((err) => log.error("Webhook dispatch failed", { event, err }));
+}
+
+// Doctor links are live while a new request or a patient's reschedule
+// proposal is waiting on the doctor.
+function awaitingDoctor(appointment) {
+  const status = statusOf(appointment);
+  if (status === "requested") return true;
+  return !!appointment.reschedule_slot && ["confirmed", "awaiting_payment", "paid"].includes(status);
+}
+
+// Page for a doctor link that arrives after the appointment moved on
+function sendStatusPage(res, appointment) {
+  const status = statusOf(appointment);
+  if (status === "declined") return res.send("❌ Appointment already declined.");
+  if (status === "cancelled") return res.send("❌ Appointment was cancelled.");
+  return res.send("✅ Appointment already confirmed.");
+}
+
+// Tied to the appointment's doctor, so reassigning it kills the old links
+function doctorActionToken(appointment, nonce) {
+  return tokens.sign(
+    { sub: appointment.id, scope: DOCTOR_ACTION_SCOPE, doc: doctorIdOf(appointment), nonce },
+    DOCTOR_LINK_TTL
+  );
+}
+
+// Checks the token against the appointment. Returns the nonce on success,
+// otherwise sends the 401/410 page and returns null.
+function checkDoctorToken(req, res, appointment) {
+  const token = req.query.token || req.body?.token;
+  const result = tokens.verify(token, { sub: appointment.id, scope: DOCTOR_ACTION_SCOPE });
+  if (!result.ok) {
+    sendLinkError(res, result.reason);
+    return null;
+  }
+  if (result.payload.doc !== doctorIdOf(appointment)) {
+    sendLinkError(res, "invalid");
+    return null;
+  }
+  if (!appointment.action_nonce || appointment.action_nonce !== result.payload.nonce) {
+    sendLinkError(res, "used");
+    return null;
+  }
+  return result.payload.nonce;
+}
+
+// Tied to the appointment's doctor, like the action links
+function notesLink(appointment) {
+  const token = tokens.sign({ sub: appointment.id, scope: NOTES_SCOPE, doc: doctorIdOf(appointment) }, NOTES_LINK_TTL);
+  return `${BASE_URL}/appointments/${appointment.id}/notes?token=${token}`;
+}
+
+// { filename, size, link } for each uploaded report
+function reportLinks(appointment, files) {
+  const token = tokens.sign({ sub: appointment.id, scope: REPORTS_SCOPE, doc: doctorIdOf(appointment) }, REPORTS_LINK_TTL);
+  return files.map((f) => ({
+    filename: f.filename,
+    size: f.size,
+    link: `${BASE_URL}/appointments/${appointment.id}/reports/${f.id}?token=${token}`,
+  }));
+}
+
+// Sends the 401/410 page and returns false if the token isn't a link of
+// `scope` for the appointment's current doctor
+function checkDoctorLinkToken(req, res, appointment, scope) {
+  const result = tokens.verify(req.query.token || req.body?.token, { sub: appointment.id, scope });
+  if (!result.ok) {
+    sendLinkError(res, result.reason);
+    return false;
+  }
+  if (result.payload.doc !== doctorIdOf(appointment)) {
+    sendLinkError(res, "invalid");
+    return false;
+  }
+  return true;
+}
+
+function patientManageLinks(appointment) {
+  if (!canTransition(statusOf(appointment), "cancelled")) return null;
+  const token = tokens.sign({ sub: appointment.id, scope: PATIENT_SCOPE }, PATIENT_LINK_TTL);
+  return {
+    cancel: `${BASE_URL}/appointments/${appointment.id}/cancel?token=${token}`,
+    reschedule: `${BASE_URL}/appointments/${appointment.id}/reschedule?token=${token}`,
+    notifications: `${BASE_URL}/appointments/${appointment.id}/notifications?token=${token}`,
+  };
+}
+
+// The patient's payment page. It shows the patient's details and its status
+// check (/payment-done) shows the video link, so all of them need the
+// patient token.
+function paymentLink(appointment) {
+  const token = tokens.sign({ sub: appointment.id, scope: PATIENT_SCOPE }, PATIENT_LINK_TTL);
+  return `${BASE_URL}/payment/${appointment.id}?token=${token}`;
+}
+
+// Sends the 401/410 page and returns false if the patient token is bad.
+function checkPatientToken(req, res, appointment) {
+  const result = tokens.verify(req.query.token || req.body?.token, { sub: appointment.id, scope: PATIENT_SCOPE });
+  if (!result.ok) {
+    sendLinkError(res, result.reason);
+    return false;
+  }
+  return true;
+}
+
+function appointmentStart(appointment) {
+  if (appointment.slot_start) return new Date(appointment.slot_start);
+  return isValidDate(appointment.date) ? zonedTime(appointment.date, "00:00", CLINIC_TIMEZONE) : null;
+}
+
+// Sends the matching page and returns false if the patient can no longer
+// cancel or reschedule this appointment.
+function checkPatientCanChange(res, appointment) {
+  if (!canTransition(statusOf(appointment), "cancelled")) {
+    res.status(409).send(`<h2>Appointment Can't Be Changed</h2><p>This appointment is ${statusOf(appointment).replace("_", " ")}.</p>`);
+    return false;
+  }
+  const start = appointmentStart(appointment);
+  if (start && start.getTime() - Date.now() < PATIENT_CHANGE_CUTOFF_HOURS * 3600 * 1000) {
+    res.status(409).send(`<h2>Too Late to Change Online</h2><p>Appointments can't be changed within ${PATIENT_CHANGE_CUTOFF_HOURS} hours of the start time. Please email <a href="mailto:support@sidhahealth.com">support@sidhahealth.com</a>.</p>`);
+    return false;
+  }
+  return true;
+}
+
+const LINK_ERRORS = {
+  missing: [401, "🔒 Link Required", "This page can only be opened from the link in the appointment email."],
+  invalid: [401, "🔒 Invalid Link", "This link is not valid. Please use the exact link from the appointment email."],
+  expired: [410, "⌛ Link Expired", "This link has expired. Please contact support@sidhahealth.com for a new one."],
+  used: [410, "⌛ Link Already Used", "This link has already been used. The appointment was already handled."],
+};
+
+function sendLinkError(res, reason) {
+  const [status, title, message] = LINK_ERRORS[reason] || LINK_ERRORS.invalid;
+  res.status(status).send(`<h2>${title}</h2><p>${message}</p>`);
+}
+
+// ---------------- DOCTORS ----------------
+
+// Active doctors; the built-in default doctor until any are registered
+async function listDoctors() {
+  const doctors = await storage.list("doctors", { orderBy: "name" });
+  return doctors.length ? doctors.filter((d) => d.active !== false) : [defaultDoctor()];
+}
+
+async function getDoctor(id = DEFAULT_DOCTOR_ID) {
+  const doctor = await storage.get("doctors", id);
+  if (doctor) return doctor;
+  return id === DEFAULT_DOCTOR_ID ? defaultDoctor() : null;
+}
+
+async function doctorFor(appointment) {
+  return (await getDoctor(doctorIdOf(appointment))) || defaultDoctor();
+}
+
+// ---------------- SLOTS ----------------
+// A slot is held by a row in `slot_bookings` whose id is doctor|start. The
+// primary key makes the hold atomic: a second insert for the same doctor and
+// slot fails with a unique violation instead of double booking.
+
+async function getAvailability(doctorId) {
+  return (await storage.get("doctor_availability", doctorId)) || DEFAULT_AVAILABILITY;
+}
+
+function slotKey(doctorId, slotStart) {
+  return `${doctorId}|${slotStart}`;
+}
+
+// The doctor's slots on `date` that are in the future and not held by another
+// appointment. `heldBy` lets an appointment see the slots it holds as open.
+async function openSlots(doctorId, date, { heldBy } = {}) {
+  const now = Date.now();
+  const [availability, booked] = await Promise.all([
+    getAvailability(doctorId),
+    storage.list("slot_bookings", { eq: { doctor_id: doctorId, date } }),
+  ]);
+  const taken = new Set(booked.filter((b) => b.appointment_id !== heldBy).map((b) => b.slot_start));
+  return slotsForDate(availability, date, CLINIC_TIMEZONE)
+    .filter((s) => new Date(s.start).getTime() > now && !taken.has(s.start))
+    .map((s) => ({ ...s, label: formatSlotTime(s.start, CLINIC_TIMEZONE) }));
+}
+
+// Returns false if someone else got the slot first.
+async function reserveSlot(doctorId, slotStart, date, appointmentId) {
+  try {
+    await storage.insert("slot_bookings", {
+      id: slotKey(doctorId, slotStart),
+      doctor_id: doctorId,
+      slot_start: slotStart,
+      date,
+      appointment_id: appointmentId,
+      created_at: new Date().toISOString(),
+    });
+    return true;
+  } catch (err) {
+    if (err.code === "23505") return false;
+    throw err;
+  }
+}
+
+async function releaseSlot(doctorId, slotStart) {
+  if (slotStart) await storage.remove("slot_bookings", slotKey(doctorId, slotStart));
+}
+
+// Hands a held slot from one holder to another; false if `from` no longer holds it.
+async function takeOverSlot(doctorId, slotStart, from, to) {
+  return Boolean(await storage.update("slot_bookings", slotKey(doctorId, slotStart), { appointment_id: to }, { appointment_id: from }));
+}
+
+// ---------------- CALENDAR ----------------
+// Every appointment is one VEVENT with a stable UID. Reschedules and
+// cancellations bump ics_sequence so calendar apps replace the old copy.
+
+// role: whose video link goes in the event ("doctor" or "patient")
+async function calendarEvent(appointment, doctor, { cancelled = false, role = "doctor" } = {}) {
+  const availability = await getAvailability(doctor.id);
+  const start = new Date(appointment.slot_start);
+  const isOnline = appointment.consult_type?.toLowerCase() === "online";
+  const link = isOnline && !cancelled ? videoLink(appointment, role) : null;
+  return {
+    uid: `${appointment.id}@sidhahealth.com`,
+    sequence: appointment.ics_sequence || 0,
+    start,
+    end: new Date(start.getTime() + availability.slot_minutes * 60 * 1000),
+    summary: `SidhaHealth: ${appointment.name} with ${doctor.name}`,
+    description: [
+      `${appointment.consult_type} consultation`,
+      `Patient: ${appointment.name} (${appointment.phone})`,
+      link ? `Video link: ${link}` : null,
+    ].filter(Boolean).join("\n"),
+    location: isOnline ? link || "Online video consultation" : CLINIC_ADDRESS,
+    url: link || undefined,
+    organizer: { name: "SidhaHealth", email: senderEmail },
+    attendees: [
+      { name: appointment.name, email: appointment.email },
+      { name: doctor.name, email: doctor.email },
+    ],
+    cancelled,
+  };
+}
+
+// Attachment list for sendEmail; empty when the appointment has no fixed slot
+async function inviteAttachment(appointment, doctor, { cancelled = false, role } = {}) {
+  if (!appointment.slot_start) return [];
+  const event = await calendarEvent(appointment, doctor, { cancelled, role });
+  const method = cancelled ? "CANCEL" : "REQUEST";
+  return [{
+    filename: cancelled ? "cancel.ics" : "invite.ics",
+    content: buildInvite(event),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  }];
+}
+
+function calendarFeedLink(doctor) {
+  const token = tokens.sign(
+    { sub: doctor.id, scope: CALENDAR_SCOPE, v: doctor.calendar_version || 0 },
+    CALENDAR_LINK_TTL
+  );
+  return `${BASE_URL}/calendar/${token}.ics`;
+}
+
+// Whether the patient and doctor were already sent an invite
+function hasInvite(appointment) {
+  return Boolean(appointment.slot_start) && statusOf(appointment) !== "requested";
+}
+
+// Tells both sides a confirmed appointment is off, with a CANCEL invite.
+// The caller bumps ics_sequence when it cancels.
+async function sendCancellationInvites(appointment, { by, reason }) {
+  const doctor = await doctorFor(appointment);
+  const attachments = await inviteAttachment(appointment, doctor, { cancelled: true });
+  const vars = { appointment, doctor, by, reason };
+  await sendTemplateEmail(appointment.email, "cancelled", vars, { lang: languageOf(appointment), attachments });
+  await sendTemplateEmail(doctor.email, "doctor_cancelled", vars, { attachments });
+}
+
+// ---------------- VIDEO ----------------
+
+// Rows from before the video gate have a public video_link and no jitsi_room
+function hasVideoRoom(appointment) {
+  return appointment.consult_type?.toLowerCase() === "online" && Boolean(appointment.jitsi_room || appointment.video_link);
+}
+
+// role: "doctor" (moderator) or "patient". Null when there is no room yet.
+function videoLink(appointment, role) {
+  if (!hasVideoRoom(appointment)) return null;
+  const token = tokens.sign({ sub: appointment.id, scope: VIDEO_SCOPE, role }, PATIENT_LINK_TTL);
+  return `${BASE_URL}/video/${appointment.id}?token=${token}`;
+}
+
+// The join window for the appointment's slot, with its state right now
+async function videoWindow(appointment) {
+  if (!appointment.slot_start) return { ...video.joinWindow(null), state: "open" };
+  const { slot_minutes } = await getAvailability(doctorIdOf(appointment));
+  const start = new Date(appointment.slot_start);
+  const window = video.joinWindow(start, new Date(start.getTime() + slot_minutes * 60 * 1000));
+  return { ...window, state: video.windowState(window) };
+}
+
+// A Jitsi link for this role, good for the window only
+async function jitsiJoinUrl(appointment, role, window) {
+  if (!appointment.jitsi_room) return appointment.video_link;
+  const user = role === "doctor" ? await doctorFor(appointment) : appointment;
+  return video.joinUrl(appointment.jitsi_room, {
+    user: { name: user.name, email: user.email },
+    moderator: role === "doctor",
+    window,
+  });
+}
+
+// ---------------- PATIENT PORTAL ----------------
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// The signed-in patient's email, or null
+function portalEmail(req) {
+  const result = tokens.verify(readCookie(req, PORTAL_COOKIE), { scope: PORTAL_SESSION_SCOPE });
+  return result.ok ? result.payload.sub : null;
+}
+
+function portalCookieOptions() {
+  return { httpOnly: true, sameSite: "lax", secure: BASE_URL.startsWith("https:"), path: "/my" };
+}
+
+// Pages shown before we know who the patient is follow the browser
+function browserLanguage(req) {
+  return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+// Newest first
+async function patientAppointments(email) {
+  const rows = await storage.list("appointments", { eq: { email } });
+  return rows.sort((a, b) => (appointmentStart(b) || 0) - (appointmentStart(a) || 0));
+}
+
+// The portal's view of each appointment: upcoming ones (active and still
+// ahead, soonest first) and past ones (everything else, newest first).
+// lang is the newest booking's, so the portal matches the patient's emails.
+async function portalAppointments(email) {
+  const rows = await patientAppointments(email);
+  const doctors = new Map();
+  const upcoming = [];
+  const past = [];
+  for (const a of rows) {
+    const doctorId = doctorIdOf(a);
+    if (!doctors.has(doctorId)) doctors.set(doctorId, await doctorFor(a));
+    const status = statusOf(a);
+    const ahead = ["requested", "confirmed", "awaiting_payment", "paid"].includes(status) && appointmentStart(a) > new Date();
+    (ahead ? upcoming : past).push({
+      appointment: { ...a, status },
+      doctor: doctors.get(doctorId),
+      payLink: status === "awaiting_payment" ? paymentLink(a) : null,
+      receiptLink: a.receipt_no ? receiptLink(a) : null,
+      prescriptionLink: a.notes_version ? prescriptionLink(a) : null,
+      videoLink: ahead && status !== "requested" ? videoLink(a, "patient") : null,
+      manageLinks: ahead ? patientManageLinks(a) : null,
+      rebookLink: `/my/rebook/${a.id}`,
+    });
+  }
+  return { upcoming: upcoming.reverse(), past, lang: rows.length ? languageOf(rows[0]) : null };
+}
+
+// The signed-in patient's appointment :id. Sends the error page and
+// returns null when the session has lapsed or the appointment isn't theirs.
+async function portalAppointment(req, res) {
+  const email = portalEmail(req);
+  if (!email) {
+    const page = templates.page("portal_message", {
+      title: "portal.expired_heading",
+      message: "portal.expired",
+    }, { lang: browserLanguage(req) });
+    res.status(401).send(page);
+    return null;
+  }
+  const appointment = await getAppointment(req.params.id);
+  if (!appointment || String(appointment.email).toLowerCase() !== email) {
+    res.status(404).send("❌ Appointment not found.");
+    return null;
+  }
+  return appointment;
+}
+
+// ---------------- REMINDERS ----------------
+async function sendAppointmentReminder(appointment, window) {
+  const vars = {
+    appointment,
+    window: window.key,
+    unpaid: statusOf(appointment) === "awaiting_payment",
+    manageLinks: patientManageLinks(appointment),
+  };
+  await sendTemplateEmail(appointment.email, "reminder", {
+    ...vars,
+    videoLink: videoLink(appointment, "patient"),
+  }, { lang: languageOf(appointment) });
+  const doctor = await doctorFor(appointment);
+  await sendTemplateEmail(doctor.email, "doctor_reminder", {
+    ...vars,
+    videoLink: videoLink(appointment, "doctor"),
+    notesLink: notesLink(appointment),
+  });
+}
+
+const reminders = createReminderScheduler({
+  storage,
+  sendReminder: sendAppointmentReminder,
+  intervalMs: Number(process.env.REMINDER_INTERVAL_SECONDS || 300) * 1000,
+  log,
+});
+
+// ---------------- PAYMENTS ----------------
+// Reuses the appointment's open order unless the amount changed.
+async function ensurePaymentOrder(appointment) {
+  if (
+    appointment.payment_order_id &&
+    appointment.payment_provider === paymentProvider.name &&
+    Number(appointment.payment_order_amount) === Number(appointment.amount)
+  ) {
+    return appointment.payment_order_id;
+  }
+  const { orderId } = await paymentProvider.createOrder({
+    appointmentId: appointment.id,
+    amount: appointment.amount,
+  });
+  await updateAppointment(appointment.id, {
+    payment_order_id: orderId,
+    payment_provider: paymentProvider.name,
+    payment_order_amount: appointment.amount,
+  });
+  return orderId;
+}
+
+async function markPaid(appointment, { actor, paymentId = null }) {
+  const updated = await transitionAppointment(appointment, "paid", {
+    actor,
+    updates: { payment_id: paymentId, paid_at: new Date().toISOString() },
+  });
+  if (updated) await sendReceipt(updated);
+  return updated;
+}
+
+// ---------------- PRICING & RECEIPTS ----------------
+async function getPricing() {
+  return (await storage.get("pricing", "default")) || DEFAULT_PRICING;
+}
+
+async function getDiscountCode(code) {
+  return code ? storage.get("discount_codes", String(code).trim().toUpperCase()) : null;
+}
+
+// A revisit to the same doctor within follow_up_days of a paid/completed one
+async function isFollowUp(appointment, doctorId, date, days) {
+  const from = new Date(new Date(`${date}T00:00:00Z`).getTime() - days * 86400 * 1000).toISOString().slice(0, 10);
+  const previous = await storage.list("appointments", {
+    eq: { email: appointment.email, doctor_id: doctorId },
+    in: { status: ["paid", "completed"] },
+    gte: { date: from },
+    lt: { date },
+  });
+  return previous.some((a) => a.id !== appointment.id);
+}
+
+// Counts a discount use with compare-and-set on `uses`
+async function redeemDiscount(code) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const row = await storage.get("discount_codes", code);
+    if (!row) return;
+    if (await storage.update("discount_codes", code, { uses: (row.uses || 0) + 1 }, { uses: row.uses ?? null })) return;
+  }
+  log.error("Could not count a use of discount code", { code });
+}
+
+function receiptLink(appointment) {
+  const token = tokens.sign({ sub: appointment.id, scope: PATIENT_SCOPE }, PATIENT_LINK_TTL);
+  return `${BASE_URL}/receipt/${appointment.id}?token=${token}`;
+}
+
+function prescriptionLink(appointment) {
+  const token = tokens.sign({ sub: appointment.id, scope: PATIENT_SCOPE }, PATIENT_LINK_TTL);
+  return `${BASE_URL}/appointments/${appointment.id}/prescription?token=${token}`;
+}
+
+async function sendReceipt(appointment) {
+  try {
+    if (appointment.receipt_no) return;
+    const doctor = await doctorFor(appointment);
+    const price = appointment.price_breakdown || quote(DEFAULT_PRICING, { ...doctor, fee: appointment.amount }, {
+      consultType: appointment.consult_type,
+    });
+    const receipt = await issueReceipt(storage, {
+      appointment_id: appointment.id,
+      patient_name: appointment.name,
+      patient_email: appointment.email,
+      doctor_name: doctor.name,
+      consult_type: appointment.consult_type,
+      date: appointment.date,
+      time: appointment.final_time,
+      payment_id: appointment.payment_id || null,
+      ...price,
+    });
+    await updateAppointment(appointment.id, { receipt_no: receipt.id });
+
+    await notifyPatient(appointment, "receipt", {
+      doctor,
+      receipt,
+      price,
+      receiptLink: receiptLink(appointment),
+      manageLinks: patientManageLinks(appointment),
+    });
+  } catch (err) {
+    log.error("Could not issue receipt", { appointment_id: appointment.id, err });
+  }
+}
+
+// Shared by the webhook route and the mock gateway. Returns { status, body }.
+async function handlePaymentWebhook(rawBody, headers) {
+  if (!paymentProvider.verifyWebhook(rawBody, headers))
+    return { status: 401, body: { error: "Invalid signature" } };
+
+  const event = paymentProvider.parseWebhook(JSON.parse(rawBody.toString("utf8")));
+  if (event.type === "ignored" || !event.orderId) return { status: 200, body: { ignored: true } };
+
+  const [appointment] = await storage.list("appointments", {
+    eq: { payment_order_id: event.orderId },
+    limit: 1,
+  });
+  if (!appointment) return { status: 404, body: { error: "Unknown order" } };
+
+  if (event.type === "failed") {
+    log.warn("Payment failed", { appointment_id: appointment.id, payment_id: event.paymentId });
+    return { status: 200, body: { received: true } };
+  }
+
+  const status = statusOf(appointment);
+  if (status === "paid") return { status: 200, body: { received: true, alreadyPaid: true } };
+
+  if (Number(event.amount) < Math.round(appointment.amount * 100)) {
+    log.error("Underpayment", { appointment_id: appointment.id, paise: event.amount });
+    return { status: 200, body: { received: true, error: "Amount mismatch" } };
+  }
+
+  const updated = await markPaid(appointment, { actor: "payment-webhook", paymentId: event.paymentId });
+  if (!updated) {
+    log.error("Payment arrived for an appointment that can't be paid", { appointment_id: appointment.id, status });
+    return { status: 409, body: { error: `Appointment is ${status}` } };
+  }
+  log.info("Payment received", { appointment_id: appointment.id });
+  return { status: 200, body: { received: true } };
+}
+
+// ---------------- REQUEST SCHEMAS ----------------
+// See lib/validation.js for the rule types.
+
+const TOKEN_FIELD = { type: "string", max: 2048 }; // links can also carry it in ?token=
+const REASON_FIELD = { type: "text", required: true, max: 500 };
+
+const BOOKING_SCHEMA = {
+  name: { type: "string", required: true, max: 100 },
+  email: { type: "email", required: true },
+  number: { type: "phone", required: true },
+  date: { type: "date", required: true, notPast: true },
+  slot: { type: "datetime", required: true },
+  consultType: { type: "enum", values: CONSULT_TYPES, required: true },
+  doctorId: { type: "id" },
+  specialty: { type: "string", max: 60 },
+  discountCode: { type: "string", max: 40 },
+  channels: { type: "list", values: OFFERED_CHANNELS },
+  language: { type: "enum", values: LANGUAGES },
+};
+const DECLINE_SCHEMA = { token: TOKEN_FIELD, reason: REASON_FIELD };
+const SET_TIME_SCHEMA = { token: TOKEN_FIELD, slot: { type: "datetime", required: true } };
+const CANCEL_SCHEMA = { token: TOKEN_FIELD, reason: REASON_FIELD };
+const RESCHEDULE_SCHEMA = {
+  token: TOKEN_FIELD,
+  date: { type: "date", required: true, notPast: true },
+  slot: { type: "datetime", required: true },
+};
+const DISCOUNT_CODE_SCHEMA = {
+  code: { type: "string", required: true, pattern: /^[A-Za-z0-9_-]{3,32}$/, message: "must be 3-32 letters, digits, - or _" },
+  type: { type: "enum", values: ["percent", "flat"], required: true },
+  value: { type: "number", required: true, min: 0.01 },
+  max_uses: { type: "number", integer: true, min: 1, nullable: true },
+  expires_at: { type: "timestamp", nullable: true },
+};
+const DISCOUNT_UPDATE_SCHEMA = {
+  active: { type: "boolean" },
+  expires_at: { type: "timestamp", nullable: true },
+};
+const NOTIFICATIONS_SCHEMA = {
+  token: TOKEN_FIELD,
+  channels: { type: "list", values: OFFERED_CHANNELS, required: true },
+};
+const PORTAL_LOGIN_SCHEMA = { email: { type: "email", required: true } };
+const REBOOK_SCHEMA = {
+  date: { type: "date", required: true, notPast: true },
+  slot: { type: "datetime", required: true },
+};
+const WEBHOOK_SCHEMA = {
+  url: { type: "string", required: true, max: 500, pattern: /^https?:\/\/\S+$/i, message: "must be an http(s) URL" },
+  events: { type: "list", values: WEBHOOK_EVENTS, required: true },
+  description: { type: "string", max: 200 },
+};
+const WEBHOOK_UPDATE_SCHEMA = {
+  url: { type: "string", max: 500, pattern: /^https?:\/\/\S+$/i, message: "must be an http(s) URL" },
+  events: { type: "list", values: WEBHOOK_EVENTS },
+  description: { type: "string", max: 200 },
+  active: { type: "boolean" },
+};
+const WAITLIST_SCHEMA = {
+  name: { type: "string", required: true, max: 100 },
+  email: { type: "email", required: true },
+  number: { type: "phone", required: true },
+  date: { type: "date", required: true, notPast: true },
+  consultType: { type: "enum", values: CONSULT_TYPES, required: true },
+  doctorId: { type: "id" },
+  specialty: { type: "string", max: 60 },
+  language: { type: "enum", values: LANGUAGES },
+};
+const STATUS_CHANGE_SCHEMA = {
+  status: { type: "enum", values: STATUSES, required: true },
+  reason: { type: "text", max: 500 },
+};
+
+// Parses multipart bookings (fields plus `reports` files); other requests
+// pass through untouched. Upload limits are answered like field errors.
+function parseReportUpload(req, res, next) {
+  reportUpload(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    const messages = {
+      LIMIT_FILE_SIZE: `must each be at most ${UPLOAD_MAX_MB} MB`,
+      LIMIT_FILE_COUNT: `must be at most ${UPLOAD_MAX_FILES} files`,
+      LIMIT_UNEXPECTED_FILE: err.field === "reports" ? `must be at most ${UPLOAD_MAX_FILES} files` : "is not a file field",
+    };
+    const field = err.code === "LIMIT_UNEXPECTED_FILE" ? err.field : "reports";
+    res.status(400).json({
+      error: "Invalid appointment request",
+      details: [{ field: field || "reports", message: messages[err.code] || err.message }],
+    });
+  });
+}
+
+// Validates req.body against a schema. Sends the 400 (a page for form posts,
+// JSON for API calls) and returns null if any field is bad.
+function checkBody(req, res, schema, { error = "Invalid request", html = false } = {}) {
+  const { value, errors } = validate(schema, req.body, { timeZone: CLINIC_TIMEZONE });
+  if (!errors) return value;
+  res.status(400);
+  if (html && req.accepts(["html", "json"]) === "html") {
+    const items = errors.map((e) => `<li><strong>${escapeHtml(e.field)}</strong> ${escapeHtml(e.message)}</li>`).join("");
+    res.send(`<h2>${escapeHtml(error)}</h2><ul>${items}</ul><p>Please go back and try again.</p>`);
+  } else {
+    res.json({ error, details: errors });
+  }
+  return null;
+}
+
+// ---------------- BOOKING ----------------
+
+// Books a slot for fields (validated BOOKING_SCHEMA values, with phone for
+// number, plus the checked intake and reports) and sends the request
+// emails. holdId is a slot_bookings hold (a waitlist offer) that the booking
+// takes over. Returns { appointment, doctor },
+// { duplicate } if the patient already has a request pending that day, or
+// { status, error } (plus `limit` for a 429) for the caller to send.
+async function bookAppointment(fields) {
+  const { name, email, phone, date, slot, consultType, doctorId, specialty, discountCode, channels, language } = fields;
+  const { intake = null, reports = [], holdId } = fields;
+
+  // Before the duplicate check, since a duplicate mails its links again
+  const emailLimit = await bookingEmailLimiter.hit(email);
+  if (!emailLimit.allowed)
+    return { status: 429, limit: emailLimit, error: "Too many bookings for this email today. Please try again tomorrow." };
+
+  const duplicate = await findPendingDuplicate({ email, phone, date });
+  if (duplicate) return { duplicate };
+
+  let discount = null;
+  if (discountCode) {
+    discount = await getDiscountCode(discountCode);
+    const problem = discountProblem(discount);
+    if (problem) return { status: 400, error: problem };
+  }
+
+  const slotStart = slot;
+
+  // A chosen doctor, otherwise every doctor matching specialty + consult type
+  let doctors;
+  if (doctorId) {
+    const doctor = await getDoctor(doctorId);
+    if (!doctor || doctor.active === false) return { status: 404, error: "Doctor not found" };
+    doctors = [doctor];
+  } else {
+    doctors = await listDoctors();
+  }
+  doctors = doctors.filter((d) => offers(d, { specialty, consultType }));
+  if (!doctors.length)
+    return { status: 409, error: "No doctor offers that consultation. Please pick another." };
+
+  // Round-robin among the doctors who are free at that slot
+  const free = [];
+  for (const d of roundRobinOrder(doctors)) {
+    if ((await openSlots(d.id, date, { heldBy: holdId })).some((s) => s.start === slotStart)) free.push(d);
+  }
+  if (!free.length)
+    return { status: 409, error: "That slot is not available. Please pick another." };
+
+  const id = uuidv4();
+  let doctor = null;
+  for (const d of free) {
+    const reserved = holdId
+      ? await takeOverSlot(d.id, slotStart, holdId, id)
+      : await reserveSlot(d.id, slotStart, date, id);
+    if (reserved) {
+      doctor = d;
+      break;
+    }
+  }
+  if (!doctor)
+    return { status: 409, error: "That slot was just booked. Please pick another." };
+  await storage.update("doctors", doctor.id, { last_assigned_at: new Date().toISOString() });
+
+  const time = formatSlotTime(slotStart, CLINIC_TIMEZONE);
+  const appointment = {
+    id,
+    name,
+    email,
+    phone,
+    date,
+    time,
+    slot_start: slotStart,
+    consult_type: consultType,
+    doctor_id: doctor.id,
+    discount_code: discount?.id || null,
+    language: language || DEFAULT_LANGUAGE,
+    intake,
+    status: "requested",
+    action_nonce: randomNonce(),
+  };
+
+  let files = [];
+  try {
+    files = await saveReports(storage, fileStore, { appointmentId: id, reports });
+    await saveAppointment(appointment);
+  } catch (err) {
+    await removeReports(storage, fileStore, files)
+      .catch((cleanupErr) => log.error("Could not remove the reports of a failed booking", { appointment_id: id, err: cleanupErr }));
+    // A waitlist hold goes back to its offer, which still stands
+    if (holdId) await takeOverSlot(doctor.id, slotStart, id, holdId);
+    else await releaseSlot(doctor.id, slotStart);
+    throw err;
+  }
+  await recordEvent(id, null, "requested", { actor: "patient" });
+  bookingsTotal.inc();
+  emitWebhook(appointment, null, "requested", { actor: "patient" });
+
+  const token = doctorActionToken(appointment, appointment.action_nonce);
+  const confirmLink = `${BASE_URL}/doctor-action/${id}/confirm?token=${token}`;
+  const declineLink = `${BASE_URL}/doctor-action/${id}/decline?token=${token}`;
+
+  await sendTemplateEmail(doctor.email, "doctor_new_request", {
+    appointment,
+    specialty,
+    confirmLink,
+    declineLink,
+    reports: reportLinks(appointment, files),
+  });
+
+  if (channels?.length) await saveFirstPatientChannels(email, channels);
+  await notifyPatient(appointment, "booking_received", {
+    doctor,
+    manageLinks: patientManageLinks(appointment),
+  });
+
+  return { appointment, doctor };
+}
+
+// Confirms a requested appointment with `updates` (its final date, slot and
+// time; the slot must already be held for it): prices it, opens the video
+// room and payment for online consults and sends the confirmation emails.
+// Returns the updated row, or null if the compare-and-set on `match` lost.
+async function confirmAppointment(appointment, doctor, { updates: slotUpdates, actor, reason = null, match = {} }) {
+  const isOnline = appointment.consult_type.toLowerCase() === "online";
+  const pricing = await getPricing();
+  const followUp = await isFollowUp(appointment, doctor.id, slotUpdates.date, pricing.follow_up_days);
+  const discount = await getDiscountCode(appointment.discount_code);
+  const usableDiscount = discount && !discountProblem(discount) ? discount : null;
+  const price = quote(pricing, doctor, {
+    consultType: appointment.consult_type,
+    followUp,
+    discountCode: usableDiscount,
+  });
+
+  const updates = {
+    ...slotUpdates,
+    amount: price.total,
+    price_breakdown: price,
+  };
+
+  // No public video_link any more: links go through the /video/:id gate
+  if (isOnline) {
+    updates.jitsi_room = video.newRoom();
+    updates.payment_link = paymentLink(appointment);
+  }
+
+  let updated = await transitionAppointment(appointment, "confirmed", { actor, reason, updates, match });
+  if (!updated) return null;
+  if (usableDiscount) await redeemDiscount(usableDiscount.id);
+
+  // Online consults are paid up front; offline ones at the clinic
+  if (isOnline) {
+    updated = (await transitionAppointment(updated, "awaiting_payment", { actor: "system" })) || updated;
+  }
+
+  await notifyPatient(updated, "confirmed", {
+    doctor,
+    price,
+    manageLinks: patientManageLinks(updated),
+  }, { attachments: await inviteAttachment(updated, doctor, { role: "patient" }) });
+
+  await sendTemplateEmail(doctor.email, "doctor_confirmed", {
+    appointment: updated,
+    doctor,
+    videoLink: videoLink(updated, "doctor"),
+    notesLink: notesLink(updated),
+    calendarLink: calendarFeedLink(doctor),
+  }, { attachments: await inviteAttachment(updated, doctor, { role: "doctor" }) });
+
+  return updated;
+}
+
+// ---------------- DECLINE ALTERNATIVES ----------------
+
+// The doctor's open slots, by day, over ALTERNATIVE_DAYS days from `fromDate`
+// (or today, once that has passed). Returns [{ date, slots }] for days with any.
+async function alternativeSlots(doctorId, fromDate) {
+  const today = todayIn(CLINIC_TIMEZONE);
+  const start = new Date(`${fromDate > today ? fromDate : today}T00:00:00Z`).getTime();
+  const days = [];
+  for (let n = 0; n < ALTERNATIVE_DAYS; n++) {
+    const date = new Date(start + n * 86400 * 1000).toISOString().slice(0, 10);
+    const slots = await openSlots(doctorId, date);
+    if (slots.length) days.push({ date, slots });
+  }
+  return days;
+}
+
+// The times picked on the decline form, as [{ date, slot_start }]. Returns
+// { value } or { message } if one is no longer open or too many were picked.
+function pickAlternatives(raw, days) {
+  const dateOf = new Map(days.flatMap((d) => d.slots.map((s) => [s.start, d.date])));
+  const picked = [...new Set([].concat(raw ?? []).filter(Boolean).map((v) => normalizeSlot(String(v))))];
+  if (picked.length > MAX_ALTERNATIVES) return { message: `Offer at most ${MAX_ALTERNATIVES} other times.` };
+  if (picked.some((start) => !dateOf.has(start))) return { message: "One of the other times is no longer open." };
+  return { value: picked.sort().map((start) => ({ date: dateOf.get(start), slot_start: start })) };
+}
+
+// One-click links for the patient to take one of the offered times
+function alternativeLinks(appointment) {
+  const token = tokens.sign({ sub: appointment.id, scope: PATIENT_SCOPE }, PATIENT_LINK_TTL);
+  return (appointment.alternatives || []).map((alt, n) => ({
+    ...alt,
+    link: `${BASE_URL}/appointments/${appointment.id}/alternatives/${n}?token=${token}`,
+  }));
+}
+
+// ---------------- WAITLIST ----------------
+
+const waitlistHold = (entry) => `waitlist-${entry.id}`;
+
+// The claim link lives as long as the offer
+function waitlistClaimLink(entry) {
+  const ttl = Math.max(60, Math.ceil((new Date(entry.offer_expires_at).getTime() - Date.now()) / 1000));
+  const token = tokens.sign({ sub: entry.id, scope: WAITLIST_SCOPE }, ttl);
+  return `${BASE_URL}/waitlist/${entry.id}/claim?token=${token}`;
+}
+
+// Holds a freed slot for the first waiting entry it suits and emails them a
+// claim link. Does nothing if nobody suits it or the slot was taken meanwhile.
+async function offerFreedSlot(doctorId, slotStart, date) {
+  if (!slotStart || new Date(slotStart).getTime() <= Date.now()) return;
+  const doctor = await getDoctor(doctorId);
+  if (!doctor || doctor.active === false) return;
+  const suits = (e) =>
+    (!e.doctor_id || e.doctor_id === doctor.id) && offers(doctor, { consultType: e.consult_type, specialty: e.specialty });
+
+  // An entry another offer got to first is skipped
+  for (let tries = 0; tries < 5; tries++) {
+    const entry = await waitlist.next(date, suits);
+    if (!entry) return;
+    if (!(await reserveSlot(doctor.id, slotStart, date, waitlistHold(entry)))) return;
+
+    const expiresAt = Math.min(Date.now() + WAITLIST_CLAIM_MINUTES * 60 * 1000, new Date(slotStart).getTime());
+    const offered = await waitlist.move(entry, "offered", {
+      offered_doctor_id: doctor.id,
+      offered_slot: slotStart,
+      offer_expires_at: new Date(expiresAt).toISOString(),
+    });
+    if (!offered) {
+      await releaseSlot(doctor.id, slotStart);
+      continue;
+    }
+    await sendTemplateEmail(offered.email, "waitlist_offer", {
+      entry: offered,
+      doctor,
+      claimLink: waitlistClaimLink(offered),
+    }, { lang: offered.language });
+    return;
+  }
+}
+
+// For routes that cancel or decline an appointment, after its slot is
+// released. Never throws, so the waitlist can't fail the cancellation.
+async function slotFreed(appointment) {
+  try {
+    await offerFreedSlot(doctorIdOf(appointment), appointment.slot_start, appointment.date);
+  } catch (err) {
+    log.error("Waitlist offer failed", { appointment_id: appointment.id, err });
+  }
+}
+
+// Lapses offers that weren't claimed in time and passes each slot on.
+// Returns how many lapsed.
+async function expireWaitlistOffers() {
+  let lapsed = 0;
+  for (const entry of await waitlist.lapsedOffers()) {
+    if (!(await waitlist.move(entry, "expired"))) continue;
+    lapsed++;
+    await releaseSlot(entry.offered_doctor_id, entry.offered_slot);
+    await offerFreedSlot(entry.offered_doctor_id, entry.offered_slot, entry.date);
+  }
+  return lapsed;
+}
+
+// ---------------- ROUTES ----------------
+
+// 1️⃣ Book Appointment
+// JSON, or multipart/form-data with the same fields (intake[chiefComplaint]=...)
+// and up to UPLOAD_MAX_FILES `reports` files.
+app.post("/book-appointment", bookingIpLimit, parseReportUpload, bookingIdempotency, async (req, res) => {
+  try {
+    const body = checkBody(req, res, BOOKING_SCHEMA, { error: "Invalid appointment request" });
+    if (!body) return;
+    const { number, ...fields } = body;
+
+    const intake = validateIntake(req.body.intake);
+    const reports = validateReports(req.files);
+    const errors = [...(intake.errors || []), ...(reports.errors || [])];
+    if (errors.length) return res.status(400).json({ error: "Invalid appointment request", details: errors });
+
+    const result = await bookAppointment({ ...fields, phone: number, intake: intake.value, reports: reports.value });
+    // The existing request's id and links only go to its own email address
+    if (result.duplicate) {
+      const existing = result.duplicate;
+      await sendTemplateEmail(existing.email, "booking_received", {
+        appointment: existing,
+        doctor: await doctorFor(existing),
+        manageLinks: patientManageLinks(existing),
+      }, { lang: languageOf(existing) });
+      // Files sent with a duplicate aren't kept; say so rather than drop them quietly
+      const dropped = reports.value.length
+        ? " The files you attached were not added to it; bring them to your consultation."
+        : "";
+      return res.status(409).json({
+        error: `You already have a pending request for this date. We've emailed its details again to the address it was made with.${dropped}`,
+        duplicate: true,
+      });
+    }
+    if (result.limit) return sendTooManyRequests(res, result.limit, result.error);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      message: "Appointment request sent successfully",
+      appointmentId: result.appointment.id,
+      doctor: publicDoctor(result.doctor),
+    });
+
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// 2️⃣ Doctor Confirm Page (new request, or a patient's reschedule proposal)
+app.get("/doctor-action/:id/confirm", async (req, res) => {
+  const { id } = req.params;
+  const appointment = await getAppointment(id);
+  if (!appointment) return res.status(404).send("❌ Appointment not found.");
+  // The token first, so a spent or forged link never sees the status page
+  if (!checkDoctorToken(req, res, appointment)) return;
+  if (!awaitingDoctor(appointment)) return sendStatusPage(res, appointment);
+
+  const date = appointment.reschedule_date || appointment.date;
+  const preferred = appointment.reschedule_slot || appointment.slot_start;
+  const slots = await openSlots(doctorIdOf(appointment), date, { heldBy: id });
+  if (!slots.length)
+    return res.send(`<h2>No Open Slots</h2><p>There are no open slots left on ${escapeHtml(date)}. Please decline or update your availability.</p>`);
+
+  const options = slots
+    .map((s) => `<option value="${s.start}"${s.start === preferred ? " selected" : ""}>${s.label}</option>`)
+    .join("");
+  const asked = appointment.reschedule_slot
+    ? ` · Patient asked to move to <strong>${formatSlotTime(appointment.reschedule_slot, CLINIC_TIMEZONE)}</strong>`
+    : appointment.time ? ` · Patient asked for <strong>${escapeHtml(appointment.time)}</strong>` : "";
+
+  res.send(`
+    <h2>${appointment.reschedule_slot && statusOf(appointment) !== "requested" ? "Confirm Rescheduled Time" : "Choose Final Appointment Time"}</h2>
+    <p>Date: <strong>${escapeHtml(date)}</strong>${asked}</p>
+    <form method="POST" action="/doctor-set-time/${id}">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}"/>
+      <label>Final Time:</label><br>
+      <select name="slot" required style="padding:10px;width:250px;font-size:16px;margin-top:10px;">${options}</select>
+      <br><br>
+      <button type="submit" style="padding:10px 20px;font-size:16px;background:green;color:white;border:none;border-radius:5px;">Confirm Appointment</button>
+    </form>
+  `);
+});
+
+// 3️⃣ Doctor Decline Page → Ask for reason
+app.get("/doctor-action/:id/decline", async (req, res) => {
+  const { id } = req.params;
+  const appointment = await getAppointment(id);
+  if (!appointment) return res.status(404).send("❌ Appointment not found.");
+  if (!checkDoctorToken(req, res, appointment)) return;
+  if (!awaitingDoctor(appointment)) return sendStatusPage(res, appointment);
+
+  const rescheduling = statusOf(appointment) !== "requested";
+
+  // A new request can be declined with other times the patient can take instead
+  let alternatives = "";
+  if (!rescheduling) {
+    const days = await alternativeSlots(doctorIdOf(appointment), appointment.date);
+    const options = days
+      .map((d) => `<optgroup label="${escapeHtml(d.date)}">${d.slots.map((s) => `<option value="${s.start}">${escapeHtml(`${d.date} ${s.label}`)}</option>`).join("")}</optgroup>`)
+      .join("");
+    const select = `<select name="alternatives" style="padding:8px;width:316px;font-size:15px;margin-top:8px;"><option value="">—</option>${options}</select>`;
+    alternatives = days.length
+      ? `<br><br><label>Offer other times instead (optional, up to ${MAX_ALTERNATIVES}):</label><br>${Array(MAX_ALTERNATIVES).fill(select).join("<br>")}`
+      : `<p>You have no open times in the next ${ALTERNATIVE_DAYS} days to offer instead.</p>`;
+  }
+
+  res.send(`
+    <h2>${rescheduling ? "Decline Reschedule Request" : "Decline Appointment"}</h2>
+    ${rescheduling ? `<p>The appointment stays on <strong>${escapeHtml(appointment.date)}</strong> at <strong>${escapeHtml(appointment.final_time)}</strong>.</p>` : ""}
+    <form method="POST" action="/doctor-decline/${id}">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}"/>
+      <label>Reason for Decline:</label><br>
+      <textarea name="reason" placeholder="Enter reason" required style="width:300px;height:100px;padding:8px;margin-top:8px;"></textarea>
+      ${alternatives}
+      <br><br>
+      <button type="submit" style="padding:10px 20px;background:red;color:white;border:none;border-radius:5px;">${rescheduling ? "Keep Original Time" : "Decline Appointment"}</button>
+    </form>
+  `);
+});
+
+// 4️⃣ Submit Decline Reason
+app.post("/doctor-decline/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = checkBody(req, res, DECLINE_SCHEMA, { error: "Invalid decline", html: true });
+    if (!body) return;
+    const { reason } = body;
+
+    const appointment = await getAppointment(id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    const nonce = checkDoctorToken(req, res, appointment);
+    if (!nonce) return;
+    if (!awaitingDoctor(appointment)) return sendStatusPage(res, appointment);
+
+    const status = statusOf(appointment);
+
+    // Declining a reschedule keeps the original appointment
+    if (status !== "requested") {
+      const updated = await updateAppointment(
+        id,
+        { reschedule_date: null, reschedule_slot: null, action_nonce: null },
+        { action_nonce: nonce, status: appointment.status ?? null }
+      );
+      if (!updated) return sendLinkError(res, "used");
+      await releaseSlot(doctorIdOf(appointment), appointment.reschedule_slot);
+      await recordEvent(id, status, status, { actor: "doctor", reason: `Reschedule declined: ${reason}` });
+
+      await notifyPatient(appointment, "reschedule_declined", {
+        reason,
+        manageLinks: patientManageLinks(updated),
+      });
+
+      return res.send(`<h2>Reschedule Declined ✅</h2><p>Reason submitted: ${escapeHtml(reason)}</p>`);
+    }
+
+    const picked = pickAlternatives(req.body.alternatives, await alternativeSlots(doctorIdOf(appointment), appointment.date));
+    if (picked.message) return res.status(400).send(`<h2>Invalid decline</h2><p>${escapeHtml(picked.message)}</p><p>Please go back and try again.</p>`);
+
+    const updated = await transitionAppointment(appointment, "declined", {
+      actor: "doctor",
+      reason,
+      updates: {
+        decline_reason: reason,
+        alternatives: picked.value,
+        action_nonce: null,
+        reschedule_date: null,
+        reschedule_slot: null,
+      },
+      match: { action_nonce: nonce },
+    });
+    if (!updated) return sendLinkError(res, "used");
+    await releaseSlot(doctorIdOf(appointment), appointment.slot_start);
+    await releaseSlot(doctorIdOf(appointment), appointment.reschedule_slot);
+    await slotFreed(appointment);
+
+    // Notify patient
+    await notifyPatient(updated, "declined", { reason, alternatives: alternativeLinks(updated) });
+
+    res.send(`<h2>Appointment Declined ✅</h2><p>Reason submitted: ${escapeHtml(reason)}</p>`);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// 5️⃣ Submit Final Time + Send Emails
+app.post("/doctor-set-time/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = checkBody(req, res, SET_TIME_SCHEMA, { error: "Invalid time", html: true });
+    if (!body) return;
+    const appointment = await getAppointment(id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    const nonce = checkDoctorToken(req, res, appointment);
+    if (!nonce) return;
+    if (!awaitingDoctor(appointment)) return sendStatusPage(res, appointment);
+
+    const status = statusOf(appointment);
+    const doctor = await doctorFor(appointment);
+    const date = appointment.reschedule_date || appointment.date;
+    const slotStart = body.slot;
+    const open = await openSlots(doctor.id, date, { heldBy: id });
+    if (!open.some((s) => s.start === slotStart))
+      return res.status(409).send("<h2>Slot Not Available</h2><p>Please go back and pick one of the listed times.</p>");
+
+    // Hold the new slot before giving up the ones this appointment holds
+    const held = [appointment.slot_start, appointment.reschedule_slot].filter(Boolean);
+    const newHold = !held.includes(slotStart);
+    if (newHold && !(await reserveSlot(doctor.id, slotStart, date, id)))
+      return res.status(409).send("<h2>Slot Just Taken</h2><p>Another appointment got that time. Please go back and pick another.</p>");
+
+    const final_time = formatSlotTime(slotStart, CLINIC_TIMEZONE);
+    const slotUpdates = {
+      date,
+      final_time,
+      slot_start: slotStart,
+      reschedule_date: null,
+      reschedule_slot: null,
+      action_nonce: null,
+    };
+
+    // Confirming a reschedule of an already confirmed appointment
+    if (status !== "requested") {
+      const updated = await updateAppointment(id, {
+        ...slotUpdates,
+        ics_sequence: (appointment.ics_sequence || 0) + 1,
+      }, {
+        action_nonce: nonce,
+        status: appointment.status ?? null,
+      });
+      if (!updated) {
+        if (newHold) await releaseSlot(doctor.id, slotStart);
+        return sendLinkError(res, "used");
+      }
+      for (const slot of held) if (slot !== slotStart) await releaseSlot(doctor.id, slot);
+      await recordEvent(id, status, status, {
+        actor: "doctor",
+        reason: `Rescheduled from ${appointment.date} ${appointment.final_time} to ${date} ${final_time}`,
+      });
+
+      await sendTemplateEmail(appointment.email, "rescheduled", {
+        appointment: updated,
+        previous: appointment,
+        payLink: status === "awaiting_payment" ? updated.payment_link : null,
+        manageLinks: patientManageLinks(updated),
+      }, { lang: languageOf(appointment), attachments: await inviteAttachment(updated, doctor, { role: "patient" }) });
+      await sendTemplateEmail(doctor.email, "doctor_rescheduled", {
+        appointment: updated,
+        videoLink: videoLink(updated, "doctor"),
+      }, { attachments: await inviteAttachment(updated, doctor, { role: "doctor" }) });
+
+      return res.send("✅ Appointment rescheduled successfully. Emails sent.");
+    }
+
+    const updated = await confirmAppointment(appointment, doctor, {
+      updates: slotUpdates,
+      actor: "doctor",
+      match: { action_nonce: nonce },
+    });
+    if (!updated) {
+      if (newHold) await releaseSlot(doctor.id, slotStart);
+      return sendLinkError(res, "used");
+    }
+    for (const slot of held) if (slot !== slotStart) await releaseSlot(doctor.id, slot);
+
+    res.send("✅ Appointment confirmed successfully. Emails sent.");
+
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// One of the times offered with a decline: the emailed link shows it, and
+// confirming books it for the patient straight away (no new doctor step).
+// The page posts back, so mail scanners opening the link don't book anything.
+async function declinedAlternative(req, res) {
+  const appointment = await getAppointment(req.params.id);
+  if (!appointment) return { done: res.status(404).send("Appointment not found") };
+  if (!checkPatientToken(req, res, appointment)) return { done: true };
+
+  const lang = languageOf(appointment);
+  const message = (status, vars) => ({ done: res.status(status).send(templates.page("portal_message", vars, { lang })) });
+  const alternative = statusOf(appointment) === "declined" ? appointment.alternatives?.[Number(req.params.n)] : null;
+  if (!alternative) return { done: res.status(404).send("Offer not found") };
+  if (appointment.rebooked_as)
+    return message(410, { title: "offer.alternative.used_heading", message: "offer.alternative.used" });
+
+  const doctor = await doctorFor(appointment);
+  const open = await openSlots(doctor.id, alternative.date);
+  if (!open.some((s) => s.start === alternative.slot_start))
+    return message(409, { title: "offer.taken_heading", message: "offer.taken" });
+  return { appointment, alternative, doctor, lang, message };
+}
+
+app.get("/appointments/:id/alternatives/:n", async (req, res) => {
+  try {
+    const offer = await declinedAlternative(req, res);
+    if (offer.done) return;
+    res.send(templates.page("slot_offer", {
+      heading: "offer.alternative.heading",
+      intro: "offer.alternative.intro",
+      slot: offer.alternative,
+      consultType: offer.appointment.consult_type,
+      doctor: offer.doctor,
+      action: req.path,
+      token: req.query.token,
+      button: "offer.alternative.button",
+    }, { lang: offer.lang }));
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+app.post("/appointments/:id/alternatives/:n", async (req, res) => {
+  try {
+    const offer = await declinedAlternative(req, res);
+    if (offer.done) return;
+    const { appointment: declined, alternative, doctor, message } = offer;
+
+    const id = uuidv4();
+    if (!(await reserveSlot(doctor.id, alternative.slot_start, alternative.date, id)))
+      return message(409, { title: "offer.taken_heading", message: "offer.taken" });
+    // Only one of the offered times can be taken
+    if (!(await updateAppointment(declined.id, { rebooked_as: id }, { rebooked_as: null }))) {
+      await releaseSlot(doctor.id, alternative.slot_start);
+      return message(410, { title: "offer.alternative.used_heading", message: "offer.alternative.used" });
+    }
+
+    const appointment = {
+      id,
+      name: declined.name,
+      email: declined.email,
+      phone: declined.phone,
+      date: alternative.date,
+      time: formatSlotTime(alternative.slot_start, CLINIC_TIMEZONE),
+      slot_start: alternative.slot_start,
+      consult_type: declined.consult_type,
+      doctor_id: doctor.id,
+      discount_code: declined.discount_code || null,
+      language: declined.language || DEFAULT_LANGUAGE,
+      intake: declined.intake || null,
+      rebooked_from: declined.id,
+      status: "requested",
+      action_nonce: null,
+    };
+    try {
+      await saveAppointment(appointment);
+    } catch (err) {
+      await releaseSlot(doctor.id, alternative.slot_start);
+      await updateAppointment(declined.id, { rebooked_as: null });
+      throw err;
+    }
+    await recordEvent(id, null, "requested", { actor: "patient", reason: `Took a time offered when ${declined.id} was declined` });
+    bookingsTotal.inc();
+    emitWebhook(appointment, null, "requested", { actor: "patient" });
+
+    const updated = await confirmAppointment(appointment, doctor, {
+      updates: {
+        date: appointment.date,
+        time: appointment.time,
+        slot_start: appointment.slot_start,
+        final_time: appointment.time,
+      },
+      actor: "patient",
+      reason: "Time offered by the doctor",
+    });
+    if (!updated) throw new Error(`Could not confirm ${id}`);
+
+    message(200, {
+      title: "offer.alternative.done_heading",
+      message: "offer.alternative.done",
+    });
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Patient Cancel Page
+app.get("/appointments/:id/cancel", async (req, res) => {
+  const appointment = await getAppointment(req.params.id);
+  if (!appointment) return res.status(404).send("❌ Appointment not found.");
+  if (!checkPatientToken(req, res, appointment)) return;
+  if (!checkPatientCanChange(res, appointment)) return;
+
+  res.send(`
+    <h2>Cancel Appointment</h2>
+    <p>${escapeHtml(appointment.date)}${appointment.final_time || appointment.time ? ` at ${escapeHtml(appointment.final_time || appointment.time)}` : ""}</p>
+    <form method="POST" action="/appointments/${appointment.id}/cancel">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}"/>
+      <label>Reason for Cancelling:</label><br>
+      <textarea name="reason" placeholder="Enter reason" required style="width:300px;height:100px;padding:8px;margin-top:8px;"></textarea>
+      <br><br>
+      <button type="submit" style="padding:10px 20px;background:red;color:white;border:none;border-radius:5px;">Cancel Appointment</button>
+    </form>
+  `);
+});
+
+// Patient Submit Cancel
+app.post("/appointments/:id/cancel", async (req, res) => {
+  try {
+    const body = checkBody(req, res, CANCEL_SCHEMA, { error: "Invalid cancellation", html: true });
+    if (!body) return;
+    const { reason } = body;
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    if (!checkPatientToken(req, res, appointment)) return;
+    if (!checkPatientCanChange(res, appointment)) return;
+
+    const updated = await transitionAppointment(appointment, "cancelled", {
+      actor: "patient",
+      reason,
+      updates: {
+        cancel_reason: reason,
+        action_nonce: null,
+        reschedule_date: null,
+        reschedule_slot: null,
+        ics_sequence: (appointment.ics_sequence || 0) + 1,
+      },
+    });
+    if (!updated) return res.status(409).send("<h2>Appointment Changed</h2><p>Please reload and try again.</p>");
+    await releaseSlot(doctorIdOf(appointment), appointment.slot_start);
+    await releaseSlot(doctorIdOf(appointment), appointment.reschedule_slot);
+    await slotFreed(appointment);
+
+    if (hasInvite(appointment)) {
+      await sendCancellationInvites(updated, { by: "patient", reason });
+      return res.send("<h2>Appointment Cancelled ✅</h2><p>The doctor has been notified.</p>");
+    }
+
+    const doctor = await doctorFor(appointment);
+    await sendTemplateEmail(doctor.email, "doctor_cancelled", { appointment, by: "patient", reason });
+
+    res.send("<h2>Appointment Cancelled ✅</h2><p>The doctor has been notified.</p>");
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Patient Reschedule Page → pick a date, then a slot
+app.get("/appointments/:id/reschedule", async (req, res) => {
+  const appointment = await getAppointment(req.params.id);
+  if (!appointment) return res.status(404).send("❌ Appointment not found.");
+  if (!checkPatientToken(req, res, appointment)) return;
+  if (!checkPatientCanChange(res, appointment)) return;
+
+  const { token, date } = req.query;
+  const pending = appointment.reschedule_slot
+    ? `<p>You already asked to move to ${escapeHtml(appointment.reschedule_date)} at ${formatSlotTime(appointment.reschedule_slot, CLINIC_TIMEZONE)}. A new request replaces it.</p>`
+    : "";
+  const datePicker = `
+    <form method="GET" action="/appointments/${appointment.id}/reschedule">
+      <input type="hidden" name="token" value="${escapeHtml(token)}"/>
+      <label>New Date:</label><br>
+      <input type="date" name="date" value="${isValidDate(date) ? date : ""}" required style="padding:10px;font-size:16px;margin-top:10px;"/>
+      <button type="submit" style="padding:10px 20px;font-size:16px;border:none;border-radius:5px;">Show Times</button>
+    </form>`;
+
+  let slotPicker = "";
+  if (isValidDate(date)) {
+    const slots = (await openSlots(doctorIdOf(appointment), date, { heldBy: appointment.id }))
+      .filter((s) => s.start !== appointment.slot_start);
+    slotPicker = slots.length
+      ? `
+    <form method="POST" action="/appointments/${appointment.id}/reschedule">
+      <input type="hidden" name="token" value="${escapeHtml(token)}"/>
+      <input type="hidden" name="date" value="${escapeHtml(date)}"/>
+      <label>New Time:</label><br>
+      <select name="slot" required style="padding:10px;width:250px;font-size:16px;margin-top:10px;">
+        ${slots.map((s) => `<option value="${s.start}">${s.label}</option>`).join("")}
+      </select>
+      <br><br>
+      <button type="submit" style="padding:10px 20px;font-size:16px;background:green;color:white;border:none;border-radius:5px;">Request New Time</button>
+    </form>`
+      : `<p>No open times on ${escapeHtml(date)}. Please try another date.</p>`;
+  }
+
+  res.send(`
+    <h2>Reschedule Appointment</h2>
+    <p>Currently: <strong>${escapeHtml(appointment.date)}</strong>${appointment.final_time || appointment.time ? ` at <strong>${escapeHtml(appointment.final_time || appointment.time)}</strong>` : ""}</p>
+    ${pending}
+    ${datePicker}
+    ${slotPicker}
+  `);
+});
+
+// Patient Submit Reschedule → doctor confirms through the usual links
+app.post("/appointments/:id/reschedule", async (req, res) => {
+  try {
+    const body = checkBody(req, res, RESCHEDULE_SCHEMA, { error: "Invalid reschedule", html: true });
+    if (!body) return;
+    const { date, slot: slotStart } = body;
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    if (!checkPatientToken(req, res, appointment)) return;
+    if (!checkPatientCanChange(res, appointment)) return;
+
+    const doctor = await doctorFor(appointment);
+    const open = await openSlots(doctor.id, date, { heldBy: appointment.id });
+    if (slotStart === appointment.slot_start || !open.some((s) => s.start === slotStart))
+      return res.status(409).send("<h2>Time Not Available</h2><p>Please go back and pick one of the listed times.</p>");
+
+    const newHold = slotStart !== appointment.reschedule_slot;
+    if (newHold && !(await reserveSlot(doctor.id, slotStart, date, appointment.id)))
+      return res.status(409).send("<h2>Time Just Taken</h2><p>Someone else booked that time. Please go back and pick another.</p>");
+
+    const status = statusOf(appointment);
+    const nonce = randomNonce();
+    const updated = await updateAppointment(
+      appointment.id,
+      { reschedule_date: date, reschedule_slot: slotStart, action_nonce: nonce },
+      { status: appointment.status ?? null, reschedule_slot: appointment.reschedule_slot ?? null }
+    );
+    if (!updated) {
+      if (newHold) await releaseSlot(doctor.id, slotStart);
+      return res.status(409).send("<h2>Appointment Changed</h2><p>Please reload and try again.</p>");
+    }
+    if (newHold) await releaseSlot(doctor.id, appointment.reschedule_slot);
+
+    const newTime = formatSlotTime(slotStart, CLINIC_TIMEZONE);
+    await recordEvent(appointment.id, status, status, {
+      actor: "patient",
+      reason: `Reschedule requested to ${date} ${newTime}`,
+    });
+
+    const token = doctorActionToken(appointment, nonce);
+    await sendTemplateEmail(doctor.email, "doctor_reschedule_request", {
+      appointment,
+      date,
+      slot: slotStart,
+      confirmLink: `${BASE_URL}/doctor-action/${appointment.id}/confirm?token=${token}`,
+      declineLink: `${BASE_URL}/doctor-action/${appointment.id}/decline?token=${token}`,
+    });
+
+    res.send(`<h2>Reschedule Requested ✅</h2><p>We asked the doctor to move your appointment to ${escapeHtml(date)} at ${escapeHtml(newTime)}. You'll get an email once they confirm.</p>`);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Patient Notification Settings Page
+app.get("/appointments/:id/notifications", async (req, res) => {
+  const appointment = await getAppointment(req.params.id);
+  if (!appointment) return res.status(404).send("❌ Appointment not found.");
+  if (!checkPatientToken(req, res, appointment)) return;
+
+  const current = await patientChannels(appointment.email);
+  const labels = { email: "Email", sms: "SMS", whatsapp: "WhatsApp" };
+  const boxes = OFFERED_CHANNELS.map((c) => `
+      <label style="display:block;margin:8px 0;">
+        <input type="checkbox" name="channels" value="${c}"${current.includes(c) ? " checked" : ""}/> ${labels[c]}
+      </label>`).join("");
+
+  res.send(`
+    <h2>How Should We Reach You?</h2>
+    <p>Updates for ${escapeHtml(appointment.email)}${appointment.phone ? ` and ${escapeHtml(appointment.phone)}` : ""}.</p>
+    <form method="POST" action="/appointments/${appointment.id}/notifications">
+      <input type="hidden" name="token" value="${escapeHtml(req.query.token)}"/>
+      ${boxes}
+      <br>
+      <button type="submit" style="padding:10px 20px;background:#16a34a;color:white;border:none;border-radius:5px;">Save</button>
+    </form>
+  `);
+});
+
+// Patient Save Notification Settings
+app.post("/appointments/:id/notifications", async (req, res) => {
+  try {
+    const body = checkBody(req, res, NOTIFICATIONS_SCHEMA, { error: "Pick at least one way to reach you", html: true });
+    if (!body) return;
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    if (!checkPatientToken(req, res, appointment)) return;
+    if (body.channels.some((c) => c !== "email") && !toE164(appointment.phone))
+      return res.status(400).send("<h2>No Phone Number</h2><p>We don't have a valid mobile number for this appointment, so only email is possible.</p>");
+
+    const saved = await savePatientChannels(appointment.email, body.channels);
+    if (req.accepts(["html", "json"]) === "json") return res.json({ channels: saved.channels });
+    res.send(`<h2>Preferences Saved ✅</h2><p>We'll reach you by ${saved.channels.join(", ")}.</p>`);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// 6️⃣ PAYMENT PAGE (centered & with warning)
+app.get("/payment/:id", async (req, res) => {
+  const appointment = await getAppointment(req.params.id);
+  if (!appointment) return res.status(404).send("Appointment not found");
+  if (!checkPatientToken(req, res, appointment)) return;
+  if (!["awaiting_payment", "paid"].includes(statusOf(appointment)))
+    return res.status(409).send("This appointment is not awaiting payment.");
+
+  const paid = statusOf(appointment) === "paid";
+  let checkout = null;
+
+  if (!paid) {
+    let orderId;
+    try {
+      orderId = await ensurePaymentOrder(appointment);
+    } catch (err) {
+      log.error(err);
+      return res.status(502).send("Could not start the payment. Please try again in a minute.");
+    }
+
+    checkout = paymentProvider.name === "razorpay"
+      ? {
+        provider: "razorpay",
+        options: {
+          key: process.env.RAZORPAY_KEY_ID,
+          order_id: orderId,
+          amount: Math.round(appointment.amount * 100),
+          currency: "INR",
+          name: "SidhaHealth",
+          prefill: { name: appointment.name, email: appointment.email, contact: appointment.phone },
+        },
+      }
+      : { provider: "mock" };
+  }
+
+  res.send(templates.page("payment", { appointment, paid, checkout, token: req.query.token }, { lang: languageOf(appointment) }));
+});
+
+// Mock gateway: pretend the patient paid, through the real webhook path.
+// Only mounted in test mode (the mock provider can't be created otherwise).
+if (paymentProvider.name === "mock") {
+  app.post("/payment/:id/mock-pay", async (req, res) => {
+    try {
+      const appointment = await getAppointment(req.params.id);
+      if (!appointment) return res.status(404).send("Appointment not found");
+      if (!checkPatientToken(req, res, appointment)) return;
+      if (!appointment.payment_order_id) return res.status(404).send("Payment not started");
+
+      const { rawBody, headers } = paymentProvider.simulatePayment(appointment.payment_order_id, {
+        amount: Math.round(appointment.amount * 100),
+      });
+      const result = await handlePaymentWebhook(rawBody, headers);
+      if (result.status !== 200) return res.status(result.status).json(result.body);
+      const token = req.query.token || req.body?.token;
+      res.redirect(303, `/payment/${appointment.id}?token=${encodeURIComponent(token)}`);
+    } catch (err) {
+      log.error(err);
+      res.status(500).send("Server error.");
+    }
+  });
+}
+
+// Payment gateway webhook → verified "paid"
+app.post("/webhooks/payment", async (req, res) => {
+  try {
+    const result = await handlePaymentWebhook(req.rawBody, req.headers);
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// 7️⃣ Check Payment Status → Show Video Link (ENHANCED)
+app.post("/payment-done/:id", async (req, res) => {
+  let appointment = await getAppointment(req.params.id);
+  if (!appointment) return res.status(404).send("Appointment not found");
+  if (!checkPatientToken(req, res, appointment)) return;
+
+  // Webhooks can be late, so ask the gateway directly before giving up
+  if (statusOf(appointment) === "awaiting_payment" && appointment.payment_order_id) {
+    try {
+      if ((await paymentProvider.orderStatus(appointment.payment_order_id)) === "paid") {
+        appointment = (await markPaid(appointment, { actor: "payment-check" })) || appointment;
+      }
+    } catch (err) {
+      log.error(err);
+    }
+  }
+
+  const lang = languageOf(appointment);
+  if (statusOf(appointment) !== "paid")
+    return res.status(402).send(templates.page("not_paid", { appointment, token: req.body?.token || req.query.token }, { lang }));
+
+  // Online: waiting room until the video window opens, then the join
+  // button. Offline: confirmation card.
+  const room = hasVideoRoom(appointment)
+    ? { ...(await videoWindow(appointment)), link: videoLink(appointment, "patient") }
+    : null;
+  res.send(templates.page("paid", { appointment, room }, { lang }));
+});
+
+// Video Room (link in emails and invites)
+// Inside the join window this redirects to Jitsi with a link for the token's
+// role; before it the waiting room, after it a closed notice.
+app.get("/video/:id", async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment || !hasVideoRoom(appointment)) return res.status(404).send("❌ Video room not found.");
+
+    const result = tokens.verify(req.query.token, { sub: appointment.id, scope: VIDEO_SCOPE });
+    if (!result.ok) return sendLinkError(res, result.reason);
+    if (["cancelled", "declined"].includes(statusOf(appointment)))
+      return res.status(410).send("<h2>Appointment Cancelled</h2><p>This appointment was cancelled, so its video room is closed.</p>");
+
+    const role = result.payload.role === "doctor" ? "doctor" : "patient";
+    const window = await videoWindow(appointment);
+    if (window.state === "open") return res.redirect(await jitsiJoinUrl(appointment, role, window));
+
+    // Doctor pages are English, like their emails
+    const lang = role === "doctor" ? DEFAULT_LANGUAGE : languageOf(appointment);
+    const room = { ...window, link: `${BASE_URL}${req.originalUrl}` };
+    res.status(window.state === "ended" ? 410 : 200).send(templates.page("video_room", { appointment, room }, { lang }));
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Patient Portal: the sign-in form, or the signed-in patient's appointments
+app.get("/my", async (req, res) => {
+  try {
+    const email = portalEmail(req);
+    if (!email) return res.send(templates.page("portal_sign_in", {}, { lang: browserLanguage(req) }));
+
+    const { upcoming, past, lang } = await portalAppointments(email);
+    res.set("Cache-Control", "no-store");
+    res.send(templates.page("portal_home", { email, upcoming, past }, { lang: lang || browserLanguage(req) }));
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Portal Sign-in: emails a one-time link if the address has bookings. The
+// reply is the same either way, so it doesn't tell who is a patient.
+const portalLoginIpLimit = rateLimit(portalLoginIpLimiter, (req) => req.ip, "Too many sign-in attempts. Please try again later.");
+app.post("/my/login", portalLoginIpLimit, async (req, res) => {
+  try {
+    const body = checkBody(req, res, PORTAL_LOGIN_SCHEMA, { error: "Invalid sign-in", html: true });
+    if (!body) return;
+    const { email } = body;
+
+    const limit = await portalLoginEmailLimiter.hit(email);
+    const [latest] = limit.allowed ? await patientAppointments(email) : [];
+    if (latest) {
+      const token = tokens.sign({ sub: email, scope: PORTAL_LOGIN_SCOPE, nonce: randomNonce() }, PORTAL_LOGIN_TTL);
+      await sendTemplateEmail(email, "portal_login", {
+        link: `${BASE_URL}/my/login?token=${token}`,
+        minutes: PORTAL_LOGIN_TTL / 60,
+      }, { lang: languageOf(latest) });
+    }
+
+    res.send(templates.page("portal_check_email", { email, minutes: PORTAL_LOGIN_TTL / 60 }, { lang: browserLanguage(req) }));
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Portal Sign-in Link: a button that posts the token, so mail scanners
+// opening the link don't use it up
+app.get("/my/login", (req, res) => {
+  const result = tokens.verify(req.query.token, { scope: PORTAL_LOGIN_SCOPE });
+  if (!result.ok) return sendLinkError(res, result.reason);
+  res.send(templates.page("portal_confirm", { token: req.query.token }, { lang: browserLanguage(req) }));
+});
+
+// Portal Session: trades the sign-in link (once) for the session cookie
+app.post("/my/session", async (req, res) => {
+  try {
+    const result = tokens.verify(req.body?.token, { scope: PORTAL_LOGIN_SCOPE });
+    if (!result.ok) return sendLinkError(res, result.reason);
+    // A second click on the same link goes to the portal, which still
+    // shows the appointments if the first click signed this browser in
+    if (!(await kv.setIfAbsent(`portal-login:${result.payload.nonce}`, true, PORTAL_LOGIN_TTL * 1000)))
+      return res.redirect(303, "/my");
+
+    const session = tokens.sign({ sub: result.payload.sub, scope: PORTAL_SESSION_SCOPE }, PORTAL_SESSION_TTL);
+    res.cookie(PORTAL_COOKIE, session, { ...portalCookieOptions(), maxAge: PORTAL_SESSION_TTL * 1000 });
+    res.redirect(303, "/my");
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+app.post("/my/logout", (req, res) => {
+  res.clearCookie(PORTAL_COOKIE, portalCookieOptions());
+  res.redirect(303, "/my");
+});
+
+// Portal Re-book: same doctor and consult type, at a new date and time
+app.get("/my/rebook/:id", async (req, res) => {
+  try {
+    const appointment = await portalAppointment(req, res);
+    if (!appointment) return;
+
+    const date = isValidDate(req.query.date) ? req.query.date : null;
+    const slots = date ? await openSlots(doctorIdOf(appointment), date) : null;
+    res.send(templates.page("portal_rebook", {
+      appointment,
+      doctor: await doctorFor(appointment),
+      date,
+      slots,
+    }, { lang: languageOf(appointment) }));
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+app.post("/my/rebook/:id", bookingIpLimit, async (req, res) => {
+  try {
+    const body = checkBody(req, res, REBOOK_SCHEMA, { error: "Invalid booking", html: true });
+    if (!body) return;
+    const appointment = await portalAppointment(req, res);
+    if (!appointment) return;
+
+    const lang = languageOf(appointment);
+    const sendMessage = (status, vars) => res.status(status).send(templates.page("portal_message", vars, { lang }));
+    const result = await bookAppointment({
+      name: appointment.name,
+      email: String(appointment.email).toLowerCase(),
+      phone: appointment.phone,
+      date: body.date,
+      slot: body.slot,
+      consultType: appointment.consult_type,
+      doctorId: doctorIdOf(appointment),
+      language: appointment.language,
+    });
+    if (result.duplicate)
+      return sendMessage(409, { title: "portal.rebook.duplicate_heading", message: "portal.rebook.duplicate" });
+    if (result.error) return sendMessage(result.status, { title: "portal.rebook.failed_heading", text: result.error });
+
+    sendMessage(200, {
+      title: "portal.rebook.sent_heading",
+      message: "portal.rebook.sent",
+      params: { doctor: result.doctor.name },
+    });
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// 8️⃣ Undelivered Emails (admin)
+app.get("/admin/email-queue", requireAdmin, async (req, res) => {
+  try {
+    const messages = await mailQueue.undelivered();
+    res.json({ count: messages.length, messages });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// 9️⃣ Open Slots for a Date (one doctor, or any doctor matching the filters)
+app.get("/slots", async (req, res) => {
+  try {
+    const { date, doctorId, specialty, consultType } = req.query;
+    if (!isValidDate(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+
+    let doctors;
+    if (doctorId) {
+      const doctor = await getDoctor(doctorId);
+      if (!doctor || doctor.active === false) return res.status(404).json({ error: "Doctor not found" });
+      doctors = [doctor];
+    } else {
+      doctors = (await listDoctors()).filter((d) => offers(d, { specialty, consultType }));
+    }
+
+    const byStart = new Map();
+    for (const doctor of doctors) {
+      for (const slot of await openSlots(doctor.id, date)) {
+        if (!byStart.has(slot.start)) byStart.set(slot.start, { ...slot, doctorIds: [] });
+        byStart.get(slot.start).doctorIds.push(doctor.id);
+      }
+    }
+    const slots = [...byStart.values()].sort((a, b) => a.start.localeCompare(b.start));
+    res.json({ date, timezone: CLINIC_TIMEZONE, slots });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// 🔟 Doctors list for the booking frontend
+app.get("/doctors", async (req, res) => {
+  try {
+    const { specialty, consultType } = req.query;
+    const doctors = (await listDoctors()).filter((d) => offers(d, { specialty, consultType }));
+    res.json({ doctors: doctors.map(publicDoctor) });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Doctors registry (admin)
+app.get("/admin/doctors", requireAdmin, async (req, res) => {
+  try {
+    res.json({ doctors: await storage.list("doctors", { orderBy: "name" }) });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/admin/doctors", requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = validateDoctor(req.body);
+    if (errors) return res.status(400).json({ error: "Invalid doctor", details: errors });
+
+    const doctor = await storage.insert("doctors", {
+      id: value.id || uuidv4(),
+      ...value,
+      active: value.active ?? true,
+      created_at: new Date().toISOString(),
+    });
+    res.status(201).json(doctor);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ error: "A doctor with that id already exists" });
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/admin/doctors/:id", requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = validateDoctor(req.body, { partial: true });
+    if (errors) return res.status(400).json({ error: "Invalid doctor", details: errors });
+
+    const doctor = await storage.update("doctors", req.params.id, value);
+    if (!doctor) return res.status(404).json({ error: "Doctor not found" });
+    res.json(doctor);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Doctor Availability (admin): weekly hours + blocked dates
+app.get("/admin/doctors/:id/availability", requireAdmin, async (req, res) => {
+  try {
+    if (!(await getDoctor(req.params.id))) return res.status(404).json({ error: "Doctor not found" });
+    res.json(await getAvailability(req.params.id));
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/admin/doctors/:id/availability", requireAdmin, async (req, res) => {
+  try {
+    const doctorId = req.params.id;
+    if (!(await getDoctor(doctorId))) return res.status(404).json({ error: "Doctor not found" });
+
+    const { value, errors } = validateAvailability(req.body);
+    if (errors) return res.status(400).json({ error: "Invalid availability", details: errors });
+
+    const row = { ...value, updated_at: new Date().toISOString() };
+    const saved =
+      (await storage.update("doctor_availability", doctorId, row)) ||
+      (await storage.insert("doctor_availability", { id: doctorId, ...row }));
+    res.json(saved);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Doctor calendar feed link (admin)
+app.get("/admin/doctors/:id/calendar-link", requireAdmin, async (req, res) => {
+  try {
+    const doctor = await getDoctor(req.params.id);
+    if (!doctor) return res.status(404).json({ error: "Doctor not found" });
+    res.json({ url: calendarFeedLink(doctor) });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Rotate the feed link; links handed out before stop working
+app.post("/admin/doctors/:id/calendar-link", requireAdmin, async (req, res) => {
+  try {
+    const doctor = await storage.get("doctors", req.params.id);
+    if (!doctor) return res.status(404).json({ error: "Doctor not found in the registry" });
+    const updated = await storage.update("doctors", doctor.id, {
+      calendar_version: (doctor.calendar_version || 0) + 1,
+    });
+    res.json({ url: calendarFeedLink(updated) });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Doctor calendar feed (iCal subscription)
+app.get("/calendar/:token.ics", async (req, res) => {
+  try {
+    const result = tokens.verify(req.params.token, { scope: CALENDAR_SCOPE });
+    if (!result.ok) return res.status(result.reason === "expired" ? 410 : 401).send("Invalid calendar link");
 
-// ---------------- SENDGRID ----------------
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-const senderEmail = process.env.EMAIL_USER; // Verified sender
-const doctorEmail = "tch231017@gmail.com";
+    const doctor = await getDoctor(result.payload.sub);
+    if (!doctor || (doctor.calendar_version || 0) !== result.payload.v)
+      return res.status(401).send("Invalid calendar link");
 
-// ---------------- SUPABASE ----------------
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+    // Past month onwards is plenty for a subscribed calendar
+    const since = new Date(Date.now() - 30 * 86400 * 1000).toISOString();
+    const appointments = await storage.list("appointments", {
+      eq: { doctor_id: doctor.id },
+      in: { status: ["confirmed", "awaiting_payment", "paid", "completed"] },
+      gte: { slot_start: since },
+      orderBy: "slot_start",
+    });
+    const events = await Promise.all(appointments.map((a) => calendarEvent(a, doctor)));
 
-// ---------------- CONSTANTS ----------------
-const JITSI_PREFIX = "sidhahealth";
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(buildFeed(events, { name: `SidhaHealth – ${doctor.name}` }));
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
 
-// ---------------- HELPERS ----------------
+// Receipt PDF (patient link)
+app.get("/receipt/:id", async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("Appointment not found");
+    if (!checkPatientToken(req, res, appointment)) return;
+
+    const receipt = appointment.receipt_no && (await storage.get("receipts", appointment.receipt_no));
+    if (!receipt) return res.status(404).send("No receipt yet. Receipts are issued once payment is confirmed.");
+
+    const pdf = await receiptPdf(receipt);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${receipt.id}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Doctor Consultation Notes Form: the latest notes to edit, earlier versions below
+const NOTES_STATUSES = ["confirmed", "awaiting_payment", "paid", "completed"];
+
+function notesFormHtml(appointment, { token, versions, values = versions[0], errors = [] }) {
+  const field = (name, label, rows = 3) => `
+      <label><strong>${label}</strong></label><br>
+      <textarea name="${name}" rows="${rows}" style="width:100%;max-width:560px;padding:8px;margin:6px 0 14px 0;">${escapeHtml(values?.[name] || "")}</textarea><br>`;
+  const medicines = values?.medicines || [];
+  const rowCount = Math.min(MAX_MEDICINES, Math.max(medicines.length + 2, 4));
+  const input = (i, key, placeholder, width) =>
+    `<input name="medicines[${i}][${key}]" value="${escapeHtml(medicines[i]?.[key] || "")}" placeholder="${placeholder}" style="width:${width}px;padding:6px;margin:2px;"/>`;
+  const medicineRows = Array.from({ length: rowCount }, (_, i) => `
+        <div>${input(i, "name", "Medicine", 200)}${input(i, "dosage", "Dosage", 90)}${input(i, "frequency", "Frequency", 110)}${input(i, "duration", "Duration", 90)}</div>`).join("");
+  const history = versions.map((v) => `
+      <details style="margin:6px 0;">
+        <summary>Version ${v.version} · ${escapeHtml(new Date(v.created_at).toLocaleString("en-IN", { timeZone: CLINIC_TIMEZONE }))}</summary>
+        <p><strong>Symptoms:</strong> ${escapeHtml(v.symptoms || "—")}<br>
+        <strong>Diagnosis:</strong> ${escapeHtml(v.diagnosis)}<br>
+        <strong>Advice:</strong> ${escapeHtml(v.advice || "—")}</p>
+        <ul>${v.medicines.map((m) => `<li>${escapeHtml(`${m.name} · ${m.dosage} · ${m.frequency} · ${m.duration}`)}</li>`).join("")}</ul>
+      </details>`).join("");
 
-// Responsive email HTML template wrapper
-function emailTemplate({ title, bodyHtml, actionLink, actionText }) {
   return `
-<!DOCTYPE html>
-<html lang="en" xmlns="http://www.w3.org/1999/xhtml">
-  <head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
-      body, table, td, a { -webkit-text-size-adjust:100%; -ms-text-size-adjust:100%; }
-      body { margin:0; padding:0; width:100% !important; background:#f5f5f7; font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif; color:#111; }
-      table { border-collapse:collapse !important; }
-      a { color:#2563eb; text-decoration:underline; }
-      .card { max-width:480px; margin:20px auto; }
-      @media screen and (max-width:600px){
-        .card { padding:12px !important; }
-        .content { padding:16px !important; }
-        h1 { font-size:22px !important; }
-      }
-    </style>
-  </head>
-  <body style="margin:0;padding:0;background:#f5f5f7;">
-    <div class="card" style="background:#fff; border-radius:12px; box-shadow:0 5px 20px rgba(0,0,0,0.07); margin:30px auto; max-width:480px; padding:24px;">
-      <div style="text-align:center;margin-bottom:20px;">
-        <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo" style="height:44px; width:auto; border:none; background:transparent; display:inline-block;" />
-      </div>
-      <div class="content" style="padding:16px 10px;">
-        <h1 style="font-size:24px;font-weight:700;color:#111;margin:0 0 12px;">${title}</h1>
-        <div style="color:#363636;font-size:15px;line-height:1.6;">
-          ${bodyHtml}
-        </div>
-        ${actionLink ? `
-        <div style="text-align:center;margin:28px 0 0 0;">
-          <a href="${actionLink}" style="display:inline-block; padding:12px 32px; border-radius:34px; background:#16a34a; color:#fff; font-weight:600; font-size:16px; text-decoration:none; margin:2px 7px;">${actionText}</a>
-        </div>` : ""}
-      </div>
-      <div style="border-top:1px solid #ececec;margin:20px 0 0 0;padding-top:12px;font-size:13px;color:#8f8f8f;text-align:center;">
-        SidhaHealth &middot; For help, contact <a href="mailto:support@sidhahealth.com" style="color:#2563eb;text-decoration:underline;">support@sidhahealth.com</a>
-      </div>
-    </div>
-  </body>
-</html>
+    <h2>Consultation Notes</h2>
+    <p>${escapeHtml(appointment.name)} · ${escapeHtml(appointment.date)} ${escapeHtml(appointment.final_time || appointment.time || "")} · ${escapeHtml(appointment.consult_type)}</p>
+    ${errors.length ? `<ul style="color:#b91c1c;">${errors.map((e) => `<li><strong>${escapeHtml(e.field)}</strong> ${escapeHtml(e.message)}</li>`).join("")}</ul>` : ""}
+    <form method="POST" action="/appointments/${appointment.id}/notes">
+      <input type="hidden" name="token" value="${escapeHtml(token)}"/>
+      <input type="hidden" name="version" value="${versions[0]?.version || 0}"/>
+      ${field("symptoms", "Symptoms")}
+      ${field("diagnosis", "Diagnosis", 2)}
+      <label><strong>Medicines</strong></label>
+      ${medicineRows}
+      <br>
+      ${field("advice", "Advice")}
+      <button type="submit" style="padding:10px 20px;background:green;color:white;border:none;border-radius:5px;">${versions.length ? "Save Changes &amp; Send Prescription" : "Save &amp; Send Prescription"}</button>
+    </form>
+    ${versions.length ? `<h3>History</h3>${history}` : ""}
   `;
 }
 
-async function sendEmail(to, subject, html) {
+app.get("/appointments/:id/notes", async (req, res) => {
   try {
-    await sgMail.send({
-      to,
-      from: senderEmail,
-      subject,
-      html,
-      text: html.replace(/<[^>]+>/g, ""),
-    });
-    console.log(`✅ Email sent to ${to}`);
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    if (!checkDoctorLinkToken(req, res, appointment, NOTES_SCOPE)) return;
+    if (!NOTES_STATUSES.includes(statusOf(appointment)))
+      return res.status(409).send("<h2>No Consultation</h2><p>Notes can only be written for a confirmed appointment.</p>");
+
+    const versions = await listNotesVersions(storage, appointment.id);
+    res.set("Cache-Control", "no-store");
+    res.send(notesFormHtml(appointment, { token: req.query.token, versions }));
   } catch (err) {
-    console.error(`❌ Failed to send email to ${to}`);
-    console.error(err.response?.body || err);
+    log.error(err);
+    res.status(500).send("Server error.");
   }
-}
+});
 
-async function saveAppointment(obj) {
-  const { data, error } = await supabase.from("appointments").insert([obj]).select();
-  if (error) throw error;
-  return data[0];
-}
+// Doctor Saves Notes → new version, appointment completed, prescription emailed
+app.post("/appointments/:id/notes", async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    if (!checkDoctorLinkToken(req, res, appointment, NOTES_SCOPE)) return;
+    if (!NOTES_STATUSES.includes(statusOf(appointment)))
+      return res.status(409).send("<h2>No Consultation</h2><p>Notes can only be written for a confirmed appointment.</p>");
 
-async function updateAppointment(id, updates) {
-  const { data, error } = await supabase
-    .from("appointments")
-    .update(updates)
-    .eq("id", id)
-    .select()
-    .maybeSingle();
-  if (error) throw error;
-  return data;
-}
+    const versions = await listNotesVersions(storage, appointment.id);
+    const { value: notes, errors } = validateNotes(req.body);
+    if (errors)
+      return res.status(400).send(notesFormHtml(appointment, { token: req.body.token, versions, values: req.body, errors }));
 
-async function getAppointment(id) {
-  const { data, error } = await supabase
-    .from("appointments")
-    .select("*")
-    .eq("id", id)
-    .maybeSingle();
-  if (error || !data) return null;
-  return data;
-}
+    // The form carries the version it was opened at; a newer save means
+    // someone else edited in between
+    const saved = Number(req.body.version) === (versions[0]?.version || 0) && await saveNotesVersion(storage, {
+      appointmentId: appointment.id,
+      doctorId: doctorIdOf(appointment),
+      previousVersion: versions[0]?.version || 0,
+      notes,
+    });
+    if (!saved)
+      return res.status(409).send("<h2>Notes Changed</h2><p>These notes were saved from another window. Please reload the form and make your changes again.</p>");
 
-// ---------------- ROUTES ----------------
+    let updated = await updateAppointment(appointment.id, { notes_version: saved.version });
+    if (canTransition(statusOf(updated), "completed")) {
+      updated = (await transitionAppointment(updated, "completed", {
+        actor: "doctor",
+        reason: "Consultation notes recorded",
+      })) || updated;
+    }
 
-// 1️⃣ Book Appointment
-app.post("/book-appointment", async (req, res) => {
+    const doctor = await doctorFor(updated);
+    const pdf = await prescriptionPdf({ appointment: updated, doctor, notes: saved }, { timeZone: CLINIC_TIMEZONE });
+    await notifyPatient(updated, "prescription", {
+      doctor,
+      version: saved.version,
+      prescriptionLink: prescriptionLink(updated),
+    }, {
+      attachments: [{
+        filename: `prescription-${saved.id}.pdf`,
+        content: pdf.toString("base64"),
+        encoding: "base64",
+        contentType: "application/pdf",
+      }],
+    });
+
+    res.send(`<h2>✅ Notes Saved (version ${saved.version})</h2><p>The prescription was emailed to the patient.</p><p><a href="/appointments/${updated.id}/notes?token=${encodeURIComponent(req.body.token)}">Back to the notes</a></p>`);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Prescription PDF (patient link), from the latest notes
+app.get("/appointments/:id/prescription", async (req, res) => {
   try {
-    const { name, email, number, date, time, consultType } = req.body;
-    if (!email || !consultType)
-      return res.status(400).json({ error: "Email and appointment type required" });
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("Appointment not found");
+    if (!checkPatientToken(req, res, appointment)) return;
 
-    const id = uuidv4();
-    const appointment = {
-      id,
+    const [notes] = await listNotesVersions(storage, appointment.id);
+    if (!notes) return res.status(404).send("No prescription yet. It is shared once the doctor records the consultation.");
+
+    const pdf = await prescriptionPdf({ appointment, doctor: await doctorFor(appointment), notes }, { timeZone: CLINIC_TIMEZONE });
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="prescription-${notes.id}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
+});
+
+// Join the waitlist for a date (optionally with one doctor). When an
+// appointment that day is cancelled or declined, the first suitable entry
+// is emailed a claim link for the freed time.
+app.post("/waitlist", bookingIpLimit, async (req, res) => {
+  try {
+    const body = checkBody(req, res, WAITLIST_SCHEMA, { error: "Invalid waitlist request" });
+    if (!body) return;
+    const { name, email, number, date, consultType, doctorId, specialty, language } = body;
+
+    if (doctorId) {
+      const doctor = await getDoctor(doctorId);
+      if (!doctor || doctor.active === false) return res.status(404).json({ error: "Doctor not found" });
+      if (!offers(doctor, { specialty, consultType }))
+        return res.status(409).json({ error: "That doctor doesn't offer this consultation." });
+    }
+
+    const { entry, created } = await waitlist.join({
       name,
       email,
       phone: number,
       date,
-      time,
       consult_type: consultType,
-      confirmed: false,
-      declined: false,
-    };
-
-    await saveAppointment(appointment);
+      doctor_id: doctorId || null,
+      specialty: specialty || null,
+      language: language || DEFAULT_LANGUAGE,
+    });
+    if (created) await sendTemplateEmail(email, "waitlist_joined", { entry }, { lang: entry.language });
 
-    const confirmLink = `${BASE_URL}/doctor-action/${id}/confirm`;
-    const declineLink = `${BASE_URL}/doctor-action/${id}/decline`;
-
-    // Doctor Notification HTML
-    const doctorHtml = emailTemplate({
-      title: "🩺 New Appointment Request",
-      bodyHtml: `
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Date:</strong> ${date}</p>
-        <p><strong>Requested Time:</strong> ${time}</p>
-        <p><strong>Consult Type:</strong> ${consultType}</p>
-      `,
-      actionLink: confirmLink,
-      actionText: "Confirm Appointment"
-    }) +
-    emailTemplate({
-      title: "Decline Appointment",
-      bodyHtml: `
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Date:</strong> ${date}</p>
-        <p><strong>Consult Type:</strong> ${consultType}</p>
-      `,
-      actionLink: declineLink,
-      actionText: "Decline Appointment"
+    res.status(created ? 201 : 200).json({
+      message: created ? "You're on the waitlist. We'll email you if a time opens up." : "You're already on the waitlist for this date.",
+      waitlistId: entry.id,
+      status: entry.status,
+      position: entry.status === "waiting" ? await waitlist.position(entry) : null,
     });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    await sendEmail(doctorEmail, "New Appointment Request", doctorHtml);
+// The waitlist entry behind a claim link, while its offer stands
+async function waitlistOffer(req, res) {
+  const result = tokens.verify(req.query.token || req.body?.token, { sub: req.params.id, scope: WAITLIST_SCOPE });
+  if (!result.ok) {
+    sendLinkError(res, result.reason);
+    return { done: true };
+  }
+  const entry = await storage.get("waitlist", req.params.id);
+  if (!entry) return { done: res.status(404).send("Offer not found") };
 
-    res.json({ message: "Appointment request sent successfully", appointmentId: id });
+  const lang = entry.language;
+  const message = (status, vars) => ({ done: res.status(status).send(templates.page("portal_message", vars, { lang })) });
+  if (entry.status === "claimed")
+    return message(410, { title: "offer.waitlist.claimed_heading", message: "offer.waitlist.claimed" });
+  if (entry.status !== "offered" || new Date(entry.offer_expires_at).getTime() <= Date.now())
+    return message(410, { title: "offer.waitlist.expired_heading", message: "offer.waitlist.expired" });
+  return { entry, lang, message };
+}
 
+// Claim a waitlist offer: shows the held time, and posting books it
+app.get("/waitlist/:id/claim", async (req, res) => {
+  try {
+    const offer = await waitlistOffer(req, res);
+    if (offer.done) return;
+    const { entry } = offer;
+    res.send(templates.page("slot_offer", {
+      heading: "offer.waitlist.heading",
+      intro: "offer.waitlist.intro",
+      expires: entry.offer_expires_at,
+      slot: { date: entry.date, slot_start: entry.offered_slot },
+      consultType: entry.consult_type,
+      doctor: await getDoctor(entry.offered_doctor_id),
+      action: req.path,
+      token: req.query.token,
+      button: "offer.waitlist.button",
+    }, { lang: offer.lang }));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Server error" });
+    log.error(err);
+    res.status(500).send("Server error.");
   }
 });
 
-// 2️⃣ Doctor Confirm Page
-app.get("/doctor-action/:id/confirm", async (req, res) => {
-  const { id } = req.params;
-  const appointment = await getAppointment(id);
-  if (!appointment) return res.status(404).send("❌ Appointment not found.");
-  if (appointment.confirmed) return res.send("✅ Appointment already confirmed.");
-  if (appointment.declined) return res.send("❌ Appointment already declined.");
+app.post("/waitlist/:id/claim", async (req, res) => {
+  try {
+    const offer = await waitlistOffer(req, res);
+    if (offer.done) return;
+    const { message } = offer;
 
-  res.send(`
-    <h2>Enter Final Appointment Time</h2>
-    <form method="POST" action="/doctor-set-time/${id}">
-      <label>Final Time:</label><br>
-      <input type="text" name="final_time" placeholder="e.g. 7:30 PM" required style="padding:10px;width:250px;font-size:16px;margin-top:10px;"/>
-      <br><br>
-      <button type="submit" style="padding:10px 20px;font-size:16px;background:green;color:white;border:none;border-radius:5px;">Confirm Appointment</button>
-    </form>
-  `);
+    const entry = await waitlist.move(offer.entry, "claimed", { claimed_at: new Date().toISOString() });
+    if (!entry) return message(410, { title: "offer.waitlist.expired_heading", message: "offer.waitlist.expired" });
+
+    let result;
+    try {
+      result = await bookAppointment({
+        name: entry.name,
+        email: entry.email,
+        phone: entry.phone,
+        date: entry.date,
+        slot: entry.offered_slot,
+        consultType: entry.consult_type,
+        doctorId: entry.offered_doctor_id,
+        specialty: entry.specialty,
+        language: entry.language,
+        holdId: waitlistHold(entry),
+      });
+    } catch (err) {
+      // Still held for the offer: nothing was booked, so the offer stands.
+      // Held by an appointment: it was saved before the error, so the claim does.
+      const held = await storage.get("slot_bookings", slotKey(entry.offered_doctor_id, entry.offered_slot));
+      if (held && held.appointment_id !== waitlistHold(entry)) {
+        await storage.update("waitlist", entry.id, { appointment_id: held.appointment_id });
+      } else {
+        await waitlist.move(entry, "offered", { claimed_at: null });
+      }
+      throw err;
+    }
+    if (!result.appointment) {
+      // Nothing was booked: the offer stands until it lapses
+      await waitlist.move(entry, "offered", { claimed_at: null });
+      if (result.duplicate) return message(409, { title: "portal.rebook.duplicate_heading", message: "portal.rebook.duplicate" });
+      return message(result.status || 409, { title: "portal.rebook.failed_heading", text: result.error });
+    }
+    await storage.update("waitlist", entry.id, { appointment_id: result.appointment.id });
+
+    message(200, { title: "offer.waitlist.done_heading", message: "offer.waitlist.done", params: { doctor: result.doctor.name } });
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
 });
 
-// 3️⃣ Doctor Decline Page → Ask for reason
-app.get("/doctor-action/:id/decline", async (req, res) => {
-  const { id } = req.params;
-  const appointment = await getAppointment(id);
-  if (!appointment) return res.status(404).send("❌ Appointment not found.");
-  if (appointment.confirmed) return res.send("✅ Appointment already confirmed.");
-  if (appointment.declined) return res.send("❌ Appointment already declined.");
+// An uploaded medical report, for the doctor the request went to
+app.get("/appointments/:id/reports/:fileId", async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).send("Appointment not found");
+    if (!checkDoctorLinkToken(req, res, appointment, REPORTS_SCOPE)) return;
 
-  res.send(`
-    <h2>Decline Appointment</h2>
-    <form method="POST" action="/doctor-decline/${id}">
-      <label>Reason for Decline:</label><br>
-      <textarea name="reason" placeholder="Enter reason" required style="width:300px;height:100px;padding:8px;margin-top:8px;"></textarea>
-      <br><br>
-      <button type="submit" style="padding:10px 20px;background:red;color:white;border:none;border-radius:5px;">Decline Appointment</button>
-    </form>
-  `);
+    const file = await storage.get("appointment_files", req.params.fileId);
+    const content = file?.appointment_id === appointment.id ? await fileStore.get(file.key) : null;
+    if (!content) return res.status(404).send("File not found");
+
+    res.set("Content-Type", file.content_type);
+    res.set("Content-Disposition", `inline; filename="${file.filename.replace(/[^\x20-\x7e]/g, "_")}"`);
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Cache-Control", "private, no-store");
+    res.send(content);
+  } catch (err) {
+    log.error(err);
+    res.status(500).send("Server error.");
+  }
 });
 
-// 4️⃣ Submit Decline Reason
-app.post("/doctor-decline/:id", async (req, res) => {
+// Fee rules (admin)
+app.get("/admin/pricing", requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
+    res.json(await getPricing());
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const appointment = await getAppointment(id);
-    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+app.put("/admin/pricing", requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = validatePricing(req.body);
+    if (errors) return res.status(400).json({ error: "Invalid pricing", details: errors });
+
+    const row = { ...value, updated_at: new Date().toISOString() };
+    const saved =
+      (await storage.update("pricing", "default", row)) ||
+      (await storage.insert("pricing", { id: "default", ...row }));
+    res.json(saved);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Discount codes (admin)
+app.get("/admin/discount-codes", requireAdmin, async (req, res) => {
+  try {
+    res.json({ codes: await storage.list("discount_codes", { orderBy: "id" }) });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    await updateAppointment(id, { declined: true, decline_reason: reason });
+app.post("/admin/discount-codes", requireAdmin, async (req, res) => {
+  try {
+    const body = checkBody(req, res, DISCOUNT_CODE_SCHEMA, { error: "Invalid discount code" });
+    if (!body) return;
+    const { code, type, value, max_uses = null, expires_at = null } = body;
+    if (type === "percent" && value > 100)
+      return res.status(400).json({ error: "Invalid discount code", details: [{ field: "value", message: "must be at most 100 for a percent code" }] });
 
-    // Notify patient
-    const patientHtml = emailTemplate({
-      title: "Appointment Declined",
-      bodyHtml: `<p>Your appointment on <strong>${appointment.date}</strong> has been declined by the doctor.</p>
-                 <p><strong>Reason:</strong> ${reason}</p>`
+    const saved = await storage.insert("discount_codes", {
+      id: code.toUpperCase(),
+      type,
+      value,
+      max_uses,
+      uses: 0,
+      expires_at,
+      active: true,
+      created_at: new Date().toISOString(),
     });
-    await sendEmail(appointment.email, "Appointment Declined", patientHtml);
+    res.status(201).json(saved);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ error: "That code already exists" });
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    res.send(`<h2>Appointment Declined ✅</h2><p>Reason submitted: ${reason}</p>`);
+app.put("/admin/discount-codes/:code", requireAdmin, async (req, res) => {
+  try {
+    const updates = checkBody(req, res, DISCOUNT_UPDATE_SCHEMA, { error: "Invalid discount code" });
+    if (!updates) return;
+    const saved = await storage.update("discount_codes", req.params.code.toUpperCase(), updates);
+    if (!saved) return res.status(404).json({ error: "Discount code not found" });
+    res.json(saved);
   } catch (err) {
-    console.error(err);
-    res.status(500).send("Server error.");
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
-// 5️⃣ Submit Final Time + Send Emails
-app.post("/doctor-set-time/:id", async (req, res) => {
+// Appointment status change (admin): completed, no_show, cancelled, ...
+app.post("/admin/appointments/:id/status", requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { final_time } = req.body;
+    const body = checkBody(req, res, STATUS_CHANGE_SCHEMA, { error: "Invalid status change" });
+    if (!body) return;
+    const { status, reason = null } = body;
 
-    const appointment = await getAppointment(id);
-    if (!appointment) return res.status(404).send("❌ Appointment not found.");
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).json({ error: "Appointment not found" });
 
-    const isOnline = appointment.consult_type.toLowerCase() === "online";
-    const fee = 500;
+    const from = statusOf(appointment);
+    if (!canTransition(from, status))
+      return res.status(409).json({ error: `Cannot move appointment from ${from} to ${status}` });
 
-    let updates = {
-      confirmed: true,
-      final_time,
-      amount: fee,
-      payment_done: !isOnline,
-    };
+    const cancelling = status === "cancelled" || status === "declined";
+    const updated = status === "paid"
+      ? await markPaid(appointment, { actor: "admin" })
+      : await transitionAppointment(appointment, status, {
+        actor: "admin",
+        reason,
+        // A pending reschedule goes too, as when the patient cancels
+        updates: cancelling
+          ? {
+            action_nonce: null,
+            reschedule_date: null,
+            reschedule_slot: null,
+            ics_sequence: (appointment.ics_sequence || 0) + 1,
+          }
+          : {},
+      });
+    if (!updated) return res.status(409).json({ error: "Appointment changed, please retry" });
+    if (cancelling) {
+      await releaseSlot(doctorIdOf(appointment), appointment.slot_start);
+      await releaseSlot(doctorIdOf(appointment), appointment.reschedule_slot);
+      await slotFreed(appointment);
+      if (hasInvite(appointment)) await sendCancellationInvites(updated, { by: "admin", reason });
+    }
 
-    let jitsiLink = null;
+    res.json(updated);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    if (isOnline) {
-      const room = `${JITSI_PREFIX}-${Math.random().toString(36).slice(2, 10)}`;
-      jitsiLink = `https://meet.jit.si/${room}`;
-      updates.jitsi_room = room;
-      updates.video_link = jitsiLink;
-      updates.payment_link = `${BASE_URL}/payment/${id}`;
-    }
+// The dashboard filters in the query string. Sends the 400 and returns null
+// if they are invalid.
+function dashboardFilters(req, res) {
+  const { value: filters, errors } = parseFilters(req.query);
+  if (errors) {
+    res.status(400).json({ error: "Invalid filters", details: errors });
+    return null;
+  }
+  return filters;
+}
+
+// Appointments dashboard (admin): ?from&to&status&consultType&payment&q&doctorId&cursor&limit
+app.get("/admin/appointments", requireAdmin, async (req, res) => {
+  try {
+    const limit = Number(req.query.limit || 50);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)
+      return res.status(400).json({ error: "Invalid filters", details: [{ field: "limit", message: `must be between 1 and ${MAX_PAGE_SIZE}` }] });
+    const after = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !after)
+      return res.status(400).json({ error: "Invalid filters", details: [{ field: "cursor", message: "is not a valid cursor" }] });
+
+    const filters = dashboardFilters(req, res);
+    if (!filters) return;
+    const [{ items, next_cursor }, total] = await Promise.all([
+      listPage(storage, filters, { after, limit }),
+      storage.count("appointments", storageQuery(filters)),
+    ]);
+    res.json({ appointments: items.map(dashboardRow), total, next_cursor });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Daily/weekly counts for the same filters (admin): ?period=day|week
+app.get("/admin/appointments/summary", requireAdmin, async (req, res) => {
+  try {
+    const period = req.query.period || "day";
+    if (!["day", "week"].includes(period))
+      return res.status(400).json({ error: "Invalid filters", details: [{ field: "period", message: "must be day or week" }] });
+
+    const filters = dashboardFilters(req, res);
+    if (!filters) return;
+    const { total, buckets } = await summarize(scanPages(storage, filters), { period });
+    res.json({ period, total, buckets });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    await updateAppointment(id, updates);
-
-    const patientHtml = emailTemplate({
-      title: "Appointment Confirmed",
-      bodyHtml: `
-        <p><strong>Date:</strong> ${appointment.date}</p>
-        <p><strong>Final Time:</strong> ${final_time}</p>
-        <p><strong>Fee:</strong> ₹${fee}</p>
-        ${isOnline ? "<p style='margin-top:18px;'><strong>Online video consultation—please pay by clicking the button below.</strong></p>" : "<p style='margin-top:18px;'>Please pay at the clinic.</p>"}
-      `,
-      actionLink: isOnline ? updates.payment_link : null,
-      actionText: isOnline ? "Pay Now" : null
+// CSV export of the filtered view, unpaginated (admin). Streamed a storage
+// page at a time.
+app.get("/admin/appointments/export.csv", requireAdmin, async (req, res) => {
+  try {
+    const filters = dashboardFilters(req, res);
+    if (!filters) return;
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="appointments-${stamp}.csv"`);
+    for await (const chunk of csvChunks(scanPages(storage, filters))) res.write(chunk);
+    res.end();
+  } catch (err) {
+    log.error(err);
+    // Part of the file may already be out; cut it off so it isn't taken as complete
+    if (res.headersSent) res.destroy();
+    else res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Appointment timeline (admin)
+app.get("/admin/appointments/:id/timeline", requireAdmin, async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).json({ error: "Appointment not found" });
+
+    const events = await storage.list("appointment_events", {
+      eq: { appointment_id: appointment.id },
+      orderBy: "created_at",
     });
-    await sendEmail(appointment.email, "Your Appointment is Confirmed", patientHtml);
-
-    const doctorHtml = emailTemplate({
-      title: "Appointment Confirmed - Final Details",
-      bodyHtml: `
-        <p><strong>Patient:</strong> ${appointment.name}</p>
-        <p><strong>Date:</strong> ${appointment.date}</p>
-        <p><strong>Final Time:</strong> ${final_time}</p>
-        <p><strong>Type:</strong> ${appointment.consult_type}</p>
-        ${isOnline ? `<p><strong>Video Link:</strong> <a href="${jitsiLink}">${jitsiLink}</a></p>` : ""}
-      `,
-      actionLink: isOnline ? jitsiLink : null,
-      actionText: isOnline ? "Join Video" : null
+    res.json({ id: appointment.id, status: statusOf(appointment), events });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Consultation notes, every version (admin). notes_link is a fresh doctor link.
+app.get("/admin/appointments/:id/notes", requireAdmin, async (req, res) => {
+  try {
+    const appointment = await getAppointment(req.params.id);
+    if (!appointment) return res.status(404).json({ error: "Appointment not found" });
+
+    const versions = await listNotesVersions(storage, appointment.id);
+    res.json({ id: appointment.id, notes_link: notesLink(appointment), versions });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Webhook subscriptions (admin). The signing secret is only shown when created.
+const publicWebhook = ({ secret, ...subscription }) => subscription;
+
+app.get("/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const subscriptions = await storage.list("webhook_subscriptions", { orderBy: "created_at" });
+    res.json({ events: WEBHOOK_EVENTS, subscriptions: subscriptions.map(publicWebhook) });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const body = checkBody(req, res, WEBHOOK_SCHEMA, { error: "Invalid webhook" });
+    if (!body) return;
+    const subscription = await storage.insert("webhook_subscriptions", {
+      id: uuidv4(),
+      url: body.url,
+      events: body.events,
+      description: body.description || null,
+      secret: newWebhookSecret(),
+      active: true,
+      created_at: new Date().toISOString(),
     });
-    await sendEmail(doctorEmail, "Appointment Confirmed - Final Details", doctorHtml);
+    res.status(201).json(subscription);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    res.send("✅ Appointment confirmed successfully. Emails sent.");
+app.put("/admin/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    const updates = checkBody(req, res, WEBHOOK_UPDATE_SCHEMA, { error: "Invalid webhook" });
+    if (!updates) return;
+    if (!(await storage.get("webhook_subscriptions", req.params.id)))
+      return res.status(404).json({ error: "Webhook not found" });
 
+    const subscription = await storage.update("webhook_subscriptions", req.params.id, updates);
+    res.json(publicWebhook(subscription));
   } catch (err) {
-    console.error(err);
-    res.status(500).send("Server error.");
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
-// 6️⃣ PAYMENT PAGE (centered & with warning)
-app.get("/payment/:id", async (req, res) => {
-  const appointment = await getAppointment(req.params.id);
-  if (!appointment) return res.status(404).send("Appointment not found");
+// Delivery log (admin), newest first: ?status=pending|delivered|failed&subscription_id&event&limit
+app.get("/admin/webhooks/deliveries", requireAdmin, async (req, res) => {
+  try {
+    const { status, subscription_id, event } = req.query;
+    const limit = Number(req.query.limit || 50);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)
+      return res.status(400).json({ error: "Invalid filters", details: [{ field: "limit", message: `must be between 1 and ${MAX_PAGE_SIZE}` }] });
+    if (status && !["pending", "delivered", "failed"].includes(status))
+      return res.status(400).json({ error: "Invalid filters", details: [{ field: "status", message: "must be pending, delivered or failed" }] });
 
-  const upi = process.env.UPI_ID;
-  const amount = appointment.amount;
-  const upiLink = `upi://pay?pa=${upi}&pn=SidhaHealth&am=${amount}&cu=INR`;
-  const qr = `https://api.qrserver.com/v1/create-qr-code/?size=250x250&data=${encodeURIComponent(upiLink)}`;
+    const eq = Object.fromEntries(Object.entries({ status, subscription_id, event }).filter(([, v]) => v));
+    const deliveries = await storage.list("webhook_deliveries", { eq, orderBy: "created_at", ascending: false, limit });
+    res.json({ count: deliveries.length, deliveries });
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  res.send(`
-    <!DOCTYPE html>
-    <html lang="en">
-      <head>
-        <meta charset="UTF-8" />
-        <meta name="viewport" content="width=device-width,initial-scale=1.0" />
-        <title>Pay to Confirm Appointment – SidhaHealth</title>
-        <style>
-          body {
-            min-height: 100vh;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            background: #f5f5f7;
-            font-family: system-ui, sans-serif;
-            margin: 0;
-            padding: 0;
-            color: #222;
-          }
-          .center-card {
-            background: #fff;
-            max-width: 410px;
-            border-radius: 18px;
-            box-shadow: 0 5px 24px rgba(0,0,0,0.09);
-            padding: 32px 24px 24px 24px;
-          }
-          .warnbox {
-            background: #fffbe8;
-            color: #a47e00;
-            border: 1.5px solid #ffe58f;
-            border-radius: 9px;
-            padding: 12px 16px;
-            margin-bottom: 18px;
-            font-size: 15px;
-            text-align: center;
-            font-weight: 500;
-          }
-          .logo { text-align: center; margin-bottom: 28px; }
-          .logo img { height: 52px; }
-          h2 { color: #0c4826; margin-top: 0; font-size: 23px; text-align:center; }
-          .amount { font-size: 20px; font-weight: 700; color: #0c4826; text-align:center; margin-bottom:2px; }
-          .qrbox { text-align:center; margin:24px 0 18px 0; }
-          .upi-btn { display: inline-block; background: #16a34a; color: #fff; font-weight: 600; font-size: 17px; padding:11px 32px; border-radius:99px; text-decoration:none; margin-bottom:14px; }
-          .waiting { font-size: 15px; text-align:center; color: #707070; margin:14px 0; }
-          .paid-btn, .paid-btn:disabled { width:100%; max-width:260px; font-size:16px; font-weight:600; padding:12px; border-radius:8px; border:none; background:#2563eb; color:white; cursor:pointer; margin:auto; display:block; margin-top:14px; }
-          .paid-btn:disabled { background: #b2c6f8; cursor: not-allowed; }
-          .help { font-size: 13px; color: #7a7a7a; text-align:center; margin-top:20px; }
-          @media screen and (max-width: 600px) {
-            .center-card { padding:18px 8px 14px 8px; }
-          }
-        </style>
-      </head>
-      <body>
-        <div class="center-card">
-          <div class="logo">
-            <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo"/>
-          </div>
-          <div class="warnbox">
-            ⚠️ <b>Do NOT pay before your appointment time.</b><br>
-            Please pay only <u>when you join your video call</u> and a doctor is present.
-          </div>
-          <h2>Pay & Confirm Your Appointment</h2>
-          <div class="amount">₹${amount}</div>
-          <div class="qrbox">
-            <img src="${qr}" height="180" width="180" alt="UPI QR Code" style="border:7px solid #ededed; border-radius:16px;">
-          </div>
-          <div style="text-align:center;">
-            <a href="${upiLink}" class="upi-btn">Pay Instantly with UPI App</a>
-          </div>
-          <div class="waiting" id="statusText">
-            Please complete your payment in your UPI app.<br>
-            <span id="timerText"></span>
-          </div>
-          <form method="POST" action="/payment-done/${appointment.id}" style="text-align:center;">
-            <button class="paid-btn" id="paidBtn" type="submit" disabled>I've Paid</button>
-          </form>
-          <div class="help">
-            <strong>Need help?</strong> Email <a href="mailto:support@sidhahealth.com">support@sidhahealth.com</a>
-            <br>
-            <span style="color:#b91c1c;">Never share your PIN/OTP with anyone.</span>
-          </div>
-        </div>
-        <script>
-          let s = 120;
-          const paidBtn = document.getElementById('paidBtn');
-          const statusText = document.getElementById('statusText');
-          const timerText = document.getElementById('timerText');
-          function updateTimer() {
-            if(s > 0) {
-              timerText.innerHTML = 'Button enabled in '+s+'s';
-              s--;
-              setTimeout(updateTimer, 1000);
-            } else {
-              timerText.innerHTML = '';
-              paidBtn.disabled = false;
-              paidBtn.innerText = "I've Paid";
-              statusText.innerHTML = 'After payment, click above to proceed.';
-            }
-          }
-          paidBtn.innerText = "Please Wait...";
-          updateTimer();
-        </script>
-      </body>
-    </html>
-  `);
+// Sends a logged delivery again, same id and payload (admin)
+app.post("/admin/webhooks/deliveries/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const delivery = await webhooks.replay(req.params.id);
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    res.json(delivery);
+  } catch (err) {
+    log.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-// 7️⃣ Payment Done → Show Video Link (ENHANCED)
-app.post("/payment-done/:id", async (req, res) => {
-  const appointment = await getAppointment(req.params.id);
-  if (!appointment) return res.status(404).send("Appointment not found");
+// ---------------- HEALTH & METRICS ----------------
+const READY_CHECK_TIMEOUT = Number(process.env.READY_CHECK_TIMEOUT_SECONDS || 5) * 1000;
+// Load balancers poll often; SendGrid doesn't need a call every few seconds
+const READY_CACHE_MS = Number(process.env.READY_CACHE_SECONDS || 10) * 1000;
+// Scrapers use METRICS_TOKEN; ADMIN_API_TOKEN works too
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+let readiness = null; // { at, result }
 
-  await updateAppointment(appointment.id, { payment_done: true });
-
-  // For online: modern join screen
-  if (appointment.consult_type.toLowerCase() === "online") {
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8"/>
-        <meta name="viewport" content="width=device-width,initial-scale=1.0"/>
-        <title>Video Consultation Ready – SidhaHealth</title>
-        <style>
-          body {
-            min-height: 100vh; display: flex; align-items: center; justify-content: center;
-            background: #f5f5f5; font-family: system-ui, sans-serif; margin:0; color: #1b1b1e;
-          }
-          .join-card {
-            background: #fff; border-radius: 18px; padding: 38px 32px 32px 32px;
-            max-width: 410px; box-shadow: 0 6px 28px rgba(0,0,0,0.10);
-            text-align: center;
-          }
-          .logo { margin-bottom: 20px; }
-          .logo img { height: 50px; }
-          .success { font-size: 24px; margin:0 0 10px 0; color: #17c964; }
-          .details {
-            color: #212326; font-size: 16px; margin-bottom:18px; line-height:1.6;
-          }
-          .join-btn {
-            background: #2563eb; color: #fff !important; font-weight: 600; font-size: 18px;
-            padding: 15px 35px; border-radius: 30px; border:none; text-decoration:none; display:inline-block; margin:12px 0 2px 0;
-            transition: box-shadow .15s;
-          }
-          .join-btn:hover { box-shadow:0 6px 24px #2563eb40; }
-        </style>
-      </head>
-      <body>
-        <div class="join-card">
-          <div class="logo">
-            <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo"/>
-          </div>
-          <div class="success">✅ Payment Confirmed!</div>
-          <div class="details">
-            Your video consultation is ready.<br>
-            Please <b>pay at the start of your call</b> if not already done.
-          </div>
-          <a class="join-btn" href="${appointment.video_link}" target="_blank">Join Now</a>
-          <div style="margin-top:18px;font-size:13px;color:#919191;">
-            Need help? Email <a href="mailto:support@sidhahealth.com">support@sidhahealth.com</a>
-          </div>
-        </div>
-      </body>
-      </html>
-    `);
-  } else {
-    // For offline: confirmation card
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8"/>
-        <meta name="viewport" content="width=device-width,initial-scale=1.0"/>
-        <title>Payment Confirmed – SidhaHealth</title>
-        <style>
-          body {
-            min-height: 100vh; display: flex; align-items: center; justify-content: center;
-            background: #f5f5f5; font-family: system-ui, sans-serif; margin:0; color: #1b1b1e;
-          }
-          .join-card {
-            background: #fff; border-radius: 18px; padding: 38px 32px 32px 32px;
-            max-width: 410px; box-shadow: 0 6px 28px rgba(0,0,0,0.10);
-            text-align: center;
-          }
-          .logo { margin-bottom: 20px; }
-          .logo img { height: 50px; }
-          .success { font-size: 24px; margin:0 0 10px 0; color: #17c964; }
-          .details {
-            color: #212326; font-size: 16px; margin-bottom:18px; line-height:1.7;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="join-card">
-          <div class="logo">
-            <img src="https://sidhahealth.com/logo.png" alt="SidhaHealth Logo"/>
-          </div>
-          <div class="success">✅ Payment Confirmed!</div>
-          <div class="details">
-            Your appointment at SidhaHealth is confirmed.
-          </div>
-          <div style="margin-top:18px;font-size:13px;color:#919191;">
-            Need help? Email <a href="mailto:support@sidhahealth.com">support@sidhahealth.com</a>
-          </div>
-        </div>
-      </body>
-      </html>
-    `);
+// Runs check() with a time limit; never throws
+async function runCheck(check) {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${READY_CHECK_TIMEOUT} ms`)), READY_CHECK_TIMEOUT);
+      }),
+    ]);
+    return { status: "ok", duration_ms: Date.now() - started };
+  } catch (err) {
+    return { status: "error", duration_ms: Date.now() - started, error: String(err.message || err) };
+  } finally {
+    clearTimeout(timer);
   }
+}
+
+async function checkReadiness() {
+  if (readiness && Date.now() - readiness.at < READY_CACHE_MS) return readiness.result;
+  const [storageCheck, emailCheck] = await Promise.all([
+    runCheck(() => storage.list("appointments", { limit: 1 })),
+    runCheck(() => mailTransport.check()),
+  ]);
+  const checks = { storage: storageCheck, email: { transport: mailTransport.name, ...emailCheck } };
+  const ready = Object.values(checks).every((c) => c.status === "ok");
+  if (!ready) log.warn("Not ready", { checks });
+  readiness = { at: Date.now(), result: { status: ready ? "ready" : "not_ready", checks } };
+  return readiness.result;
+}
+
+// Liveness: the process is up and answering
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok", uptime_seconds: Math.round(process.uptime()) });
 });
 
+// Readiness: storage and the email transport are reachable
+app.get("/readyz", async (req, res) => {
+  const result = await checkReadiness();
+  res.status(result.status === "ready" ? 200 : 503).json(result);
+});
+
+// Prometheus scrape endpoint. Needs the METRICS_TOKEN or ADMIN_API_TOKEN
+// Bearer token; with neither set it is closed.
+app.get("/metrics", (req, res) => {
+  if (!hasBearerToken(req, METRICS_TOKEN) && !hasBearerToken(req, ADMIN_API_TOKEN))
+    return res.status(401).json({ error: "Unauthorized" });
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render());
+});
+
+// ---------------- BACKGROUND JOBS ----------------
+setInterval(() => {
+  mailQueue.retryDue()
+    .then(({ sent, failed }) => {
+      if (failed) emailFailuresTotal.inc({ stage: "retry" }, failed);
+      if (sent || failed) log.info("Email retry run", { sent, failed });
+    })
+    .catch((err) => log.error("Email retry run failed", err));
+}, MAIL_RETRY_INTERVAL).unref();
+
+setInterval(() => {
+  webhooks.retryDue()
+    .then(({ delivered, failed }) => {
+      if (delivered || failed) log.info("Webhook retry run", { delivered, failed });
+    })
+    .catch((err) => log.error("Webhook retry run failed", err));
+}, WEBHOOK_RETRY_INTERVAL).unref();
+
+setInterval(() => {
+  expireWaitlistOffers()
+    .then((lapsed) => {
+      if (lapsed) log.info("Waitlist offers lapsed", { lapsed });
+    })
+    .catch((err) => log.error("Waitlist expiry run failed", err));
+}, WAITLIST_CHECK_INTERVAL).unref();
+
+if (process.env.REMINDERS_ENABLED !== "false") reminders.start();
+
 // ---------------- START SERVER ----------------
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on ${BASE_URL}`));
+app.listen(PORT, () => log.info("Server running", { url: BASE_URL, port: Number(PORT) }));
@@ -0,0 +1,46 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, futureWeekday, ADMIN_TOKEN } from "./helpers/server.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("an admin cancel releases a pending reschedule's slot and clears it", async () => {
+  const date = futureWeekday();
+  const [slot, newSlot] = await server.openSlots(date);
+  const { body } = await server.book({ email: "moving@example.com", date, slot });
+  const requested = server.appointment(body.appointmentId);
+  await server.request(`/doctor-set-time/${requested.id}`, {
+    method: "POST",
+    json: { token: server.doctorToken(requested), slot },
+  });
+
+  const confirmed = server.appointment(requested.id);
+  const reschedule = await server.request(`/appointments/${confirmed.id}/reschedule`, {
+    method: "POST",
+    json: { token: server.patientToken(confirmed), date, slot: newSlot },
+  });
+  assert.equal(reschedule.status, 200);
+  assert.equal(server.appointment(confirmed.id).reschedule_slot, newSlot);
+  assert.ok(!(await server.openSlots(date)).includes(newSlot));
+
+  const res = await server.request(`/admin/appointments/${confirmed.id}/status`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    json: { status: "cancelled", reason: "Doctor unavailable" },
+  });
+  assert.equal(res.status, 200);
+
+  const cancelled = server.appointment(confirmed.id);
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(cancelled.reschedule_date, null);
+  assert.equal(cancelled.reschedule_slot, null);
+  assert.equal(cancelled.action_nonce, null);
+  assert.deepEqual(server.db().slot_bookings.filter((b) => b.appointment_id === confirmed.id), []);
+  const open = await server.openSlots(date);
+  assert.ok(open.includes(slot));
+  assert.ok(open.includes(newSlot));
+});
@@ -0,0 +1,35 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, futureWeekday } from "./helpers/server.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a second pending request for the same date is refused on the email or the phone alone", async () => {
+  const date = futureWeekday();
+  const [slot, second, third] = await server.openSlots(date);
+  const first = await server.book({ email: "first@example.com", number: "9123456780", date, slot });
+  assert.equal(first.status, 200);
+
+  const samePhone = await server.book({ email: "other@example.com", number: "+91 91234 56780", date, slot: second });
+  assert.equal(samePhone.status, 409);
+  assert.equal(samePhone.body.duplicate, true);
+
+  const sameEmail = await server.book({ email: "First@Example.com", number: "9000000001", date, slot: third });
+  assert.equal(sameEmail.status, 409);
+  assert.equal(sameEmail.body.duplicate, true);
+
+  assert.deepEqual(server.db().appointments.map((a) => a.id), [first.body.appointmentId]);
+  // The existing request's links went to its own address only
+  const outbox = server.outbox();
+  assert.ok(outbox.some((file) => file.endsWith("first@example.com.eml")));
+  assert.ok(!outbox.some((file) => file.includes("other@example.com")));
+
+  const otherDate = futureWeekday(11);
+  const [otherSlot] = await server.openSlots(otherDate);
+  const otherDay = await server.book({ email: "other@example.com", number: "9123456780", date: otherDate, slot: otherSlot });
+  assert.equal(otherDay.status, 200);
+});
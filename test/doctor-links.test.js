@@ -0,0 +1,54 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createTokenSigner } from "../lib/tokens.js";
+import { startServer, futureWeekday } from "./helpers/server.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+// A request the doctor has just confirmed with the link from the email
+async function confirmedAppointment(email) {
+  const date = futureWeekday();
+  const [slot] = await server.openSlots(date);
+  const { body } = await server.book({ email, date, slot });
+  const requested = server.appointment(body.appointmentId);
+  const token = server.doctorToken(requested);
+  const res = await server.request(`/doctor-set-time/${requested.id}`, { method: "POST", json: { token, slot } });
+  assert.equal(res.status, 200);
+  return { appointment: server.appointment(requested.id), token, slot };
+}
+
+test("a doctor link is refused once it has been used", async () => {
+  const { appointment, token, slot } = await confirmedAppointment("reuse@example.com");
+
+  const again = await server.request(`/doctor-set-time/${appointment.id}`, { method: "POST", json: { token, slot } });
+  assert.equal(again.status, 410);
+  assert.match(await again.text(), /Already Used/);
+
+  const page = await server.request(`/doctor-action/${appointment.id}/confirm?token=${token}`);
+  assert.equal(page.status, 410);
+  const decline = await server.request(`/doctor-decline/${appointment.id}`, {
+    method: "POST",
+    json: { token, reason: "Clinic closed" },
+  });
+  assert.equal(decline.status, 410);
+});
+
+test("a handled appointment's status isn't shown without a valid doctor token", async () => {
+  const { appointment } = await confirmedAppointment("handled@example.com");
+  const forged = createTokenSigner("another-secret").sign(
+    { sub: appointment.id, scope: "doctor-action", doc: "default", nonce: "x" },
+    3600
+  );
+
+  for (const query of ["", `?token=${forged}`]) {
+    for (const action of ["confirm", "decline"]) {
+      const res = await server.request(`/doctor-action/${appointment.id}/${action}${query}`);
+      assert.equal(res.status, 401);
+      assert.doesNotMatch(await res.text(), /already confirmed/);
+    }
+  }
+});
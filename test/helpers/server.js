@@ -0,0 +1,139 @@
+// test/helpers/server.js
+// Runs server.js in a child process against a fresh lowdb file and mail
+// outbox, for tests that go through the HTTP routes. Tokens are signed with
+// the same secret the server gets, so tests can make their own links.
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTokenSigner } from "../../lib/tokens.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const SECRET = "test-action-secret";
+export const ADMIN_TOKEN = "test-admin-token";
+export const tokens = createTokenSigner(SECRET);
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// A weekday (Mon–Fri, so the default availability has slots) at least
+// `daysAhead` days from now, as YYYY-MM-DD
+export function futureWeekday(daysAhead = 10) {
+  const d = new Date(Date.now() + daysAhead * 86400 * 1000);
+  while ([0, 6].includes(d.getUTCDay())) d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sidhahealth-test-"));
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const dbFile = path.join(dir, "db.json");
+  const outboxDir = path.join(dir, "outbox");
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    stdio: ["ignore", "ignore", "pipe"],
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      BASE_URL: url,
+      LOG_LEVEL: "error",
+      STORAGE_DRIVER: "lowdb",
+      LOWDB_FILE: dbFile,
+      MAIL_TRANSPORT: "outbox",
+      MAIL_OUTBOX_DIR: outboxDir,
+      FILE_STORE_DIR: path.join(dir, "uploads"),
+      ACTION_TOKEN_SECRET: SECRET,
+      ADMIN_API_TOKEN: ADMIN_TOKEN,
+      PAYMENT_PROVIDER: "mock",
+      PAYMENT_TEST_MODE: "1",
+      PAYMENT_WEBHOOK_SECRET: "test-webhook-secret",
+      JITSI_BASE_URL: "https://meet.example.org",
+      JITSI_APP_ID: "test-app",
+      JITSI_APP_SECRET: "test-jitsi-secret",
+      ...env,
+    },
+  });
+  let stderr = "";
+  child.stderr.on("data", (chunk) => (stderr += chunk));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  async function stop() {
+    child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  for (let tries = 0; ; tries++) {
+    try {
+      if ((await fetch(`${url}/healthz`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    if (child.exitCode !== null || tries > 100) {
+      await stop();
+      throw new Error(`server.js did not start:\n${stderr}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  // fetch relative to the server; `json` or `form` sets the body
+  function request(pathname, { method = "GET", json, form, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: "manual" };
+    if (json !== undefined) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(json);
+    } else if (form !== undefined) {
+      init.body = new URLSearchParams(form);
+    }
+    return fetch(`${url}${pathname}`, init);
+  }
+
+  // The server's tables as they are on disk now
+  function db() {
+    return fs.existsSync(dbFile) ? JSON.parse(fs.readFileSync(dbFile, "utf8")) : {};
+  }
+
+  // Names of the .eml files sent so far; each ends in its recipient
+  function outbox() {
+    return fs.existsSync(outboxDir) ? fs.readdirSync(outboxDir).sort() : [];
+  }
+
+  async function openSlots(date) {
+    const res = await request(`/slots?date=${date}`);
+    return (await res.json()).slots.map((s) => s.start);
+  }
+
+  async function book(fields) {
+    const res = await request("/book-appointment", {
+      method: "POST",
+      json: { name: "Test Patient", number: "9876543210", consultType: "Offline", ...fields },
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  function appointment(id) {
+    return (db().appointments || []).find((a) => a.id === id) || null;
+  }
+
+  // Links as the emails carry them
+  function doctorToken(a) {
+    return tokens.sign({ sub: a.id, scope: "doctor-action", doc: a.doctor_id || "default", nonce: a.action_nonce }, 3600);
+  }
+
+  function patientToken(a) {
+    return tokens.sign({ sub: a.id, scope: "patient" }, 3600);
+  }
+
+  return { url, request, db, outbox, openSlots, book, appointment, doctorToken, patientToken, stop };
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTwilioProvider } from "../lib/messaging/twilio.js";
+
+// A fetch that never answers; only the abort signal ends it. The timer keeps
+// the process up, since AbortSignal.timeout's own timer doesn't.
+function hang(signal) {
+  return new Promise((resolve, reject) => {
+    const keepAlive = setTimeout(resolve, 5000);
+    signal.addEventListener("abort", () => {
+      clearTimeout(keepAlive);
+      reject(signal.reason);
+    });
+  });
+}
+
+const config = { accountSid: "AC123", authToken: "token", smsFrom: "+15550000000" };
+
+test("a Twilio send times out and reports a non-JSON reply clearly", async () => {
+  const calls = [];
+  const twilio = createTwilioProvider({
+    ...config,
+    fetch: async (url, init) => {
+      calls.push(init);
+      return new Response("Service Unavailable", { status: 503 });
+    },
+  });
+  await assert.rejects(twilio.send({ channel: "sms", to: "+919876543210", body: "Hi" }), {
+    message: "Twilio send returned a non-JSON reply (503)",
+  });
+  assert.ok(calls[0].signal instanceof AbortSignal);
+
+  const hung = createTwilioProvider({
+    ...config,
+    timeoutMs: 20,
+    fetch: (url, init) => hang(init.signal),
+  });
+  await assert.rejects(hung.send({ channel: "sms", to: "+919876543210", body: "Hi" }), { name: "TimeoutError" });
+});
+
+test("a Twilio error reply keeps Twilio's message", async () => {
+  const twilio = createTwilioProvider({
+    ...config,
+    fetch: async () => Response.json({ message: "The 'To' number is not valid" }, { status: 400 }),
+  });
+  await assert.rejects(twilio.send({ channel: "sms", to: "123", body: "Hi" }), { message: "The 'To' number is not valid" });
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, futureWeekday, tokens } from "./helpers/server.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+// An online consult the doctor has confirmed, waiting for the patient to pay
+async function awaitingPayment(email) {
+  const date = futureWeekday();
+  const [slot] = await server.openSlots(date);
+  const { body } = await server.book({ email, date, slot, consultType: "Online" });
+  const requested = server.appointment(body.appointmentId);
+  await server.request(`/doctor-set-time/${requested.id}`, {
+    method: "POST",
+    json: { token: server.doctorToken(requested), slot },
+  });
+  const appointment = server.appointment(requested.id);
+  assert.equal(appointment.status, "awaiting_payment");
+  return appointment;
+}
+
+test("the payment page needs the patient's token", async () => {
+  const appointment = await awaitingPayment("payer@example.com");
+  const other = tokens.sign({ sub: "someone-else", scope: "patient" }, 3600);
+
+  for (const query of ["", `?token=${other}`]) {
+    const res = await server.request(`/payment/${appointment.id}${query}`);
+    assert.equal(res.status, 401);
+    assert.doesNotMatch(await res.text(), /payer@example\.com|Test Patient/);
+  }
+
+  const res = await server.request(`/payment/${appointment.id}?token=${server.patientToken(appointment)}`);
+  assert.equal(res.status, 200);
+});
+
+test("mock-pay needs the patient's token", async () => {
+  const appointment = await awaitingPayment("mockpay@example.com");
+  const token = server.patientToken(appointment);
+  // Opening the page starts the order
+  assert.equal((await server.request(`/payment/${appointment.id}?token=${token}`)).status, 200);
+
+  const refused = await server.request(`/payment/${appointment.id}/mock-pay`, { method: "POST", form: {} });
+  assert.equal(refused.status, 401);
+  assert.equal(server.appointment(appointment.id).status, "awaiting_payment");
+
+  const paid = await server.request(`/payment/${appointment.id}/mock-pay`, { method: "POST", form: { token } });
+  assert.equal(paid.status, 303);
+  assert.equal(paid.headers.get("location"), `/payment/${appointment.id}?token=${encodeURIComponent(token)}`);
+  assert.equal(server.appointment(appointment.id).status, "paid");
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hmacHex, safeEqualHex } from "../lib/payments/signature.js";
+import { createMockProvider } from "../lib/payments/mock.js";
+import { createPaymentProvider } from "../lib/payments/index.js";
+import { createRazorpayProvider } from "../lib/payments/razorpay.js";
+
+// A fetch that never answers; only the abort signal ends it. The timer keeps
+// the process up, since AbortSignal.timeout's own timer doesn't.
+function hang(signal) {
+  return new Promise((resolve, reject) => {
+    const keepAlive = setTimeout(resolve, 5000);
+    signal.addEventListener("abort", () => {
+      clearTimeout(keepAlive);
+      reject(signal.reason);
+    });
+  });
+}
+
+test("hmacHex is the hex HMAC-SHA256 of the body", () => {
+  assert.equal(
+    hmacHex("key", "The quick brown fox jumps over the lazy dog"),
+    "f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8"
+  );
+});
+
+test("safeEqualHex compares same-length strings only", () => {
+  assert.equal(safeEqualHex("abcd", "abcd"), true);
+  assert.equal(safeEqualHex("abcd", "abce"), false);
+  assert.equal(safeEqualHex("abcd", "abc"), false);
+  assert.equal(safeEqualHex("abcd", undefined), false);
+  assert.equal(safeEqualHex(undefined, undefined), false);
+});
+
+test("the mock provider accepts its own signed webhooks", async () => {
+  const provider = createMockProvider({ webhookSecret: "whsec" });
+  const { orderId } = await provider.createOrder({ appointmentId: "appt-1", amount: 500 });
+  const { rawBody, headers } = provider.simulatePayment(orderId);
+  assert.equal(provider.verifyWebhook(rawBody, headers), true);
+  assert.deepEqual(provider.parseWebhook(JSON.parse(rawBody)), {
+    type: "paid",
+    orderId,
+    paymentId: JSON.parse(rawBody).payment_id,
+    amount: 50000,
+  });
+});
+
+test("the mock provider rejects unsigned, tampered or foreign webhooks", async () => {
+  const provider = createMockProvider({ webhookSecret: "whsec" });
+  const { orderId } = await provider.createOrder({ appointmentId: "appt-1", amount: 500 });
+  const { rawBody, headers } = provider.simulatePayment(orderId);
+
+  assert.equal(provider.verifyWebhook(rawBody, {}), false);
+  assert.equal(provider.verifyWebhook(null, headers), false);
+  const tampered = Buffer.from(rawBody.toString().replace('"amount":50000', '"amount":1'));
+  assert.equal(provider.verifyWebhook(tampered, headers), false);
+
+  const other = createMockProvider({ webhookSecret: "other" }).simulatePayment(orderId);
+  assert.equal(provider.verifyWebhook(other.rawBody, other.headers), false);
+});
+
+test("a provider has to be named, and mock needs test mode and a secret", () => {
+  assert.throws(() => createPaymentProvider({}), /PAYMENT_PROVIDER is not set/);
+  assert.throws(() => createPaymentProvider({ driver: "mock" }), /PAYMENT_TEST_MODE/);
+
+  const saved = process.env.PAYMENT_WEBHOOK_SECRET;
+  delete process.env.PAYMENT_WEBHOOK_SECRET;
+  try {
+    assert.throws(() => createPaymentProvider({ driver: "mock", testMode: true }), /PAYMENT_WEBHOOK_SECRET/);
+    process.env.PAYMENT_WEBHOOK_SECRET = "whsec";
+    assert.equal(createPaymentProvider({ driver: "mock", testMode: true }).name, "mock");
+  } finally {
+    if (saved === undefined) delete process.env.PAYMENT_WEBHOOK_SECRET;
+    else process.env.PAYMENT_WEBHOOK_SECRET = saved;
+  }
+});
+
+test("a Razorpay call times out and reports a non-JSON reply clearly", async () => {
+  const calls = [];
+  const provider = createRazorpayProvider({
+    keyId: "rzp_test",
+    keySecret: "secret",
+    webhookSecret: "whsec",
+    timeoutMs: 1234,
+    fetch: async (url, init) => {
+      calls.push(init);
+      return new Response("<html>502 Bad Gateway</html>", { status: 502 });
+    },
+  });
+  await assert.rejects(provider.orderStatus("order_1"), {
+    message: "Razorpay GET /orders/order_1 returned a non-JSON reply (502)",
+  });
+  assert.ok(calls[0].signal instanceof AbortSignal);
+
+  const hung = createRazorpayProvider({
+    keyId: "rzp_test",
+    keySecret: "secret",
+    webhookSecret: "whsec",
+    timeoutMs: 20,
+    fetch: (url, init) => hang(init.signal),
+  });
+  await assert.rejects(hung.orderStatus("order_1"), { name: "TimeoutError" });
+});
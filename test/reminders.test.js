@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLowdbStorage } from "../lib/storage/lowdb.js";
+import { createReminderScheduler } from "../lib/reminders.js";
+
+const HOUR = 60 * 60 * 1000;
+const SLOT = "2026-03-10T10:00:00.000Z";
+const before = (ms) => new Date(new Date(SLOT).getTime() - ms);
+const silent = { error() {}, warn() {}, info() {} };
+
+let dir;
+let storage;
+let sent;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "reminders-"));
+  storage = createLowdbStorage({ file: path.join(dir, "db.json") });
+  sent = [];
+  await storage.insert("appointments", { id: "a1", status: "confirmed", slot_start: SLOT });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A scheduler as the server would make one; each call is a fresh process
+function scheduler(options = {}) {
+  return createReminderScheduler({
+    storage,
+    sendReminder: async (appointment, window) => sent.push(`${appointment.id}:${window.key}`),
+    log: silent,
+    ...options,
+  });
+}
+
+const marker = (window) => storage.get("appointment_reminders", `a1:${window}:${SLOT}`);
+
+test("a reminder is sent once, even by a restarted scheduler", async () => {
+  assert.equal(await scheduler().tick({ now: before(23 * HOUR) }), 1);
+  assert.equal(await scheduler().tick({ now: before(23 * HOUR) }), 0);
+  assert.equal(await scheduler().tick({ now: before(22 * HOUR) }), 0);
+  assert.deepEqual(sent, ["a1:24h"]);
+  assert.equal((await marker("24h")).status, "sent");
+
+  assert.equal(await scheduler().tick({ now: before(HOUR / 2) }), 1);
+  assert.deepEqual(sent, ["a1:24h", "a1:1h"]);
+});
+
+test("after downtime only the closest window fires; the missed ones are skipped", async () => {
+  assert.equal(await scheduler().tick({ now: before(HOUR / 2) }), 1);
+  assert.deepEqual(sent, ["a1:1h"]);
+  assert.equal((await marker("24h")).status, "skipped");
+  assert.equal((await marker("1h")).status, "sent");
+
+  assert.equal(await scheduler().tick({ now: before(HOUR / 4) }), 0);
+  assert.deepEqual(sent, ["a1:1h"]);
+});
+
+test("a failed send is retried on the next tick", async () => {
+  let failures = 1;
+  const flaky = scheduler({
+    sendReminder: async (appointment, window) => {
+      if (failures-- > 0) throw new Error("SMTP down");
+      sent.push(`${appointment.id}:${window.key}`);
+    },
+  });
+
+  assert.equal(await flaky.tick({ now: before(23 * HOUR) }), 0);
+  assert.equal(await marker("24h"), null);
+  assert.equal(await flaky.tick({ now: before(23 * HOUR - 5 * 60 * 1000) }), 1);
+  assert.deepEqual(sent, ["a1:24h"]);
+});
+
+test("a claim left pending by a crash is taken over once it is stale", async () => {
+  const claimedAt = before(23 * HOUR);
+  await storage.insert("appointment_reminders", {
+    id: `a1:24h:${SLOT}`,
+    appointment_id: "a1",
+    window: "24h",
+    slot_start: SLOT,
+    status: "pending",
+    claimed_at: claimedAt.toISOString(),
+    sent_at: null,
+  });
+  const reminders = scheduler({ claimTimeoutMs: 10 * 60 * 1000 });
+
+  assert.equal(await reminders.tick({ now: new Date(claimedAt.getTime() + 5 * 60 * 1000) }), 0);
+  assert.deepEqual(sent, []);
+  assert.equal(await reminders.tick({ now: new Date(claimedAt.getTime() + 11 * 60 * 1000) }), 1);
+  assert.deepEqual(sent, ["a1:24h"]);
+  assert.equal((await marker("24h")).status, "sent");
+});
+
+test("tick uses the injected clock when no time is given", async () => {
+  let clock = before(23 * HOUR);
+  const reminders = scheduler({ now: () => clock });
+  assert.equal(await reminders.tick(), 1);
+  clock = before(HOUR / 2);
+  assert.equal(await reminders.tick(), 1);
+  assert.deepEqual(sent, ["a1:24h", "a1:1h"]);
+});
@@ -0,0 +1,49 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, futureWeekday } from "./helpers/server.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("one doctor's slot can only be booked once, however many try at the same time", async () => {
+  const date = futureWeekday();
+  const [slot] = await server.openSlots(date);
+
+  const results = await Promise.all(
+    ["1", "2", "3", "4"].map((p) => server.book({ email: `p${p}@example.com`, number: `987654321${p}`, date, slot }))
+  );
+  const booked = results.filter((r) => r.status === 200);
+  const refused = results.filter((r) => r.status === 409);
+  assert.equal(booked.length, 1);
+  assert.equal(refused.length, 3);
+  for (const r of refused) assert.match(r.body.error, /slot/i);
+
+  const holds = server.db().slot_bookings.filter((b) => b.slot_start === slot);
+  assert.deepEqual(holds.map((b) => [b.id, b.appointment_id]), [[`default|${slot}`, booked[0].body.appointmentId]]);
+  assert.ok(!(await server.openSlots(date)).includes(slot));
+});
+
+test("a released slot can be booked again", async () => {
+  const date = futureWeekday(11);
+  const [slot] = await server.openSlots(date);
+  const first = await server.book({ email: "first@example.com", date, slot });
+  assert.equal(first.status, 200);
+  const taken = await server.book({ email: "second@example.com", number: "9876500000", date, slot });
+  assert.equal(taken.status, 409);
+  assert.match(taken.body.error, /slot/i);
+
+  const appointment = server.appointment(first.body.appointmentId);
+  const cancel = await server.request(`/appointments/${appointment.id}/cancel`, {
+    method: "POST",
+    json: { token: server.patientToken(appointment), reason: "Can't make it" },
+  });
+  assert.equal(cancel.status, 200);
+  assert.ok((await server.openSlots(date)).includes(slot));
+
+  const again = await server.book({ email: "second@example.com", number: "9876500000", date, slot });
+  assert.equal(again.status, 200);
+  assert.equal(server.db().slot_bookings.find((b) => b.id === `default|${slot}`).appointment_id, again.body.appointmentId);
+});
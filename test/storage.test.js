@@ -0,0 +1,116 @@
+// The storage interface (lib/storage/index.js) that every driver follows.
+// Runs against lowdb; with STORAGE_TEST_SUPABASE_URL and
+// STORAGE_TEST_SUPABASE_KEY it also runs against that (scratch!) database,
+// in a `storage_contract` table: id text primary key, name text, n integer,
+// tag text, done boolean.
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLowdbStorage } from "../lib/storage/lowdb.js";
+
+const TABLE = "storage_contract";
+
+const DRIVERS = {
+  lowdb: async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+    return {
+      storage: createLowdbStorage({ file: path.join(dir, "db.json") }),
+      cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    };
+  },
+};
+
+if (process.env.STORAGE_TEST_SUPABASE_URL) {
+  DRIVERS.supabase = async () => {
+    const { createSupabaseStorage } = await import("../lib/storage/supabase.js");
+    const storage = createSupabaseStorage({
+      url: process.env.STORAGE_TEST_SUPABASE_URL,
+      key: process.env.STORAGE_TEST_SUPABASE_KEY,
+    });
+    const clear = async () => {
+      for (const row of await storage.list(TABLE)) await storage.remove(TABLE, row.id);
+    };
+    await clear();
+    return { storage, cleanup: clear };
+  };
+}
+
+const ROWS = [
+  { id: "r1", name: "Asha", n: 1, tag: "a", done: true },
+  { id: "r2", name: "Bala", n: 2, tag: "b", done: false },
+  { id: "r3", name: "Chitra", n: 3, tag: null, done: null },
+  { id: "r4", name: "Devi", n: 4, tag: "a", done: false },
+];
+
+const ids = (rows) => rows.map((r) => r.id);
+
+for (const [driver, create] of Object.entries(DRIVERS)) {
+  describe(`storage: ${driver}`, () => {
+    let storage;
+    let cleanup;
+    before(async () => {
+      ({ storage, cleanup } = await create());
+      for (const row of ROWS) await storage.insert(TABLE, row);
+    });
+    after(() => cleanup());
+
+    test("get and update return null for a missing id", async () => {
+      assert.equal(await storage.get(TABLE, "missing"), null);
+      assert.equal(await storage.update(TABLE, "missing", { name: "X" }), null);
+      assert.equal(await storage.remove(TABLE, "missing"), null);
+    });
+
+    test("insert of an existing id throws with code 23505", async () => {
+      await assert.rejects(storage.insert(TABLE, { id: "r1", name: "Again" }), { code: "23505" });
+      assert.equal((await storage.get(TABLE, "r1")).name, "Asha");
+    });
+
+    test("update with a stale match changes nothing", async () => {
+      assert.equal(await storage.update(TABLE, "r2", { name: "Late" }, { name: "Not Bala" }), null);
+      assert.equal((await storage.get(TABLE, "r2")).name, "Bala");
+
+      const updated = await storage.update(TABLE, "r2", { name: "Bala K" }, { name: "Bala" });
+      assert.equal(updated.name, "Bala K");
+      // Only one of two updates from the same state lands
+      assert.equal(await storage.update(TABLE, "r2", { name: "Other" }, { name: "Bala" }), null);
+      await storage.update(TABLE, "r2", { name: "Bala" });
+    });
+
+    test("a null in match means IS NULL", async () => {
+      assert.equal(await storage.update(TABLE, "r1", { n: 10 }, { tag: null }), null);
+      assert.equal((await storage.update(TABLE, "r3", { n: 3 }, { tag: null })).id, "r3");
+    });
+
+    test("list filters with eq, in and gt", async () => {
+      assert.deepEqual(ids(await storage.list(TABLE, { eq: { tag: "a" }, orderBy: "id" })), ["r1", "r4"]);
+      assert.deepEqual(ids(await storage.list(TABLE, { eq: { tag: null } })), ["r3"]);
+      assert.deepEqual(ids(await storage.list(TABLE, { in: { tag: ["b", "a"] }, orderBy: "id" })), ["r1", "r2", "r4"]);
+      assert.deepEqual(ids(await storage.list(TABLE, { gt: { n: 2 }, orderBy: "id" })), ["r3", "r4"]);
+      assert.deepEqual(ids(await storage.list(TABLE, { gte: { n: 2 }, lt: { n: 4 }, orderBy: "id" })), ["r2", "r3"]);
+    });
+
+    test("NULLs never satisfy in or range filters; neq is NULL-safe", async () => {
+      assert.deepEqual(ids(await storage.list(TABLE, { gt: { tag: "" }, orderBy: "id" })), ["r1", "r2", "r4"]);
+      assert.deepEqual(ids(await storage.list(TABLE, { neq: { done: true }, orderBy: "id" })), ["r2", "r3", "r4"]);
+    });
+
+    test("any needs one condition of every group to hold", async () => {
+      const rows = await storage.list(TABLE, {
+        any: [
+          [{ eq: { tag: "a" } }, { eq: { tag: null } }],
+          [{ gt: { n: 3 } }, { eq: { name: "Chitra" } }],
+        ],
+        orderBy: "id",
+      });
+      assert.deepEqual(ids(rows), ["r3", "r4"]);
+      assert.equal(await storage.count(TABLE, { any: [[{ eq: { tag: "b" } }, { eq: { done: true } }]] }), 2);
+    });
+
+    test("orderBy sorts by each column in turn, NULLs last, and limit cuts the list", async () => {
+      assert.deepEqual(ids(await storage.list(TABLE, { orderBy: ["tag", "n"] })), ["r1", "r4", "r2", "r3"]);
+      assert.deepEqual(ids(await storage.list(TABLE, { orderBy: "n", ascending: false, limit: 2 })), ["r4", "r3"]);
+    });
+  });
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTokenSigner } from "../lib/tokens.js";
+
+const tokens = createTokenSigner("test-secret");
+
+test("a signed token verifies with its payload", () => {
+  const token = tokens.sign({ sub: "appt-1", scope: "doctor-action", nonce: "n1" }, 60);
+  const result = tokens.verify(token, { sub: "appt-1", scope: "doctor-action" });
+  assert.equal(result.ok, true);
+  assert.equal(result.payload.nonce, "n1");
+});
+
+test("a missing token is reported as missing", () => {
+  assert.deepEqual(tokens.verify(undefined), { ok: false, reason: "missing" });
+  assert.deepEqual(tokens.verify(""), { ok: false, reason: "missing" });
+});
+
+test("an expired token is rejected", () => {
+  const token = tokens.sign({ sub: "appt-1" }, -1);
+  assert.deepEqual(tokens.verify(token, { sub: "appt-1" }), { ok: false, reason: "expired" });
+});
+
+test("a token for another appointment or scope is rejected", () => {
+  const token = tokens.sign({ sub: "appt-1", scope: "patient" }, 60);
+  assert.equal(tokens.verify(token, { sub: "appt-2", scope: "patient" }).reason, "invalid");
+  assert.equal(tokens.verify(token, { sub: "appt-1", scope: "doctor-action" }).reason, "invalid");
+});
+
+test("a tampered payload or signature is rejected", () => {
+  const token = tokens.sign({ sub: "appt-1", scope: "patient" }, 60);
+  const [body, sig] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ sub: "appt-2", scope: "patient", exp: 9999999999 })).toString("base64url");
+  assert.equal(tokens.verify(`${forged}.${sig}`).reason, "invalid");
+  const otherSig = `${sig.slice(0, -1)}${sig.endsWith("A") ? "B" : "A"}`;
+  assert.equal(tokens.verify(`${body}.${otherSig}`).reason, "invalid");
+  assert.equal(tokens.verify(body).reason, "invalid");
+});
+
+test("a token signed with another secret is rejected", () => {
+  const token = createTokenSigner("other-secret").sign({ sub: "appt-1" }, 60);
+  assert.equal(tokens.verify(token, { sub: "appt-1" }).reason, "invalid");
+});
+
+test("a signer needs a secret", () => {
+  assert.throws(() => createTokenSigner(""), /ACTION_TOKEN_SECRET/);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateDoctor, CONSULT_TYPES } from "../lib/doctors.js";
+import { validateAvailability } from "../lib/slots.js";
+
+test("a doctor is normalised like any other request body", () => {
+  const { value } = validateDoctor({ name: " Dr. Rao ", email: " Rao@Example.com ", fee: "600", specialties: ["Skin", " skin "] });
+  assert.deepEqual(value, {
+    name: "Dr. Rao",
+    email: "rao@example.com",
+    specialties: ["Skin", "skin"],
+    consult_types: CONSULT_TYPES,
+    fee: 600,
+  });
+
+  const { errors } = validateDoctor({ id: "no spaces", name: "", email: "rao", consult_types: ["Phone"], fee: -1 });
+  assert.deepEqual(errors.map((e) => e.field), ["id", "name", "email", "consult_types", "fee"]);
+});
+
+test("a partial doctor update only checks the fields given, and never the id", () => {
+  assert.deepEqual(validateDoctor({ id: "other", fee: 700, active: "false" }, { partial: true }), {
+    value: { fee: 700, active: false },
+  });
+  assert.deepEqual(validateDoctor({ name: " " }, { partial: true }), {
+    errors: [{ field: "name", message: "is required" }],
+  });
+});
+
+test("availability fills in defaults and reports bad hours per field", () => {
+  const { value } = validateAvailability({ weekly: { mon: [{ start: "09:00", end: "12:30" }] }, blocked_dates: ["2026-05-02", "2026-05-01", "2026-05-02"] });
+  assert.equal(value.slot_minutes, 30);
+  assert.deepEqual(value.weekly.mon, [{ start: "09:00", end: "12:30" }]);
+  assert.deepEqual(value.weekly.sun, []);
+  assert.deepEqual(value.blocked_dates, ["2026-05-01", "2026-05-02"]);
+
+  const { errors } = validateAvailability({ slot_minutes: 7.5, weekly: { tue: [{ start: "14:00", end: "13:00" }] }, blocked_dates: ["2026-02-30"] });
+  assert.deepEqual(errors.map((e) => e.field), ["slot_minutes", "weekly", "blocked_dates"]);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { signWebhook, createWebhookDispatcher } from "../lib/webhooks.js";
+import { createLowdbStorage } from "../lib/storage/lowdb.js";
+
+test("signWebhook is t=<timestamp>,v1=<hex HMAC-SHA256 of \"<t>.<body>\">", () => {
+  assert.equal(
+    signWebhook("whsec_test", '{"id":"d1"}', 1700000000),
+    "t=1700000000,v1=7aa818774b12d07b487b77188a423aa42da8d52da13f1fface316ecdf0a91f53"
+  );
+});
+
+test("signWebhook depends on the secret, body and timestamp", () => {
+  const base = signWebhook("whsec_a", "{}", 1700000000);
+  assert.notEqual(signWebhook("whsec_b", "{}", 1700000000), base);
+  assert.notEqual(signWebhook("whsec_a", "{ }", 1700000000), base);
+  assert.notEqual(signWebhook("whsec_a", "{}", 1700000001).split(",")[1], base.split(",")[1]);
+});
+
+test("dispatched deliveries carry a signature a receiver can check", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+  try {
+    const storage = createLowdbStorage({ file: path.join(dir, "db.json") });
+    await storage.insert("webhook_subscriptions", {
+      id: "sub-1",
+      url: "https://example.com/hook",
+      events: ["appointment.paid"],
+      secret: "whsec_receiver",
+      active: true,
+      created_at: new Date().toISOString(),
+    });
+    const sent = [];
+    const fetch = async (url, init) => {
+      sent.push(init);
+      return { ok: true, status: 200 };
+    };
+    const dispatcher = createWebhookDispatcher({ storage, fetch });
+    const [delivery] = await dispatcher.dispatch("appointment.paid", { id: "appt-1" });
+    assert.equal(delivery.status, "delivered");
+
+    const { headers, body } = sent[0];
+    const [, t, v1] = headers["X-SidhaHealth-Signature"].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac("sha256", "whsec_receiver").update(`${t}.${body}`).digest("hex");
+    assert.equal(v1, expected);
+    assert.equal(JSON.parse(body).data.id, "appt-1");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});